@@ -0,0 +1,79 @@
+// Backfill airport coordinates and flight distance / route geometry
+// Usage: npm run backfill:geo
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Airport = require('../src/models/Airport');
+const Flight = require('../src/models/Flight');
+const entityService = require('../src/services/entityService');
+const flightService = require('../src/services/flightService');
+const logger = require('../src/utils/logger');
+
+const backfillAirports = async () => {
+  const airports = await Airport.find({
+    $or: [{ 'coordinates.lat': null }, { 'coordinates.lng': null }],
+  });
+
+  logger.info(`📍 ${airports.length} airport(s) missing coordinates`);
+
+  let updated = 0;
+  // One at a time to stay friendly with the FlightAware rate limit
+  // eslint-disable-next-line no-restricted-syntax
+  for (const airport of airports) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      if (await entityService.backfillAirportCoordinates(airport)) {
+        updated += 1;
+      }
+    } catch (error) {
+      logger.warn(`⚠️  Could not backfill airport ${airport.code}:`, error.message);
+    }
+  }
+
+  return updated;
+};
+
+const backfillFlights = async () => {
+  const flights = await Flight.find({
+    $or: [{ 'distance.km': null }, { routeGeometry: null }],
+  });
+
+  logger.info(`✈️  ${flights.length} flight(s) missing distance or route geometry`);
+
+  const updates = flights
+    .map((flight) => ({
+      _id: flight._id,
+      routeFields: flightService.getRouteFields(flight.originAirport, flight.destinationAirport),
+    }))
+    .filter(({ routeFields }) => routeFields.distance)
+    .map(({ _id, routeFields }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $set: routeFields },
+      },
+    }));
+
+  if (updates.length > 0) {
+    await Flight.bulkWrite(updates);
+  }
+
+  return updates.length;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const airportsUpdated = await backfillAirports();
+  const flightsUpdated = await backfillFlights();
+
+  logger.info(`✅ Backfill complete: ${airportsUpdated} airport(s), ${flightsUpdated} flight(s) updated`);
+};
+
+run()
+  .catch((error) => {
+    logger.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
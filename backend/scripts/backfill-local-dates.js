@@ -0,0 +1,38 @@
+// Backfill the local departure date on flights saved before it was recorded
+// Usage: npm run backfill:local-dates
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Flight = require('../src/models/Flight');
+const flightService = require('../src/services/flightService');
+const logger = require('../src/utils/logger');
+
+const run = async () => {
+  await connectDB();
+
+  // Origin airports are populated, so each flight brings its own time zone
+  const flights = await Flight.find({ localDate: null });
+  logger.info(`📅 ${flights.length} flight(s) missing a local departure date`);
+
+  const updates = flights.map((flight) => ({
+    updateOne: {
+      filter: { _id: flight._id },
+      update: { $set: { localDate: flightService.getLocalDate(flight.date, flight.originAirport) } },
+    },
+  }));
+
+  if (updates.length > 0) {
+    await Flight.bulkWrite(updates);
+  }
+
+  logger.info(`✅ Backfill complete: ${updates.length} flight(s) updated`);
+};
+
+run()
+  .catch((error) => {
+    logger.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,49 @@
+// Move type-only manual flights off the placeholder UNKNOWN-* aircraft they used to create
+// Usage: npm run cleanup:unknown-aircraft
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Aircraft = require('../src/models/Aircraft');
+const Flight = require('../src/models/Flight');
+const logger = require('../src/utils/logger');
+
+const run = async () => {
+  await connectDB();
+
+  const placeholders = await Aircraft.find({ tailNumber: /^UNKNOWN-/ }).lean();
+  logger.info(`🛩️  ${placeholders.length} placeholder aircraft found`);
+
+  if (placeholders.length === 0) {
+    return;
+  }
+
+  // FlightAware flights must keep an aircraft, so only other sources carry the type themselves.
+  // bulkWrite skips the query hooks, so soft-deleted flights are moved as well
+  const result = await Flight.bulkWrite(placeholders.map((aircraft) => ({
+    updateMany: {
+      filter: { aircraft: aircraft._id, dataSource: { $ne: 'flightaware' } },
+      update: {
+        $set: { aircraftType: aircraft.aircraftType },
+        $unset: { aircraft: '' },
+      },
+    },
+  })));
+  logger.info(`✈️  ${result.modifiedCount} flight(s) moved to a type-only aircraft`);
+
+  const placeholderIds = placeholders.map((aircraft) => aircraft._id);
+  const stillUsed = await Flight.distinct('aircraft', { aircraft: { $in: placeholderIds } });
+  const { deletedCount } = await Aircraft.deleteMany({
+    _id: { $in: placeholderIds, $nin: stillUsed },
+  });
+
+  logger.info(`✅ Cleanup complete: ${deletedCount} placeholder aircraft removed`);
+};
+
+run()
+  .catch((error) => {
+    logger.error('❌ Cleanup failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,113 @@
+// Repair airports saved with synthetic IATA codes (e.g. IOGO for VOGO, made up when an
+// ICAO code had no known IATA code). Each one either takes its real IATA code from the
+// reference data, becomes an ICAO-only airport, or is merged into the existing airport
+// with the same code, moving its flights across.
+// Also replaces the old iataCode index with one that allows ICAO-only airports.
+// Usage: npm run migrate:airport-codes
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Airport = require('../src/models/Airport');
+const Flight = require('../src/models/Flight');
+const entityService = require('../src/services/entityService');
+const logger = require('../src/utils/logger');
+
+// Real IATA airport codes are three letters; anything else was made up
+const SYNTHETIC_IATA = { iataCode: { $type: 'string', $not: /^[A-Z]{3}$/ } };
+
+const mergeAirport = async (airport, canonical) => {
+  const [origins, destinations] = await Promise.all([
+    Flight.updateMany({ originAirport: airport._id }, { $set: { originAirport: canonical._id } }),
+    Flight.updateMany(
+      { destinationAirport: airport._id },
+      { $set: { destinationAirport: canonical._id } },
+    ),
+  ]);
+
+  await Airport.deleteOne({ _id: airport._id });
+
+  const moved = origins.modifiedCount + destinations.modifiedCount;
+  logger.info(`🔀 Merged ${airport.iataCode} into ${canonical.code}, ${moved} flight(s) moved`);
+};
+
+const fillFromReference = (airport, reference) => {
+  if (/^Airport /.test(airport.name)) airport.name = reference.name;
+  if (airport.city === 'Unknown') airport.city = reference.city;
+  if (airport.country === 'Unknown') airport.country = reference.country;
+  if (airport.timezone === 'UTC') airport.timezone = reference.timezone;
+  if (airport.coordinates?.lat == null && reference.coordinates) {
+    airport.coordinates = reference.coordinates;
+  }
+  if (airport.elevation == null && reference.elevation != null) {
+    airport.elevation = reference.elevation;
+  }
+};
+
+const repairAirport = async (airport) => {
+  const syntheticCode = airport.iataCode;
+  const { icaoCode } = airport;
+
+  if (!icaoCode) {
+    logger.warn(`⚠️  Airport ${syntheticCode} has no ICAO code to fall back on, leaving it`);
+    return 'skipped';
+  }
+
+  const reference = entityService.findReferenceAirport(null, icaoCode);
+  const iataCode = reference?.iataCode || null;
+
+  const canonical = await Airport.findOne({
+    _id: { $ne: airport._id },
+    $or: [{ icaoCode }, ...(iataCode ? [{ iataCode }] : [])],
+  });
+
+  if (canonical) {
+    await mergeAirport(airport, canonical);
+    return 'merged';
+  }
+
+  airport.iataCode = iataCode || undefined;
+  if (reference) {
+    fillFromReference(airport, reference);
+  }
+
+  await airport.save();
+  logger.info(`🔧 ${syntheticCode} → ${iataCode || `${icaoCode} (ICAO only)`}`);
+  return 'repaired';
+};
+
+const run = async () => {
+  await connectDB();
+
+  // Swap the old unique iataCode index (which can't hold several ICAO-only airports) first
+  const dropped = await Airport.syncIndexes();
+  if (dropped.length > 0) {
+    logger.info(`🗂️  Rebuilt airport indexes: ${dropped.join(', ')}`);
+  }
+
+  const airports = await Airport.find(SYNTHETIC_IATA);
+  logger.info(`🛬 ${airports.length} airport(s) with a synthetic IATA code`);
+
+  const counts = { repaired: 0, merged: 0, skipped: 0 };
+  // One at a time: a repair can merge into an airport that a later repair looks up
+  // eslint-disable-next-line no-restricted-syntax
+  for (const airport of airports) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      counts[await repairAirport(airport)] += 1;
+    } catch (error) {
+      counts.skipped += 1;
+      logger.warn(`⚠️  Could not repair airport ${airport.iataCode}:`, error.message);
+    }
+  }
+
+  logger.info(`✅ Migration complete: ${counts.repaired} repaired, ${counts.merged} merged, ${counts.skipped} skipped`);
+};
+
+run()
+  .catch((error) => {
+    logger.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,40 @@
+// Seed or update airlines from a reference dataset. Safe to re-run after the dataset changes.
+// Usage: npm run seed:airlines [-- path/to/airlines.json|airlines.dat]
+// Defaults to the bundled src/data/airlines.json; OpenFlights airlines.dat files are also accepted.
+// The bundled file lists hand-checked major carriers first, then every OpenFlights airline with an
+// ICAO designator (active ones first). OpenFlights data is published under the ODbL.
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Airline = require('../src/models/Airline');
+const airlineService = require('../src/services/airlineService');
+const { DEFAULT_AIRLINES_FILE, loadReferenceAirlines } = require('../src/utils/referenceData');
+const logger = require('../src/utils/logger');
+
+const run = async () => {
+  const filePath = process.argv[2] || DEFAULT_AIRLINES_FILE;
+  const records = loadReferenceAirlines(filePath);
+  logger.info(`📚 ${records.length} airline record(s) in ${filePath}`);
+
+  await connectDB();
+
+  // IATA codes became optional, so the old unique index is replaced with a partial one
+  const dropped = await Airline.syncIndexes();
+  if (dropped.length > 0) {
+    logger.info(`🗂️  Rebuilt airline indexes: ${dropped.join(', ')}`);
+  }
+
+  const result = await airlineService.importReferenceAirlines(records);
+  result.conflicts.forEach((conflict) => logger.warn(`⚠️  ${conflict}`));
+
+  logger.info(`✅ Airline seed complete: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped} skipped`);
+};
+
+run()
+  .catch((error) => {
+    logger.error('❌ Airline seed failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
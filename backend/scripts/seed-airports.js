@@ -0,0 +1,34 @@
+// Seed or update airports from a reference dataset. Safe to re-run after the dataset changes.
+// Usage: npm run seed:airports [-- path/to/airports.json|airports.dat]
+// Defaults to the bundled src/data/airports.json; OpenFlights airports.dat files are also accepted.
+// The bundled file lists hand-checked major airports first, then every airport in the OpenFlights
+// database with an IATA or ICAO code. OpenFlights data is published under the ODbL.
+// Run npm run migrate:airport-codes first on databases holding synthetic IATA codes.
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const entityService = require('../src/services/entityService');
+const { DEFAULT_AIRPORTS_FILE, loadReferenceAirports } = require('../src/utils/referenceData');
+const logger = require('../src/utils/logger');
+
+const run = async () => {
+  const filePath = process.argv[2] || DEFAULT_AIRPORTS_FILE;
+  const records = loadReferenceAirports(filePath);
+  logger.info(`📚 ${records.length} airport record(s) in ${filePath}`);
+
+  await connectDB();
+
+  const result = await entityService.importReferenceAirports(records);
+  result.conflicts.forEach((conflict) => logger.warn(`⚠️  ${conflict}`));
+
+  logger.info(`✅ Airport seed complete: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped} skipped`);
+};
+
+run()
+  .catch((error) => {
+    logger.error('❌ Airport seed failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
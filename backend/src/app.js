@@ -10,12 +10,15 @@ const mongoSanitize = require('express-mongo-sanitize');
 const globalErrorHandler = require('./middleware/errorHandler');
 const AppError = require('./utils/appError');
 const logger = require('./utils/logger');
+const { getCircuitBreakerStates } = require('./utils/httpClient');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const flightRoutes = require('./routes/flightRoutes');
 const aircraftRoutes = require('./routes/aircraftRoutes');
 const airlineRoutes = require('./routes/airlineRoutes');
+const airportRoutes = require('./routes/airportRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 const app = express();
 
@@ -162,14 +165,22 @@ app.use('/api/auth', authRoutes);
 app.use('/api/flights', flightRoutes);
 app.use('/api/aircraft', aircraftRoutes);
 app.use('/api/airlines', airlineRoutes);
+app.use('/api/airports', airportRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  // Circuit breaker state per external API host; any open breaker means degraded
+  const upstreams = getCircuitBreakerStates();
+  const degraded = upstreams.some((upstream) => upstream.state !== 'closed');
+
   res.status(200).json({
     status: 'success',
-    message: 'Server is running',
+    message: degraded ? 'Server is running, some upstream APIs are degraded' : 'Server is running',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    degraded,
+    upstreams,
   });
 });
 
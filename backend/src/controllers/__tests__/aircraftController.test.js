@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Aircraft = require('../../models/Aircraft');
+const Airport = require('../../models/Airport');
+const Flight = require('../../models/Flight');
+const aircraftController = require('../aircraftController');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+// Run a handler to completion: resolves with the response, or with the error passed to next
+const invoke = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn((body) => resolve({ statusCode: res.status.mock.calls[0]?.[0], body })),
+  };
+  handler({ user: { id: userId }, params: {}, ...req }, res, (error) => resolve({ error }));
+});
+
+const airports = Object.fromEntries(['DXB', 'LHR', 'SYD'].map((iataCode) => [
+  iataCode,
+  new Airport({ iataCode, name: iataCode }),
+]));
+
+const makeFlight = (date, origin, destination) => new Flight({
+  userId,
+  flightNumber: '1',
+  date: new Date(date),
+  originAirport: airports[origin],
+  destinationAirport: airports[destination],
+});
+
+// Aircraft.findOne(...).populate(...).populate(...)
+const stubAircraft = (aircraft) => {
+  const query = { populate: jest.fn(() => query), then: (resolve) => resolve(aircraft) };
+  return jest.spyOn(Aircraft, 'findOne').mockReturnValue(query);
+};
+
+// Flight.find(...).sort(...)
+const stubFlights = (flights) => jest.spyOn(Flight, 'find').mockReturnValue({
+  sort: async () => flights,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getAircraft', () => {
+  test('summarise the user\'s history on the tail', async () => {
+    const aircraft = new Aircraft({ tailNumber: 'A6-EDA', aircraftType: 'A388' });
+    stubAircraft(aircraft);
+    const find = stubFlights([
+      makeFlight('2023-01-10T08:00:00Z', 'DXB', 'LHR'),
+      makeFlight('2023-06-01T08:00:00Z', 'DXB', 'SYD'),
+      makeFlight('2024-02-01T08:00:00Z', 'DXB', 'LHR'),
+    ]);
+
+    const { statusCode, body } = await invoke(aircraftController.getAircraft, {
+      params: { tail: 'a6-eda' },
+    });
+
+    expect(statusCode).toBe(200);
+    expect(Aircraft.findOne).toHaveBeenCalledWith({ tailNumber: 'A6-EDA' });
+    expect(find).toHaveBeenCalledWith({ userId, aircraft: aircraft._id });
+
+    const { history } = body.data;
+    expect(history).toMatchObject({
+      totalFlights: 3,
+      firstFlown: new Date('2023-01-10T08:00:00Z'),
+      lastFlown: new Date('2024-02-01T08:00:00Z'),
+    });
+    expect(history.routes).toEqual([
+      {
+        route: 'DXB → LHR',
+        origin: 'DXB',
+        destination: 'LHR',
+        count: 2,
+        lastFlown: new Date('2024-02-01T08:00:00Z'),
+      },
+      {
+        route: 'DXB → SYD',
+        origin: 'DXB',
+        destination: 'SYD',
+        count: 1,
+        lastFlown: new Date('2023-06-01T08:00:00Z'),
+      },
+    ]);
+  });
+
+  test('show an empty history for a tail the user hasn\'t flown', async () => {
+    stubAircraft(new Aircraft({ tailNumber: 'A6-EDA' }));
+    stubFlights([]);
+
+    const { body } = await invoke(aircraftController.getAircraft, { params: { tail: 'A6-EDA' } });
+
+    expect(body.data.history).toEqual({
+      totalFlights: 0,
+      firstFlown: null,
+      lastFlown: null,
+      routes: [],
+      flights: [],
+    });
+  });
+
+  test('answer 404 for an unknown tail', async () => {
+    stubAircraft(null);
+
+    const { error } = await invoke(aircraftController.getAircraft, { params: { tail: 'n12345' } });
+
+    expect(error).toMatchObject({
+      statusCode: 404,
+      message: 'No aircraft found with tail number N12345',
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Aircraft = require('../../models/Aircraft');
+const Airline = require('../../models/Airline');
+const Flight = require('../../models/Flight');
+const entityService = require('../../services/entityService');
+const flightController = require('../flightController');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+// Run a handler to completion: resolves with the response, or with the error passed to next
+const invoke = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn((body) => resolve({ statusCode: res.status.mock.calls[0]?.[0], body })),
+  };
+  const request = {
+    user: { id: userId },
+    params: {},
+    body: {},
+    ...req,
+  };
+  handler(request, res, (error) => resolve({ error }));
+});
+
+// Just enough of a MongoDB filter for the single-flight lookups the controller makes
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some((branch) => matches(doc, branch));
+  const stored = doc.get(key);
+  // Populated references compare by id
+  const value = stored?._id ?? stored;
+  if (condition === null) return value == null;
+  if (condition.constructor === Object) {
+    return Object.entries(condition).every(([op, operand]) => {
+      if (op === '$ne') return String(value) !== String(operand);
+      if (value == null) return false;
+      return op === '$gte' ? value >= operand : value < operand;
+    });
+  }
+  return value != null && String(value) === String(condition);
+});
+
+// Stand in for the flights collection: findOne/findById answer from these documents after
+// the model's query middleware has run, so the soft-delete filter applies as it would in MongoDB
+const stubFlights = (...flights) => jest.spyOn(mongoose.Query.prototype, '_findOne')
+  .mockImplementation(async function findOne() {
+    return flights.find((flight) => matches(flight, this.getFilter())) || null;
+  });
+
+const makeFlight = (overrides = {}) => {
+  const flight = new Flight({
+    userId,
+    flightNumber: '221',
+    date: new Date('2024-03-01T08:25:00Z'),
+    ...overrides,
+  });
+  jest.spyOn(flight, 'save').mockResolvedValue(flight);
+  return flight;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('updateFlight', () => {
+  const stubLoad = (flight) => {
+    jest.spyOn(Flight, 'findOne').mockResolvedValue(flight);
+    jest.spyOn(Flight, 'findById').mockResolvedValue(flight);
+  };
+
+  const update = (flight, body) => invoke(flightController.updateFlight, {
+    params: { id: flight._id.toString() },
+    body,
+  });
+
+  test('change only the fields that were sent', async () => {
+    const flight = makeFlight({ seat: '12A', notes: 'Window' });
+    stubFlights(flight);
+
+    const { statusCode } = await update(flight, { seat: ' 3c ' });
+
+    expect(statusCode).toBe(200);
+    expect(flight.seat).toBe('3C');
+    expect(flight.notes).toBe('Window');
+    expect(flight.userEditedFields).toEqual([]);
+  });
+
+  test('clear a field sent empty', async () => {
+    const flight = makeFlight({ seat: '12A', notes: 'Window' });
+    stubFlights(flight);
+
+    await update(flight, { notes: '' });
+
+    expect(flight.notes).toBeUndefined();
+    expect(flight.seat).toBe('12A');
+  });
+
+  test('remember corrected times across updates', async () => {
+    const flight = makeFlight();
+    stubFlights(flight);
+
+    await update(flight, { times: { actual: { takeoff: '2024-03-01T08:55:00Z' } } });
+    await update(flight, { times: { gate: '2024-03-01T08:40:00Z' } });
+    const { body } = await update(flight, {
+      seat: '3C',
+      times: { actual: { takeoff: '2024-03-01T08:57:00Z' } },
+    });
+
+    expect(body.data.flight.userEditedFields).toEqual([
+      'times.actual.takeoff',
+      'times.gate',
+      'times.actual.departure',
+    ]);
+    expect(flight.times.actual.takeoff).toEqual(new Date('2024-03-01T08:57:00Z'));
+    expect(flight.times.actual.departure).toEqual(new Date('2024-03-01T08:40:00Z'));
+  });
+
+  test('mark a corrected tail so refreshes keep it', async () => {
+    const flight = makeFlight({ aircraft: new Aircraft({ tailNumber: 'A6-EDA' }) });
+    stubLoad(flight);
+    jest.spyOn(entityService, 'findOrCreateAircraft')
+      .mockImplementation(async ({ registration }) => new Aircraft({ tailNumber: registration }));
+
+    const { statusCode } = await invoke(flightController.updateFlight, {
+      params: { id: flight._id.toString() },
+      body: { tailNumber: 'a6-edb' },
+    });
+
+    expect(statusCode).toBe(200);
+    expect(entityService.findOrCreateAircraft).toHaveBeenCalledWith(
+      expect.objectContaining({ registration: 'A6-EDB' }),
+      undefined,
+    );
+    expect(flight.userEditedFields).toContain('aircraft');
+  });
+});
+
+describe('getFlight', () => {
+  test('return the user\'s own flight', async () => {
+    const flight = makeFlight();
+    stubFlights(flight);
+
+    const { statusCode, body } = await invoke(flightController.getFlight, {
+      params: { id: flight._id.toString() },
+      query: {},
+    });
+
+    expect(statusCode).toBe(200);
+    expect(body.data.flight).toBe(flight);
+  });
+
+  test('answer 404 for another user\'s flight', async () => {
+    const flight = makeFlight({ userId: new mongoose.Types.ObjectId() });
+    stubFlights(flight);
+
+    const { error } = await invoke(flightController.getFlight, {
+      params: { id: flight._id.toString() },
+      query: {},
+    });
+
+    expect(error).toMatchObject({ statusCode: 404, message: 'No flight found with that ID' });
+  });
+});
+
+describe('soft delete and restore', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const airline = new Airline({ name: 'Emirates', iataCode: 'EK', icaoCode: 'UAE' });
+  const makeDeletedFlight = (daysAgo) => makeFlight({
+    airline,
+    localDate: '2024-03-01',
+    deletedAt: new Date(Date.now() - daysAgo * DAY_MS),
+  });
+  const restore = (flight) => invoke(flightController.restoreFlight, {
+    params: { id: flight._id.toString() },
+  });
+
+  test('hide a deleted flight until it is restored', async () => {
+    const flight = makeFlight({ airline, localDate: '2024-03-01' });
+    stubFlights(flight);
+    const get = () => invoke(flightController.getFlight, {
+      params: { id: flight._id.toString() },
+      query: {},
+    });
+
+    const deleted = await invoke(flightController.deleteFlight, {
+      params: { id: flight._id.toString() },
+    });
+    expect(deleted.statusCode).toBe(204);
+    expect(flight.deletedAt).toBeInstanceOf(Date);
+    expect((await get()).error).toMatchObject({ statusCode: 404 });
+
+    const restored = await restore(flight);
+    expect(restored.statusCode).toBe(200);
+    expect(flight.deletedAt).toBeNull();
+    expect((await get()).statusCode).toBe(200);
+  });
+
+  test('refuse to restore a flight past the restore window', async () => {
+    const flight = makeDeletedFlight(31);
+    stubFlights(flight);
+
+    const { error } = await restore(flight);
+
+    expect(error).toMatchObject({ statusCode: 404, message: 'No restorable flight found with that ID' });
+    expect(flight.save).not.toHaveBeenCalled();
+  });
+
+  test('refuse to restore a flight that was added again since', async () => {
+    const flight = makeDeletedFlight(2);
+    const readded = makeFlight({ airline, localDate: '2024-03-01' });
+    stubFlights(flight, readded);
+
+    const { error } = await restore(flight);
+
+    expect(error).toMatchObject({
+      statusCode: 409,
+      message: 'Flight EK221 on 2024-03-01 is already in your hangar',
+    });
+    expect(flight.deletedAt).not.toBeNull();
+  });
+
+  test('purge only flights deleted before the restore window', async () => {
+    const deleteMany = jest.spyOn(Flight, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    await Flight.purgeDeleted();
+
+    const cutoff = deleteMany.mock.calls[0][0].deletedAt.$lt;
+    expect(Date.now() - cutoff.getTime()).toBeGreaterThanOrEqual(30 * DAY_MS);
+    expect(Date.now() - cutoff.getTime()).toBeLessThan(30 * DAY_MS + 60 * 1000);
+  });
+});
@@ -0,0 +1,67 @@
+const { validationResult } = require('express-validator');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const cacheService = require('../services/cacheService');
+const usageService = require('../services/usageService');
+
+exports.getCacheMetrics = catchAsync(async (req, res, next) => {
+  const metrics = await cacheService.getMetrics();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      metrics,
+    },
+  });
+});
+
+exports.purgeCache = catchAsync(async (req, res, next) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  const namespace = req.query.namespace || null;
+  const purgedCount = await cacheService.purge(namespace);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Purged ${purgedCount} cache entry(ies)${namespace ? ` from ${namespace}` : ''}`,
+    data: {
+      namespace,
+      purgedCount,
+    },
+  });
+});
+
+exports.getUsageReport = catchAsync(async (req, res, next) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  // Defaults to the last 30 days (UTC)
+  const today = new Date();
+  const to = req.query.to || today.toISOString().slice(0, 10);
+  const from = req.query.from
+    || new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  if (from > to) {
+    return next(new AppError('"from" must be on or before "to"', 400));
+  }
+
+  const report = await usageService.getReport({
+    from,
+    to,
+    interval: req.query.interval || 'day',
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report,
+    },
+  });
+});
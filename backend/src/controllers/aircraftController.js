@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const Aircraft = require('../models/Aircraft');
+const Flight = require('../models/Flight');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const flickrService = require('../services/flickrService');
@@ -11,11 +12,83 @@ exports.getAircraft = catchAsync(async (req, res, next) => {
     return next(new AppError(errors.array()[0].msg, 400));
   }
 
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  const tailNumber = req.params.tail.toUpperCase();
+
+  const aircraft = await Aircraft.findOne({ tailNumber })
+    .populate({
+      path: 'airline',
+      select: 'name iataCode icaoCode logo',
+    })
+    .populate('flightCount');
+
+  if (!aircraft) {
+    return next(new AppError(`No aircraft found with tail number ${tailNumber}`, 404));
+  }
+
+  // The current user's own history with this airframe, oldest first
+  const flights = await Flight.find({
+    userId: req.user.id,
+    aircraft: aircraft._id,
+  }).sort({ date: 1 });
+
+  const routeMap = new Map();
+  flights.forEach((flight) => {
+    const origin = flight.originAirport?.code || 'unknown';
+    const destination = flight.destinationAirport?.code || 'unknown';
+    const key = `${origin}-${destination}`;
+
+    const entry = routeMap.get(key) || {
+      route: `${origin} → ${destination}`,
+      origin,
+      destination,
+      count: 0,
+      lastFlown: null,
+    };
+    entry.count += 1;
+    entry.lastFlown = flight.date;
+    routeMap.set(key, entry);
+  });
+
+  const routes = [...routeMap.values()].sort((a, b) => b.count - a.count);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      aircraft,
+      history: {
+        totalFlights: flights.length,
+        firstFlown: flights.length > 0 ? flights[0].date : null,
+        lastFlown: flights.length > 0 ? flights[flights.length - 1].date : null,
+        routes,
+        flights: flights.map((flight) => ({
+          _id: flight._id,
+          flightNumber: flight.getFormattedFlightInfo(),
+          date: flight.date,
+          localDate: flight.localDate || null,
+          route: flight.route,
+          seat: flight.seat || null,
+        })),
+      },
+    },
+  });
+});
+
+exports.getReunions = catchAsync(async (req, res, next) => {
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  const reunions = await Flight.getReunions(req.user.id);
+
   res.status(200).json({
     status: 'success',
-    message: 'Get aircraft profile endpoint - implementation coming soon',
     data: {
-      tailNumber: req.params.tail,
+      reunions,
+      totalCount: reunions.length,
     },
   });
 });
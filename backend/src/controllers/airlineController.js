@@ -1,7 +1,7 @@
 const { validationResult } = require('express-validator');
-const Airline = require('../models/Airline');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const airlineService = require('../services/airlineService');
 
 exports.searchAirlines = catchAsync(async (req, res, next) => {
   // Check validation errors
@@ -11,13 +11,17 @@ exports.searchAirlines = catchAsync(async (req, res, next) => {
   }
 
   const { q } = req.query;
+  const limit = parseInt(req.query.limit, 10) || 10;
+
+  const airlines = await airlineService.searchAirlines(q, limit);
 
   res.status(200).json({
     status: 'success',
-    message: 'Airline search endpoint - implementation coming soon',
+    message: `Found ${airlines.length} airline(s) matching "${q}"`,
     data: {
       query: q,
-      airlines: [],
+      airlines,
+      totalCount: airlines.length,
     },
   });
-}); 
\ No newline at end of file
+});
\ No newline at end of file
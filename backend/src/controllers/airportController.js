@@ -0,0 +1,51 @@
+const { validationResult } = require('express-validator');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const airportService = require('../services/airportService');
+
+exports.searchAirports = catchAsync(async (req, res, next) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  const { q } = req.query;
+  const limit = parseInt(req.query.limit, 10) || 10;
+
+  const airports = await airportService.searchAirports(q, limit);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Found ${airports.length} airport(s) matching "${q}"`,
+    data: {
+      query: q,
+      airports,
+      totalCount: airports.length,
+    },
+  });
+});
+
+exports.getAirport = catchAsync(async (req, res, next) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  const top = parseInt(req.query.top, 10) || 5;
+
+  const { airport, stats } = await airportService.getAirportDetail(
+    req.params.code,
+    req.user.id,
+    { top },
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      airport,
+      stats,
+    },
+  });
+});
@@ -152,6 +152,16 @@ exports.protect = catchAsync(async (req, res, next) => {
   next();
 });
 
+// Only let users with one of the given roles through (use after protect)
+exports.restrictTo = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return next(
+      new AppError('You do not have permission to perform this action', 403)
+    );
+  }
+  next();
+};
+
 exports.getMe = catchAsync(async (req, res, next) => {
   res.status(200).json({
     status: 'success',
@@ -6,7 +6,14 @@ const Airline = require('../models/Airline');
 const User = require('../models/User');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const logger = require('../utils/logger');
+const { isDateOnly } = require('../utils/dates');
 const flightAwareService = require('../services/flightAwareService');
+const flightDataProviders = require('../services/flightData');
+const flightService = require('../services/flightService');
+const importService = require('../services/importService');
+const importAdapters = require('../services/importAdapters');
+const exportService = require('../services/exportService');
 
 exports.lookupFlight = catchAsync(async (req, res, next) => {
   console.log('🛩️  ===== FLIGHT LOOKUP ENDPOINT HIT =====');
@@ -40,7 +47,8 @@ exports.lookupFlight = catchAsync(async (req, res, next) => {
     const flightData = await flightAwareService.searchFlights(
       flightNumber,
       date || null,
-      time || null
+      time || null,
+      { userId: req.user?.id }
     );
 
     // Log the search for analytics
@@ -67,6 +75,7 @@ exports.lookupFlight = catchAsync(async (req, res, next) => {
         },
         flights: flightData.flights,
         totalCount: flightData.totalCount,
+        provider: flightData.provider,
       },
     });
 
@@ -111,9 +120,9 @@ exports.createFlight = catchAsync(async (req, res, next) => {
     const airlineService = require('../services/airlineService');
     const entityService = require('../services/entityService');
 
-    // Step 1: Parse airline and flight number from identifier
-    const { airline, flightNumber } = await airlineService.getAirlineFromFlightIdent(flightData.ident);
-    console.log('✈️  ✅ Airline resolved:', airline.name, `(${airline.iataCode})`);
+    // Step 1: Resolve the operating airline and flight number (codeshares map to the operator)
+    const { airline, flightNumber } = await airlineService.getOperatingAirline(flightData);
+    console.log('✈️  ✅ Airline resolved:', airline.name, `(${airline.code})`);
 
     // Step 2: Find or create aircraft (linked to the airline)
     const aircraft = await entityService.findOrCreateAircraft(flightData.aircraft, airline);
@@ -126,26 +135,24 @@ exports.createFlight = catchAsync(async (req, res, next) => {
       entityService.findOrCreateAirport(flightData.destination),
     ]);
     console.log('✈️  ✅ Airports resolved:', 
-      `${originAirport.iataCode} → ${destinationAirport.iataCode}`);
+      `${originAirport.code} → ${destinationAirport.code}`);
 
     // Step 4: Transform flight times
     const times = entityService.transformFlightTimes(flightData);
     const flightDate = entityService.extractFlightDate(flightData);
+    const localDate = flightService.getLocalDate(flightDate, originAirport);
 
-    // Step 5: Check for duplicate flights
-    const existingFlight = await Flight.findOne({
+    // Step 5: Check for duplicate flights (same local departure day)
+    const existingFlight = await flightService.findDuplicateFlight({
       userId: req.user.id,
-      airline: airline._id,
+      airlineId: airline._id,
       flightNumber,
-      date: {
-        $gte: new Date(flightDate.getFullYear(), flightDate.getMonth(), flightDate.getDate()),
-        $lt: new Date(flightDate.getFullYear(), flightDate.getMonth(), flightDate.getDate() + 1),
-      },
+      localDate,
     });
 
     if (existingFlight) {
       return next(new AppError(
-        `Flight ${flightData.ident} on ${flightDate.toDateString()} is already in your hangar`, 
+        `Flight ${flightData.ident} on ${localDate} is already in your hangar`, 
         409
       ));
     }
@@ -156,13 +163,24 @@ exports.createFlight = catchAsync(async (req, res, next) => {
       flightNumber,
       airline: airline._id,
       date: flightDate,
+      localDate,
       originAirport: originAirport._id,
       destinationAirport: destinationAirport._id,
       aircraft: aircraft._id,
       times,
+      delays: entityService.extractFlightDelays(flightData),
       notes: notes?.trim() || undefined,
       seat: seatNumber?.trim()?.toUpperCase() || undefined,
       flightAwareData: flightData, // Store original FlightAware response
+      faFlightId: flightData.faFlightId,
+      provider: flightDataProviders.providerIds.includes(flightData.provider)
+        ? flightData.provider
+        : undefined,
+      // Follow the flight until it lands so actual times and aircraft swaps are picked up
+      tracking: flightData.faFlightId
+        ? { status: flightService.getTrackingStatus(flightData) }
+        : undefined,
+      ...flightService.getRouteFields(originAirport, destinationAirport),
     };
 
     const flight = await Flight.create(newFlightData);
@@ -171,19 +189,23 @@ exports.createFlight = catchAsync(async (req, res, next) => {
     // Step 7: Populate the response with related data
     const populatedFlight = await Flight.findById(flight._id);
 
+    // Step 8: Let the user know if they've been on this airframe before
+    const reunion = await flightService.getReunion(req.user.id, flight, aircraft);
+
     res.status(201).json({
       status: 'success',
       message: `Flight ${flightData.ident} added to your hangar successfully`,
       data: {
         flight: populatedFlight,
         summary: {
-          flightNumber: `${airline.iataCode}${flightNumber}`,
-          route: `${originAirport.iataCode} → ${destinationAirport.iataCode}`,
+          flightNumber: `${airline.code}${flightNumber}`,
+          route: `${originAirport.code} → ${destinationAirport.code}`,
           aircraft: `${aircraft.manufacturer || ''} ${aircraft.model || aircraft.aircraftType}`.trim(),
-          date: flightDate.toDateString(),
+          date: localDate,
           seat: seatNumber || null,
           notes: notes || null,
         },
+        reunion,
       },
     });
 
@@ -191,7 +213,7 @@ exports.createFlight = catchAsync(async (req, res, next) => {
     console.error('✈️  ❌ Error creating flight:', error);
     
     // Handle specific error types
-    if (error.message.includes('Unknown airline code')) {
+    if (error.message.includes('Unknown airline code') || error.message.startsWith('Invalid flight number')) {
       return next(new AppError(
         `Unable to identify airline from flight number "${flightData.ident}". Please contact support.`,
         400
@@ -200,14 +222,14 @@ exports.createFlight = catchAsync(async (req, res, next) => {
     
     if (error.message.includes('Aircraft data is required')) {
       return next(new AppError(
-        'Insufficient aircraft information provided by FlightAware. Please try again.',
+        'Insufficient aircraft information provided by FlightAware. You can add this flight manually instead.',
         400
       ));
     }
     
     if (error.message.includes('Airport data is required')) {
       return next(new AppError(
-        'Insufficient airport information provided by FlightAware. Please try again.',
+        'Insufficient airport information provided by FlightAware. You can add this flight manually instead.',
         400
       ));
     }
@@ -223,6 +245,160 @@ exports.createFlight = catchAsync(async (req, res, next) => {
   }
 });
 
+exports.createManualFlight = catchAsync(async (req, res, next) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  const {
+    airlineCode,
+    flightNumber,
+    date,
+    origin,
+    destination,
+    tailNumber,
+    aircraftType,
+    seatNumber,
+    notes,
+  } = req.body;
+
+  try {
+    const {
+      flight,
+      airline,
+      originAirport,
+      destinationAirport,
+      aircraft,
+    } = await flightService.createManualFlight(req.user.id, {
+      airlineCode,
+      flightNumber,
+      date: new Date(date),
+      localDate: isDateOnly(date) ? date : undefined,
+      origin,
+      destination,
+      tailNumber,
+      aircraftType,
+      seat: seatNumber,
+      notes,
+    });
+    logger.debug(`Manual flight ${flight._id} created for user ${req.user.id}`);
+
+    const populatedFlight = await Flight.findById(flight._id);
+    const reunion = await flightService.getReunion(req.user.id, flight, aircraft);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Flight ${airline.code}${flight.flightNumber} added to your hangar successfully`,
+      data: {
+        flight: populatedFlight,
+        summary: {
+          flightNumber: `${airline.code}${flight.flightNumber}`,
+          route: `${originAirport.code} → ${destinationAirport.code}`,
+          aircraft: aircraft ? aircraft.getFormattedInfo() : null,
+          date: flight.localDate,
+          seat: flight.seat || null,
+          notes: flight.notes || null,
+        },
+        reunion,
+      },
+    });
+
+  } catch (error) {
+    logger.debug(`Manual flight not created for user ${req.user.id}: ${error.message}`);
+
+    if (error instanceof AppError) {
+      return next(error);
+    }
+
+    if (error.message.includes('Airport code is required')) {
+      return next(new AppError('Origin and destination airport codes are required', 400));
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors).map((err) => err.message).join('. ');
+      return next(new AppError(`Validation error: ${message}`, 400));
+    }
+
+    return next(new AppError('Failed to add flight to hangar. Please try again.', 500));
+  }
+});
+
+exports.importFlights = catchAsync(async (req, res, next) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return next(new AppError('CSV file content is required (send it with Content-Type: text/csv)', 400));
+  }
+
+  const dryRun = req.query.dryRun === 'true';
+  const report = await importService.importFlightsFromCsv(req.user.id, req.body, {
+    format: req.query.format || 'auto',
+    dryRun,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: dryRun
+      ? `${report.summary.ready} of ${report.summary.total} flight(s) ready to import`
+      : `Imported ${report.summary.imported} of ${report.summary.total} flight(s)`,
+    data: report,
+  });
+});
+
+exports.getImportFormats = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      formats: importAdapters.listAdapters(),
+    },
+  });
+};
+
+exports.exportFlights = catchAsync(async (req, res, next) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  const format = req.query.format || 'json';
+  const filename = `thatsmyplane-flights-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  res.status(200);
+  res.set({
+    'Content-Type': exportService.getContentType(format),
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+
+  try {
+    await exportService.writeFlights(req.user.id, format, res);
+    res.end();
+  } catch (error) {
+    logger.error(`Export for user ${req.user.id} failed: ${error.message}`);
+    // Headers are already sent, so the best we can do is cut the download short
+    res.destroy(error);
+  }
+});
+
 exports.getFlights = catchAsync(async (req, res, next) => {
   console.log('🛩️ ===== GET FLIGHTS (HANGAR) ENDPOINT HIT =====');
   console.log('🛩️ User ID:', req.user?.id);
@@ -233,42 +409,73 @@ exports.getFlights = catchAsync(async (req, res, next) => {
     return next(new AppError('User authentication required', 401));
   }
 
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  const {
+    cursor,
+    sortBy,
+    sortOrder,
+    from,
+    to,
+    airline,
+    airport,
+    aircraftType,
+    tail,
+  } = req.query;
+
+  let decodedCursor = null;
+  if (cursor) {
+    decodedCursor = Flight.decodeHangarCursor(cursor);
+    if (!decodedCursor) {
+      return next(new AppError('Invalid pagination cursor', 400));
+    }
+  }
+
+  // Bare YYYY-MM-DD dates match the local departure date (inclusive); timestamps match the instant
+  const hangarOptions = {
+    limit: parseInt(req.query.limit, 10) || 50,
+    cursor: decodedCursor,
+    sortBy,
+    sortOrder,
+    filters: {
+      from: from && !isDateOnly(from) ? new Date(from) : undefined,
+      to: to && !isDateOnly(to) ? new Date(to) : undefined,
+      fromLocalDate: isDateOnly(from) ? from : undefined,
+      toLocalDate: isDateOnly(to) ? to : undefined,
+      airline: airline?.toUpperCase(),
+      airport: airport?.toUpperCase(),
+      aircraftType: aircraftType?.toUpperCase(),
+      tail: tail?.toUpperCase(),
+    },
+  };
+
   try {
-    // Get user's flights with custom hangar sorting
-    console.log('🛩️ 🔍 Fetching hangar flights...');
-    const flights = await Flight.getHangarView(req.user.id);
-    
-    console.log(`🛩️ ✅ Found ${flights.length} flights in user's hangar`);
+    // Get one page of the user's flights plus stats for the whole filtered hangar
+    const { flights, stats, pagination } = await Flight.getHangarView(req.user.id, hangarOptions);
+
+    logger.debug(`Hangar page of ${flights.length} flight(s) for user ${req.user.id}`);
     if (flights.length > 0) {
       console.log('🛩️ 📊 First flight sample:', {
         _id: flights[0]._id,
         flightNumber: flights[0].flightNumber,
-        airline: flights[0].airline?.iataCode,
+        airline: flights[0].airline?.iataCode || flights[0].airline?.icaoCode,
         aircraft: flights[0].aircraft?.tailNumber,
         route: `${flights[0].originAirport?.iataCode} → ${flights[0].destinationAirport?.iataCode}`
       });
     }
 
-    // Calculate some hangar statistics
-    const stats = {
-      totalFlights: flights.length,
-      uniqueAircraft: [...new Set(flights.map(f => f.aircraft?.tailNumber || 'unknown'))].length,
-      uniqueAirlines: [...new Set(flights.map(f => f.airline?.iataCode || 'unknown'))].length,
-      uniqueAirports: [...new Set([
-        ...flights.map(f => f.originAirport?.iataCode || 'unknown'),
-        ...flights.map(f => f.destinationAirport?.iataCode || 'unknown')
-      ])].length,
-    };
-
-    console.log('🛩️ 📊 Calculated stats:', stats);
-
     res.status(200).json({
       status: 'success',
-      message: `Found ${flights.length} flight(s) in your hangar`,
+      message: `Found ${stats.totalFlights} flight(s) in your hangar`,
       data: {
         flights,
         stats,
-        totalCount: flights.length,
+        pagination,
+        totalCount: stats.totalFlights,
       },
     });
 
@@ -279,6 +486,30 @@ exports.getFlights = catchAsync(async (req, res, next) => {
   }
 });
 
+exports.getFlightStats = catchAsync(async (req, res, next) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  const top = parseInt(req.query.top, 10) || 10;
+  const stats = await Flight.getStats(req.user.id, { top });
+
+  logger.debug(`Flight stats computed for user ${req.user.id}: ${stats.totalFlights} flight(s)`);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      stats,
+    },
+  });
+});
+
 exports.getFlight = catchAsync(async (req, res, next) => {
   // Check validation errors
   const errors = validationResult(req);
@@ -286,11 +517,28 @@ exports.getFlight = catchAsync(async (req, res, next) => {
     return next(new AppError(errors.array()[0].msg, 400));
   }
 
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  const includeFlightAwareData = req.query.includeFlightAwareData === 'true';
+
+  // Scope the lookup to the current user so other users' flights read as not found
+  let query = Flight.findOne({ _id: req.params.id, userId: req.user.id });
+  if (includeFlightAwareData) {
+    query = query.select('+flightAwareData');
+  }
+
+  const flight = await query;
+
+  if (!flight) {
+    return next(new AppError('No flight found with that ID', 404));
+  }
+
   res.status(200).json({
     status: 'success',
-    message: 'Get single flight endpoint - implementation coming soon',
     data: {
-      flightId: req.params.id,
+      flight,
     },
   });
 });
@@ -302,12 +550,113 @@ exports.updateFlight = catchAsync(async (req, res, next) => {
     return next(new AppError(errors.array()[0].msg, 400));
   }
 
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  const flight = await Flight.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!flight) {
+    return next(new AppError('No flight found with that ID', 404));
+  }
+
+  const {
+    seat,
+    notes,
+    times,
+    tailNumber,
+    aircraftType,
+  } = req.body;
+
+  // Only touch the fields that were sent; null or empty clears the value
+  if (seat !== undefined) {
+    flight.seat = seat ? seat.trim().toUpperCase() : undefined;
+  }
+
+  if (notes !== undefined) {
+    flight.notes = notes?.trim() || undefined;
+  }
+
+  if (times) {
+    const toDate = (value) => (value ? new Date(value) : undefined);
+    const edited = new Set(flight.userEditedFields || []);
+    const setTime = (path, value) => {
+      flight.set(path, toDate(value));
+      edited.add(path);
+    };
+
+    ['departure', 'takeoff', 'landing', 'arrival'].forEach((field) => {
+      if (times.actual?.[field] !== undefined) {
+        setTime(`times.actual.${field}`, times.actual[field]);
+      }
+    });
+
+    // Older clients send the top-level gate/takeoff/landing times. The duration and stats
+    // read times.actual first, so those are corrected alongside the legacy fields
+    [['gate', 'departure'], ['takeoff', 'takeoff'], ['landing', 'landing']]
+      .forEach(([legacyField, field]) => {
+        if (times[legacyField] !== undefined) {
+          setTime(`times.${legacyField}`, times[legacyField]);
+          if (times.actual?.[field] === undefined) {
+            setTime(`times.actual.${field}`, times[legacyField]);
+          }
+        }
+      });
+
+    if (times.scheduled) {
+      ['departure', 'arrival'].forEach((field) => {
+        if (times.scheduled[field] !== undefined) {
+          setTime(`times.scheduled.${field}`, times.scheduled[field]);
+        }
+      });
+    }
+
+    flight.userEditedFields = [...edited];
+  }
+
+  // A corrected tail number re-links the flight to the right aircraft
+  if (tailNumber) {
+    const entityService = require('../services/entityService');
+
+    const normalizedTail = tailNumber.trim().toUpperCase();
+    const currentAircraft = flight.aircraft;
+
+    if (normalizedTail !== currentAircraft?.tailNumber) {
+      const aircraft = await entityService.findOrCreateAircraft(
+        {
+          registration: normalizedTail,
+          type: aircraftType || currentAircraft?.aircraftType || flight.aircraftType,
+        },
+        flight.airline
+      );
+      logger.debug(`Flight ${flight._id} re-linked from ${currentAircraft?.tailNumber} to ${aircraft.tailNumber}`);
+      flight.aircraft = aircraft._id;
+      // The aircraft now carries the type
+      flight.aircraftType = undefined;
+      // Keep the corrected tail through later refreshes
+      flight.userEditedFields = [...new Set([...(flight.userEditedFields || []), 'aircraft'])];
+    }
+  } else if (aircraftType !== undefined && !flight.aircraft) {
+    flight.aircraftType = aircraftType?.trim().toUpperCase() || undefined;
+  }
+
+  try {
+    await flight.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors).map((err) => err.message).join('. ');
+      return next(new AppError(`Validation error: ${message}`, 400));
+    }
+    throw error;
+  }
+
+  const updatedFlight = await Flight.findById(flight._id);
+
   res.status(200).json({
     status: 'success',
-    message: 'Update flight endpoint - implementation coming soon',
+    message: 'Flight updated successfully',
     data: {
-      flightId: req.params.id,
-      updates: req.body,
+      flight: updatedFlight,
     },
   });
 });
@@ -319,8 +668,70 @@ exports.deleteFlight = catchAsync(async (req, res, next) => {
     return next(new AppError(errors.array()[0].msg, 400));
   }
 
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  const flight = await Flight.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!flight) {
+    return next(new AppError('No flight found with that ID', 404));
+  }
+
+  // Soft delete - the flight stays restorable until the purge job removes it
+  await flight.softDelete();
+  logger.debug(`Flight ${flight._id} soft-deleted, restorable until ${flight.getRestoreDeadline().toISOString()}`);
+
   res.status(204).json({
     status: 'success',
     data: null,
   });
-}); 
\ No newline at end of file
+});
+
+exports.restoreFlight = catchAsync(async (req, res, next) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  if (!req.user?.id) {
+    return next(new AppError('User authentication required', 401));
+  }
+
+  const flight = await Flight.findRestorable(req.params.id, req.user.id);
+
+  if (!flight) {
+    return next(new AppError('No restorable flight found with that ID', 404));
+  }
+
+  // The same flight may have been added again since it was deleted
+  const localDate = flight.localDate
+    || flightService.getLocalDate(flight.date, flight.originAirport);
+  const existingFlight = await flightService.findDuplicateFlight({
+    userId: req.user.id,
+    airlineId: flight.airline._id,
+    flightNumber: flight.flightNumber,
+    localDate,
+    excludeId: flight._id,
+  });
+
+  if (existingFlight) {
+    return next(new AppError(
+      `Flight ${flight.getFormattedFlightInfo()} on ${localDate} is already in your hangar`,
+      409
+    ));
+  }
+
+  await flight.restore();
+
+  const restoredFlight = await Flight.findById(flight._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Flight restored to your hangar',
+    data: {
+      flight: restoredFlight,
+    },
+  });
+});
\ No newline at end of file
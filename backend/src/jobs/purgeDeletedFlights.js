@@ -0,0 +1,40 @@
+const Flight = require('../models/Flight');
+const logger = require('../utils/logger');
+
+// How often to look for flights past their restore window (default 6 hours)
+const PURGE_INTERVAL_MS = parseInt(process.env.FLIGHT_PURGE_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+
+/**
+ * Permanently remove soft-deleted flights whose restore window has passed
+ * @returns {Promise<number>} Number of flights purged
+ */
+const purgeDeletedFlights = async () => {
+  const { deletedCount } = await Flight.purgeDeleted();
+
+  if (deletedCount > 0) {
+    logger.info(`🗑️ Purged ${deletedCount} soft-deleted flight(s)`);
+  }
+
+  return deletedCount;
+};
+
+/**
+ * Run the purge on a fixed interval for the lifetime of the process
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startPurgeJob = () => {
+  const run = () => purgeDeletedFlights().catch((error) => {
+    logger.error('❌ Failed to purge deleted flights:', error.message);
+  });
+
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the purge job
+
+  logger.info(`🕒 Deleted flight purge job scheduled every ${PURGE_INTERVAL_MS / 1000}s`);
+  return timer;
+};
+
+module.exports = {
+  purgeDeletedFlights,
+  startPurgeJob,
+};
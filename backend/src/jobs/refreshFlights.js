@@ -0,0 +1,63 @@
+const Flight = require('../models/Flight');
+const flightService = require('../services/flightService');
+const logger = require('../utils/logger');
+
+// How often to look for flights to refresh (default 15 minutes)
+const REFRESH_INTERVAL_MS = parseInt(process.env.FLIGHT_REFRESH_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+// Flights refreshed per run, to keep FlightAware usage bounded
+const REFRESH_BATCH_SIZE = parseInt(process.env.FLIGHT_REFRESH_BATCH_SIZE, 10) || 20;
+
+// Only flights departing within this window are worth re-querying (default 1 day)
+const REFRESH_LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Re-query FlightAware for flights that haven't landed yet, least recently checked first
+ * @returns {Promise<number>} Number of flights refreshed
+ */
+const refreshActiveFlights = async () => {
+  const flights = await Flight.find({
+    dataSource: 'flightaware',
+    faFlightId: { $ne: null },
+    'tracking.status': 'active',
+    date: { $lte: new Date(Date.now() + REFRESH_LOOKAHEAD_MS) },
+  })
+    .sort({ 'tracking.lastCheckedAt': 1 })
+    .limit(REFRESH_BATCH_SIZE);
+
+  let refreshed = 0;
+  // One at a time to stay friendly with the FlightAware rate limit
+  // eslint-disable-next-line no-restricted-syntax
+  for (const flight of flights) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await flightService.refreshFlight(flight);
+      refreshed += 1;
+    } catch (error) {
+      logger.warn(`⚠️  Failed to refresh flight ${flight._id}:`, error.message);
+    }
+  }
+
+  return refreshed;
+};
+
+/**
+ * Run the refresher on a fixed interval for the lifetime of the process
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startRefreshJob = () => {
+  const run = () => refreshActiveFlights().catch((error) => {
+    logger.error('❌ Failed to refresh flights:', error.message);
+  });
+
+  const timer = setInterval(run, REFRESH_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the refresher
+
+  logger.info(`🕒 Flight refresh job scheduled every ${REFRESH_INTERVAL_MS / 1000}s`);
+  return timer;
+};
+
+module.exports = {
+  refreshActiveFlights,
+  startRefreshJob,
+};
@@ -82,6 +82,7 @@ aircraftSchema.virtual('flightCount', {
   ref: 'Flight',
   localField: '_id',
   foreignField: 'aircraft',
+  match: { deletedAt: null }, // Soft-deleted flights don't count
   count: true,
 });
 
@@ -93,7 +94,7 @@ aircraftSchema.virtual('primaryPhoto').get(function() {
 // Virtual for operator info (airline name when populated)
 aircraftSchema.virtual('operatorInfo').get(function() {
   if (this.airline && typeof this.airline === 'object' && this.airline.name) {
-    return `${this.airline.name} (${this.airline.iataCode})`;
+    return `${this.airline.name} (${this.airline.code})`;
   }
   return 'Unknown Operator';
 });
@@ -7,13 +7,17 @@ const airlineSchema = new Schema({
     required: [true, 'Airline name is required'],
     trim: true,
   },
+  // Many operators (cargo, charter, regional) only have an ICAO code, so either may be missing
   iataCode: {
     type: String,
-    required: [true, 'IATA code is required'],
-    unique: true,
     uppercase: true,
     length: [2, 'IATA code must be exactly 2 characters'],
-    match: [/^[A-Z]{2}$/, 'IATA code must be 2 uppercase letters'],
+    // Letters or a letter and a digit (6E, U2, B6)
+    match: [/^(?:[A-Z][A-Z0-9]|[0-9][A-Z])$/, 'IATA code must be 2 uppercase letters or a letter and a digit'],
+    required: [
+      function() { return !this.icaoCode; },
+      'An IATA or ICAO code is required',
+    ],
   },
   icaoCode: {
     type: String,
@@ -21,6 +25,19 @@ const airlineSchema = new Schema({
     length: [3, 'ICAO code must be exactly 3 characters'],
     match: [/^[A-Z]{3}$/, 'ICAO code must be 3 uppercase letters'],
   },
+  callsign: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  country: {
+    type: String,
+    trim: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
   logo: {
     type: String,
     validate: {
@@ -37,9 +54,19 @@ const airlineSchema = new Schema({
 });
 
 // Indexes for performance
-airlineSchema.index({ iataCode: 1 });
+// IATA codes are unique among the airlines that have one
+airlineSchema.index(
+  { iataCode: 1 },
+  { unique: true, partialFilterExpression: { iataCode: { $type: 'string' } } }
+);
+airlineSchema.index({ icaoCode: 1 });
 airlineSchema.index({ name: 'text' }); // Text search index
 
+// Code shown to users: IATA when the airline has one, otherwise ICAO
+airlineSchema.virtual('code').get(function() {
+  return this.iataCode || this.icaoCode;
+});
+
 // Virtual for flight count (if needed)
 airlineSchema.virtual('flightCount', {
   ref: 'Flight',
@@ -17,13 +17,16 @@ const airportSchema = new Schema({
     required: [true, 'Country is required'],
     trim: true,
   },
+  // Many smaller airfields only have an ICAO code, so either code may be missing (not both)
   iataCode: {
     type: String,
-    required: [true, 'IATA code is required'],
-    unique: true,
     uppercase: true,
     length: [3, 'IATA code must be exactly 3 characters'],
     match: [/^[A-Z]{3}$/, 'IATA code must be 3 uppercase letters'],
+    required: [
+      function() { return !this.icaoCode; },
+      'An IATA or ICAO code is required',
+    ],
   },
   icaoCode: {
     type: String,
@@ -47,6 +50,10 @@ const airportSchema = new Schema({
       max: [180, 'Longitude must be between -180 and 180'],
     },
   },
+  // Feet above mean sea level
+  elevation: {
+    type: Number,
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -54,11 +61,20 @@ const airportSchema = new Schema({
 });
 
 // Indexes for performance
-airportSchema.index({ iataCode: 1 });
+// Unique among airports that have an IATA code; ICAO-only airports leave it unset
+airportSchema.index(
+  { iataCode: 1 },
+  { unique: true, partialFilterExpression: { iataCode: { $type: 'string' } } }
+);
 airportSchema.index({ icaoCode: 1 });
 airportSchema.index({ 'coordinates.lat': 1, 'coordinates.lng': 1 });
 airportSchema.index({ name: 'text', city: 'text', country: 'text' }); // Text search
 
+// Code shown to users: IATA when the airport has one, otherwise ICAO
+airportSchema.virtual('code').get(function() {
+  return this.iataCode || this.icaoCode;
+});
+
 // Virtual for flight count (if needed)
 airportSchema.virtual('departureCount', {
   ref: 'Flight',
@@ -89,7 +105,7 @@ airportSchema.statics.findOrCreate = async function(airportData) {
 
 // Instance method to get formatted location
 airportSchema.methods.getFormattedLocation = function() {
-  return `${this.name} (${this.iataCode}) - ${this.city}, ${this.country}`;
+  return `${this.name} (${this.code}) - ${this.city}, ${this.country}`;
 };
 
 const Airport = mongoose.model('Airport', airportSchema);
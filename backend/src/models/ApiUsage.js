@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// One counter per UTC day, user, provider and endpoint
+const apiUsageSchema = new Schema({
+  day: {
+    type: String,
+    required: [true, 'Usage day is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Usage day must be YYYY-MM-DD'],
+  },
+  month: {
+    type: String,
+    required: [true, 'Usage month is required'],
+    match: [/^\d{4}-\d{2}$/, 'Usage month must be YYYY-MM'],
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null, // Background jobs and airport lookups aren't made for a user
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+  },
+  endpoint: {
+    type: String,
+    required: [true, 'Endpoint is required'],
+  },
+  calls: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  cost: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+apiUsageSchema.index({
+  day: 1,
+  userId: 1,
+  provider: 1,
+  endpoint: 1,
+}, { unique: true });
+apiUsageSchema.index({ month: 1, userId: 1 });
+
+const ApiUsage = mongoose.model('ApiUsage', apiUsageSchema);
+
+module.exports = ApiUsage;
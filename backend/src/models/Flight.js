@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
+const { EARTH_RADIUS_KM, KM_PER_MILE, toDistanceUnits } = require('../utils/geo');
 const { Schema } = mongoose;
 
+// Out/off/on/in times of one kind (scheduled, estimated or actual)
+const gateAndRunwayTimes = () => ({
+  departure: Date, // Out: pushback from the departure gate
+  takeoff: Date, // Off: wheels up
+  landing: Date, // On: wheels down
+  arrival: Date, // In: at the arrival gate
+});
+
 const flightSchema = new Schema({
   userId: {
     type: Schema.Types.ObjectId,
@@ -22,6 +31,11 @@ const flightSchema = new Schema({
     type: Date,
     required: [true, 'Flight date is required'],
   },
+  localDate: {
+    // Departure date in the origin airport's time zone, the day the traveller would call it
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Local date must be YYYY-MM-DD'],
+  },
   originAirport: {
     type: Schema.Types.ObjectId,
     ref: 'Airport',
@@ -35,16 +49,30 @@ const flightSchema = new Schema({
   aircraft: {
     type: Schema.Types.ObjectId,
     ref: 'Aircraft',
-    required: [true, 'Aircraft is required'],
+    // Manually entered or imported flights may not know which airframe flew them
+    required: [function() { return this.dataSource === 'flightaware'; }, 'Aircraft is required'],
+  },
+  // Type of a flight whose tail number isn't known; flights linked to an aircraft use its type
+  aircraftType: {
+    type: String,
+    trim: true,
   },
   times: {
+    // Actual gate departure, takeoff and landing; filled from FlightAware and editable by the user
     gate: Date,
     takeoff: Date,
     landing: Date,
-    scheduled: {
-      departure: Date,
-      arrival: Date,
-    },
+    scheduled: gateAndRunwayTimes(),
+    estimated: gateAndRunwayTimes(),
+    actual: gateAndRunwayTimes(),
+  },
+  // Time paths (e.g. "times.actual.takeoff") the user corrected, and "aircraft" for a corrected
+  // tail; the refresher leaves them alone
+  userEditedFields: [String],
+  delays: {
+    // Minutes behind schedule at the gate, negative when early
+    departure: Number,
+    arrival: Number,
   },
   notes: {
     type: String,
@@ -56,10 +84,61 @@ const flightSchema = new Schema({
     uppercase: true,
     match: [/^[0-9]{1,3}[A-Z]?$/, 'Invalid seat format'],
   },
+  distance: {
+    // Great-circle distance between the origin and destination airports
+    km: Number,
+    mi: Number,
+    nm: Number,
+  },
+  routeGeometry: {
+    type: String, // Encoded great-circle polyline (Google polyline format)
+  },
+  dataSource: {
+    type: String,
+    enum: {
+      values: ['flightaware', 'manual', 'import'],
+      message: 'Data source must be flightaware, manual or import',
+    },
+    default: 'flightaware',
+  },
+  faFlightId: {
+    type: String, // FlightAware flight ID, used to refresh the flight after it was added
+  },
+  provider: {
+    type: String, // Flight data provider that answered the lookup (e.g. aeroapi, opensky)
+  },
+  tracking: {
+    // Whether the refresher is still following this flight on FlightAware
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'cancelled', 'expired'],
+    },
+    lastStatus: String, // FlightAware's status text, e.g. "Landed / Taxiing"
+    lastCheckedAt: Date,
+    checks: {
+      type: Number,
+      default: 0,
+    },
+  },
+  changeHistory: [{
+    _id: false,
+    field: String,
+    from: Schema.Types.Mixed,
+    to: Schema.Types.Mixed,
+    changedAt: Date,
+    source: {
+      type: String,
+      default: 'flightaware',
+    },
+  }],
   flightAwareData: {
     type: Schema.Types.Mixed,
     select: false, // Don't include in queries by default
   },
+  deletedAt: {
+    type: Date,
+    default: null, // Set when the flight is soft-deleted
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -70,34 +149,69 @@ const flightSchema = new Schema({
 flightSchema.index({ userId: 1, date: -1 });
 flightSchema.index({ userId: 1, aircraft: 1, date: -1 });
 flightSchema.index({ airline: 1, flightNumber: 1, date: 1 });
+flightSchema.index({
+  userId: 1,
+  airline: 1,
+  flightNumber: 1,
+  localDate: 1,
+});
+flightSchema.index({ deletedAt: 1 });
+flightSchema.index({ 'tracking.status': 1, 'tracking.lastCheckedAt': 1 });
+
+// Soft-deleted flights can be restored for this long before they are purged
+const RESTORE_WINDOW_DAYS = 30;
 
-// Virtual for flight duration
+// Virtual for flight duration in milliseconds: block time (gate to gate) and air time
+// (wheels up to wheels down). Real times win, falling back to the schedule before the flight.
 flightSchema.virtual('duration').get(function() {
-  if (this.times.takeoff && this.times.landing) {
-    return this.times.landing - this.times.takeoff;
+  const {
+    gate,
+    takeoff,
+    landing,
+    scheduled = {},
+    actual = {},
+  } = this.times || {};
+  const between = (start, end) => (start && end ? end - start : null);
+
+  const block = between(actual.departure || gate, actual.arrival)
+    ?? between(scheduled.departure, scheduled.arrival);
+  const air = between(actual.takeoff || takeoff, actual.landing || landing)
+    ?? between(scheduled.takeoff, scheduled.landing);
+
+  if (block === null && air === null) {
+    return null;
   }
-  return null;
+  return { block, air };
 });
 
 // Virtual for route display
 flightSchema.virtual('route').get(function() {
   if (this.populated('originAirport') && this.populated('destinationAirport')) {
-    return `${this.originAirport.iataCode} → ${this.destinationAirport.iataCode}`;
+    return `${this.originAirport.code} → ${this.destinationAirport.code}`;
   }
   return null;
 });
 
+// Hide soft-deleted flights unless the query filters on deletedAt itself
+flightSchema.pre(/^find/, function(next) {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+
+  next();
+});
+
 // Pre-populate related documents
 flightSchema.pre(/^find/, function(next) {
   this.populate({
     path: 'airline',
-    select: 'name iataCode logo',
+    select: 'name iataCode icaoCode logo',
   }).populate({
     path: 'originAirport',
-    select: 'name iataCode city country',
+    select: 'name iataCode icaoCode city country timezone coordinates',
   }).populate({
     path: 'destinationAirport',
-    select: 'name iataCode city country',
+    select: 'name iataCode icaoCode city country timezone coordinates',
   }).populate({
     path: 'aircraft',
     select: 'tailNumber aircraftType manufacturer model photos airline',
@@ -110,11 +224,159 @@ flightSchema.pre(/^find/, function(next) {
   next();
 });
 
-// Static method for hangar view (ordered by tail number, then date desc)
-flightSchema.statics.getHangarView = async function(userId) {
-  return this.aggregate([
+// Label for a looked-up airport or airline: its IATA code, or the ICAO code when it has none
+const codeOf = (path) => ({ $ifNull: [`${path}.iataCode`, `${path}.icaoCode`] });
+
+// Sortable hangar fields and the pipeline path each one sorts on
+const HANGAR_SORT_FIELDS = {
+  date: 'date',
+  tailNumber: 'aircraft.tailNumber',
+  airline: 'airline.iataCode',
+  flightNumber: 'flightNumber',
+};
+
+// Read a (possibly nested) value from an aggregation result by dotted path
+const getPathValue = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Build the $match that resumes a sorted list after the cursor position.
+// Ties on the sort value are broken by _id, which always sorts in the same direction.
+const buildCursorMatch = (sortPath, direction, cursor) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  const id = new mongoose.Types.ObjectId(cursor.id);
+
+  if (cursor.value === null) {
+    // Missing values sort first ascending and last descending
+    return direction === 1
+      ? { $or: [{ [sortPath]: null, _id: { [op]: id } }, { [sortPath]: { $ne: null } }] }
+      : { [sortPath]: null, _id: { [op]: id } };
+  }
+
+  const value = sortPath === 'date' ? new Date(cursor.value) : cursor.value;
+  const match = {
+    $or: [
+      { [sortPath]: { [op]: value } },
+      { [sortPath]: value, _id: { [op]: id } },
+    ],
+  };
+
+  // Descending lists end with the flights that have no value for the sort field
+  if (direction === -1) {
+    match.$or.push({ [sortPath]: null });
+  }
+
+  return match;
+};
+
+// Static method to encode the position after a hangar flight as an opaque cursor
+flightSchema.statics.encodeHangarCursor = function(flight, sortBy = 'date') {
+  const value = getPathValue(flight, HANGAR_SORT_FIELDS[sortBy]);
+  return Buffer.from(JSON.stringify({
+    value: value === undefined ? null : value,
+    id: flight._id.toString(),
+  })).toString('base64url');
+};
+
+// Static method to decode a hangar cursor; returns null when it is malformed
+flightSchema.statics.decodeHangarCursor = function(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.id) || !('value' in decoded)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Static method for the paged hangar view.
+ * Filtering, sorting and paging all happen in the aggregation pipeline;
+ * stats come from a separate $facet so they describe the whole filtered hangar, not one page.
+ * @param {string} userId - Owner of the hangar
+ * @param {object} options - Paging, sorting and filter options
+ * @param {number} options.limit - Page size
+ * @param {object} options.cursor - Decoded cursor from a previous page (optional)
+ * @param {string} options.sortBy - One of date, tailNumber, airline, flightNumber
+ * @param {string} options.sortOrder - asc or desc
+ * @param {object} options.filters - from, to, fromLocalDate, toLocalDate, airline, airport,
+ *   aircraftType, tail (all optional)
+ * @returns {Promise<object>} { flights, stats, pagination }
+ */
+flightSchema.statics.getHangarView = async function(userId, options = {}) {
+  const {
+    limit = 50,
+    cursor = null,
+    sortBy = 'date',
+    sortOrder = 'desc',
+    filters = {},
+  } = options;
+
+  const sortPath = HANGAR_SORT_FIELDS[sortBy] || HANGAR_SORT_FIELDS.date;
+  const direction = sortOrder === 'asc' ? 1 : -1;
+
+  // Filters on the flight itself run before the lookups
+  const flightMatch = {
+    userId: new mongoose.Types.ObjectId(userId),
+    deletedAt: null,
+  };
+  if (filters.from || filters.to) {
+    flightMatch.date = {};
+    if (filters.from) flightMatch.date.$gte = filters.from;
+    if (filters.to) flightMatch.date.$lt = filters.to;
+  }
+  // Bare dates are compared against the local departure date
+  if (filters.fromLocalDate || filters.toLocalDate) {
+    flightMatch.localDate = {};
+    if (filters.fromLocalDate) flightMatch.localDate.$gte = filters.fromLocalDate;
+    if (filters.toLocalDate) flightMatch.localDate.$lte = filters.toLocalDate;
+  }
+
+  // Filters on related documents run once they have been looked up
+  const relatedMatch = {};
+  if (filters.airline) {
+    relatedMatch.$or = [
+      { 'airline.iataCode': filters.airline },
+      { 'airline.icaoCode': filters.airline },
+    ];
+  }
+  if (filters.airport) {
+    relatedMatch.$and = [{
+      $or: [
+        { 'originAirport.iataCode': filters.airport },
+        { 'originAirport.icaoCode': filters.airport },
+        { 'destinationAirport.iataCode': filters.airport },
+        { 'destinationAirport.icaoCode': filters.airport },
+      ],
+    }];
+  }
+  if (filters.aircraftType) {
+    relatedMatch.$and = [
+      ...(relatedMatch.$and || []),
+      {
+        $or: [
+          { 'aircraft.aircraftType': filters.aircraftType },
+          { aircraft: null, aircraftType: filters.aircraftType },
+        ],
+      },
+    ];
+  }
+  if (filters.tail) {
+    relatedMatch['aircraft.tailNumber'] = filters.tail;
+  }
+
+  const pageStages = [];
+  if (cursor) {
+    pageStages.push({ $match: buildCursorMatch(sortPath, direction, cursor) });
+  }
+  pageStages.push(
+    { $sort: { [sortPath]: direction, _id: direction } },
+    { $limit: limit + 1 } // One extra to know whether another page exists
+  );
+
+  const [result] = await this.aggregate([
     {
-      $match: { userId: new mongoose.Types.ObjectId(userId) }
+      $match: flightMatch
     },
     {
       $lookup: {
@@ -152,9 +414,13 @@ flightSchema.statics.getHangarView = async function(userId) {
       $project: {
         flightNumber: 1,
         date: 1,
+        localDate: 1,
         times: 1,
         notes: 1,
         seat: 1,
+        aircraftType: 1,
+        distance: 1,
+        dataSource: 1,
         createdAt: 1,
         updatedAt: 1,
         aircraft: {
@@ -175,16 +441,604 @@ flightSchema.statics.getHangarView = async function(userId) {
       }
     },
     {
-      $sort: {
-        'date': -1
+      $match: relatedMatch
+    },
+    {
+      $facet: {
+        flights: pageStages,
+        stats: [
+          {
+            $group: {
+              _id: null,
+              totalFlights: { $sum: 1 },
+              aircraft: { $addToSet: "$aircraft.tailNumber" },
+              airlines: { $addToSet: "$airline._id" },
+              // ICAO-only airports have no IATA code to tell them apart
+              originAirports: { $addToSet: codeOf("$originAirport") },
+              destinationAirports: { $addToSet: codeOf("$destinationAirport") }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              totalFlights: 1,
+              uniqueAircraft: { $size: "$aircraft" },
+              uniqueAirlines: { $size: "$airlines" },
+              uniqueAirports: {
+                $size: { $setUnion: ["$originAirports", "$destinationAirports"] }
+              }
+            }
+          }
+        ]
       }
     }
   ]);
+
+  const hasMore = result.flights.length > limit;
+  const flights = hasMore ? result.flights.slice(0, limit) : result.flights;
+  const stats = result.stats[0] || {
+    totalFlights: 0,
+    uniqueAircraft: 0,
+    uniqueAirlines: 0,
+    uniqueAirports: 0,
+  };
+
+  return {
+    flights,
+    stats,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? this.encodeHangarCursor(flights[flights.length - 1], sortBy) : null,
+      sortBy,
+      sortOrder: direction === 1 ? 'asc' : 'desc',
+    },
+  };
+};
+
+// Aggregation expression for the great-circle (haversine) distance in km between two airports.
+// Evaluates to null when either airport has no coordinates.
+const greatCircleKmExpression = (fromPath, toPath) => ({
+  $cond: {
+    if: {
+      $and: [
+        { $isNumber: `${fromPath}.coordinates.lat` },
+        { $isNumber: `${fromPath}.coordinates.lng` },
+        { $isNumber: `${toPath}.coordinates.lat` },
+        { $isNumber: `${toPath}.coordinates.lng` },
+      ],
+    },
+    then: {
+      $let: {
+        vars: {
+          lat1: { $degreesToRadians: `${fromPath}.coordinates.lat` },
+          lat2: { $degreesToRadians: `${toPath}.coordinates.lat` },
+          dLat: {
+            $degreesToRadians: {
+              $subtract: [`${toPath}.coordinates.lat`, `${fromPath}.coordinates.lat`],
+            },
+          },
+          dLng: {
+            $degreesToRadians: {
+              $subtract: [`${toPath}.coordinates.lng`, `${fromPath}.coordinates.lng`],
+            },
+          },
+        },
+        in: {
+          $multiply: [2, EARTH_RADIUS_KM, {
+            $asin: {
+              $sqrt: {
+                $add: [
+                  { $pow: [{ $sin: { $divide: ['$$dLat', 2] } }, 2] },
+                  {
+                    $multiply: [
+                      { $cos: '$$lat1' },
+                      { $cos: '$$lat2' },
+                      { $pow: [{ $sin: { $divide: ['$$dLng', 2] } }, 2] },
+                    ],
+                  },
+                ],
+              },
+            },
+          }],
+        },
+      },
+    },
+    else: null,
+  },
+});
+
+// Aggregation expression for the local departure date (YYYY-MM-DD), UTC for flights without one
+const localDayExpression = {
+  $ifNull: ['$localDate', { $dateToString: { format: '%Y-%m-%d', date: '$date' } }],
+};
+
+// Group stage that ranks a field by flight count and keeps the top entries
+const topBy = (groupId, extraFields, limit) => [
+  // Flights missing a grouped field don't count towards the ranking
+  {
+    $match: Object.fromEntries(
+      Object.values(groupId).map((path) => [path.slice(1), { $ne: null }])
+    ),
+  },
+  {
+    $group: {
+      _id: groupId,
+      count: { $sum: 1 },
+      distanceKm: { $sum: '$distanceKm' },
+      ...extraFields,
+    },
+  },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: limit },
+];
+
+// Projection of a flight for the longest/shortest records
+const flightSummaryProjection = {
+  _id: 1,
+  date: 1,
+  localDate: 1,
+  flightNumber: { $concat: [{ $ifNull: [codeOf('$airline'), ''] }, '$flightNumber'] },
+  origin: codeOf('$origin'),
+  destination: codeOf('$destination'),
+  distanceKm: { $round: ['$distanceKm', 0] },
+};
+
+/**
+ * Static method for personal flying statistics, computed entirely in one aggregation.
+ * Distance uses FlightAware's route distance (statute miles) when present, then the stored
+ * great-circle distance, then a great-circle calculation from the airports' coordinates.
+ * Top lists group on document IDs, so airports and airlines without an IATA code still rank.
+ * @param {string} userId - Owner of the hangar
+ * @param {object} options - Options
+ * @param {number} options.top - How many entries the "top" lists keep
+ * @returns {Promise<object>} Statistics
+ */
+flightSchema.statics.getStats = async function(userId, { top = 10 } = {}) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        deletedAt: null,
+      },
+    },
+    ...[
+      ['airports', 'originAirport', 'origin'],
+      ['airports', 'destinationAirport', 'destination'],
+      ['airlines', 'airline', 'airline'],
+      ['aircrafts', 'aircraft', 'aircraft'],
+    ].map(([from, localField, as]) => ({
+      $lookup: {
+        from,
+        localField,
+        foreignField: '_id',
+        as,
+      },
+    })),
+    {
+      $addFields: {
+        origin: { $arrayElemAt: ['$origin', 0] },
+        destination: { $arrayElemAt: ['$destination', 0] },
+        airline: { $arrayElemAt: ['$airline', 0] },
+        aircraft: { $arrayElemAt: ['$aircraft', 0] },
+      },
+    },
+    {
+      $addFields: {
+        // Flights without a known tail carry their type themselves
+        aircraftType: { $ifNull: ['$aircraft.aircraftType', '$aircraftType'] },
+        distanceKm: {
+          $cond: {
+            if: { $gt: [{ $ifNull: ['$flightAwareData.distance', 0] }, 0] },
+            then: { $multiply: ['$flightAwareData.distance', KM_PER_MILE] },
+            else: { $ifNull: ['$distance.km', greatCircleKmExpression('$origin', '$destination')] },
+          },
+        },
+        // Real wheels-off to wheels-on time when known, otherwise the scheduled block time
+        airborneMs: {
+          $let: {
+            vars: {
+              takeoff: { $ifNull: ['$times.actual.takeoff', '$times.takeoff'] },
+              landing: { $ifNull: ['$times.actual.landing', '$times.landing'] },
+            },
+            in: {
+              $cond: {
+                if: { $and: ['$$takeoff', '$$landing'] },
+                then: { $subtract: ['$$landing', '$$takeoff'] },
+                else: {
+                  $cond: {
+                    if: { $and: ['$times.scheduled.departure', '$times.scheduled.arrival'] },
+                    then: { $subtract: ['$times.scheduled.arrival', '$times.scheduled.departure'] },
+                    else: null,
+                  },
+                },
+              },
+            },
+          },
+        },
+        // Years and months follow the local departure date, as the traveller experienced them
+        year: { $toInt: { $substrBytes: [localDayExpression, 0, 4] } },
+        month: { $toInt: { $substrBytes: [localDayExpression, 5, 2] } },
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalFlights: { $sum: 1 },
+              distanceKm: { $sum: '$distanceKm' },
+              flightsWithDistance: { $sum: { $cond: [{ $ne: ['$distanceKm', null] }, 1, 0] } },
+              airborneMs: { $sum: '$airborneMs' },
+              flightsWithAirborneTime: { $sum: { $cond: [{ $ne: ['$airborneMs', null] }, 1, 0] } },
+            },
+          },
+        ],
+        flightsPerYear: [
+          { $group: { _id: '$year', count: { $sum: 1 }, distanceKm: { $sum: '$distanceKm' } } },
+          { $sort: { _id: 1 } },
+        ],
+        flightsPerMonth: [
+          {
+            $group: {
+              _id: { year: '$year', month: '$month' },
+              count: { $sum: 1 },
+              distanceKm: { $sum: '$distanceKm' },
+            },
+          },
+          { $sort: { '_id.year': 1, '_id.month': 1 } },
+        ],
+        topRoutes: topBy(
+          { originId: '$origin._id', destinationId: '$destination._id' },
+          {
+            origin: { $first: codeOf('$origin') },
+            destination: { $first: codeOf('$destination') },
+          },
+          top
+        ),
+        topAirlines: topBy(
+          { airlineId: '$airline._id' },
+          {
+            code: { $first: codeOf('$airline') },
+            iataCode: { $first: '$airline.iataCode' },
+            icaoCode: { $first: '$airline.icaoCode' },
+            name: { $first: '$airline.name' },
+          },
+          top
+        ),
+        topAirports: [
+          { $project: { airports: ['$origin', '$destination'], distanceKm: 1 } },
+          { $unwind: '$airports' },
+          ...topBy(
+            { airportId: '$airports._id' },
+            {
+              code: { $first: codeOf('$airports') },
+              iataCode: { $first: '$airports.iataCode' },
+              icaoCode: { $first: '$airports.icaoCode' },
+              name: { $first: '$airports.name' },
+              city: { $first: '$airports.city' },
+            },
+            top
+          ),
+        ],
+        topAircraftTypes: topBy({ aircraftType: '$aircraftType' }, {}, top),
+        topTails: topBy(
+          { tailNumber: '$aircraft.tailNumber' },
+          { aircraftType: { $first: '$aircraft.aircraftType' } },
+          top
+        ),
+        longestFlight: [
+          { $match: { distanceKm: { $ne: null } } },
+          { $sort: { distanceKm: -1 } },
+          { $limit: 1 },
+          { $project: flightSummaryProjection },
+        ],
+        shortestFlight: [
+          { $match: { distanceKm: { $ne: null } } },
+          { $sort: { distanceKm: 1 } },
+          { $limit: 1 },
+          { $project: flightSummaryProjection },
+        ],
+        countriesVisited: [
+          { $project: { countries: ['$origin.country', '$destination.country'] } },
+          { $unwind: '$countries' },
+          { $match: { countries: { $nin: [null, 'Unknown'] } } },
+          { $group: { _id: '$countries', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || {
+    totalFlights: 0,
+    distanceKm: 0,
+    flightsWithDistance: 0,
+    airborneMs: 0,
+    flightsWithAirborneTime: 0,
+  };
+
+  // Flatten {_id: {...}} group keys into plain entries
+  const flatten = (entries) => entries.map(({ _id, distanceKm, ...rest }) => ({
+    ...(typeof _id === 'object' && _id !== null ? _id : { value: _id }),
+    ...rest,
+    distanceKm: Math.round(distanceKm || 0),
+  }));
+
+  return {
+    totalFlights: totals.totalFlights,
+    totalDistance: {
+      ...toDistanceUnits(totals.distanceKm),
+      flightsIncluded: totals.flightsWithDistance,
+    },
+    totalAirborneTime: {
+      minutes: Math.round(totals.airborneMs / 60000),
+      hours: Math.round((totals.airborneMs / 3600000) * 10) / 10,
+      flightsIncluded: totals.flightsWithAirborneTime,
+    },
+    flightsPerYear: result.flightsPerYear.map(({ _id, count, distanceKm }) => ({
+      year: _id,
+      count,
+      distanceKm: Math.round(distanceKm || 0),
+    })),
+    flightsPerMonth: flatten(result.flightsPerMonth),
+    topRoutes: flatten(result.topRoutes),
+    topAirlines: flatten(result.topAirlines),
+    topAirports: flatten(result.topAirports),
+    topAircraftTypes: flatten(result.topAircraftTypes),
+    topTails: flatten(result.topTails),
+    longestFlight: result.longestFlight[0] || null,
+    shortestFlight: result.shortestFlight[0] || null,
+    countriesVisited: result.countriesVisited.map(({ _id, count }) => ({ country: _id, count })),
+  };
+};
+
+/**
+ * Static method for the user's history at one airport: departures, arrivals and the routes
+ * and airlines they have flown from or to it.
+ * @param {string} userId - Owner of the hangar
+ * @param {string} airportId - Airport to report on
+ * @param {object} options - Options
+ * @param {number} options.top - How many routes and airlines to keep
+ * @returns {Promise<object>} { totalFlights, departures, arrivals, firstVisit, lastVisit,
+ *   topRoutes, topAirlines }
+ */
+flightSchema.statics.getAirportStats = async function(userId, airportId, { top = 5 } = {}) {
+  const airport = new mongoose.Types.ObjectId(airportId);
+
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        deletedAt: null,
+        $or: [{ originAirport: airport }, { destinationAirport: airport }],
+      },
+    },
+    ...[
+      ['airports', 'originAirport', 'origin'],
+      ['airports', 'destinationAirport', 'destination'],
+      ['airlines', 'airline', 'airline'],
+    ].map(([from, localField, as]) => ({
+      $lookup: {
+        from,
+        localField,
+        foreignField: '_id',
+        as,
+      },
+    })),
+    {
+      $addFields: {
+        origin: { $arrayElemAt: ['$origin', 0] },
+        destination: { $arrayElemAt: ['$destination', 0] },
+        airline: { $arrayElemAt: ['$airline', 0] },
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalFlights: { $sum: 1 },
+              departures: { $sum: { $cond: [{ $eq: ['$originAirport', airport] }, 1, 0] } },
+              arrivals: { $sum: { $cond: [{ $eq: ['$destinationAirport', airport] }, 1, 0] } },
+              firstVisit: { $min: '$date' },
+              lastVisit: { $max: '$date' },
+            },
+          },
+        ],
+        topRoutes: [
+          {
+            $group: {
+              _id: { origin: '$originAirport', destination: '$destinationAirport' },
+              count: { $sum: 1 },
+              lastFlown: { $max: '$date' },
+              origin: { $first: '$origin' },
+              destination: { $first: '$destination' },
+            },
+          },
+          { $sort: { count: -1, lastFlown: -1 } },
+          { $limit: top },
+        ],
+        topAirlines: [
+          { $match: { airline: { $ne: null } } },
+          {
+            $group: {
+              _id: '$airline._id',
+              count: { $sum: 1 },
+              name: { $first: '$airline.name' },
+              iataCode: { $first: '$airline.iataCode' },
+              icaoCode: { $first: '$airline.icaoCode' },
+              logo: { $first: '$airline.logo' },
+            },
+          },
+          { $sort: { count: -1, name: 1 } },
+          { $limit: top },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || {
+    totalFlights: 0,
+    departures: 0,
+    arrivals: 0,
+    firstVisit: null,
+    lastVisit: null,
+  };
+
+  // Lookups return plain objects, so the IATA-or-ICAO code virtual isn't available
+  const airportCode = (entry) => entry?.iataCode || entry?.icaoCode || 'unknown';
+
+  return {
+    totalFlights: totals.totalFlights,
+    departures: totals.departures,
+    arrivals: totals.arrivals,
+    firstVisit: totals.firstVisit,
+    lastVisit: totals.lastVisit,
+    topRoutes: result.topRoutes.map(({
+      origin, destination, count, lastFlown,
+    }) => ({
+      route: `${airportCode(origin)} → ${airportCode(destination)}`,
+      origin: airportCode(origin),
+      destination: airportCode(destination),
+      originName: origin?.name || null,
+      destinationName: destination?.name || null,
+      count,
+      lastFlown,
+    })),
+    topAirlines: result.topAirlines,
+  };
+};
+
+/**
+ * Static method listing every aircraft the user has flown more than once,
+ * with the dates and routes of each flight on it, most-flown first.
+ * @param {string} userId - Owner of the hangar
+ * @returns {Promise<Array<object>>} Reunions: aircraft, timesFlown, firstFlown, lastFlown, flights
+ */
+flightSchema.statics.getReunions = async function(userId) {
+  return this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        deletedAt: null,
+        aircraft: { $ne: null },
+      },
+    },
+    { $sort: { date: 1 } },
+    ...[
+      ['airports', 'originAirport', 'origin'],
+      ['airports', 'destinationAirport', 'destination'],
+      ['airlines', 'airline', 'airline'],
+    ].map(([from, localField, as]) => ({
+      $lookup: {
+        from,
+        localField,
+        foreignField: '_id',
+        as,
+      },
+    })),
+    {
+      $addFields: {
+        origin: { $arrayElemAt: ['$origin', 0] },
+        destination: { $arrayElemAt: ['$destination', 0] },
+        airline: { $arrayElemAt: ['$airline', 0] },
+      },
+    },
+    {
+      $group: {
+        _id: '$aircraft',
+        timesFlown: { $sum: 1 },
+        firstFlown: { $min: '$date' },
+        lastFlown: { $max: '$date' },
+        flights: {
+          $push: {
+            _id: '$_id',
+            date: '$date',
+            localDate: '$localDate',
+            flightNumber: {
+              $concat: [{ $ifNull: [codeOf('$airline'), ''] }, '$flightNumber'],
+            },
+            origin: codeOf('$origin'),
+            destination: codeOf('$destination'),
+            seat: '$seat',
+          },
+        },
+      },
+    },
+    { $match: { timesFlown: { $gt: 1 } } },
+    {
+      $lookup: {
+        from: 'aircrafts',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'aircraft',
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        aircraft: {
+          $let: {
+            vars: { info: { $first: '$aircraft' } },
+            in: {
+              _id: '$$info._id',
+              tailNumber: '$$info.tailNumber',
+              aircraftType: '$$info.aircraftType',
+              manufacturer: '$$info.manufacturer',
+              model: '$$info.model',
+            },
+          },
+        },
+        timesFlown: 1,
+        firstFlown: 1,
+        lastFlown: 1,
+        flights: 1,
+      },
+    },
+    { $sort: { timesFlown: -1, lastFlown: -1 } },
+  ]);
+};
+
+// Static method to permanently remove flights whose restore window has passed
+flightSchema.statics.purgeDeleted = async function() {
+  const cutoff = new Date(Date.now() - RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  return this.deleteMany({ deletedAt: { $lt: cutoff } });
+};
+
+// Static method to find a soft-deleted flight that is still restorable
+flightSchema.statics.findRestorable = function(flightId, userId) {
+  const cutoff = new Date(Date.now() - RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  return this.findOne({
+    _id: flightId,
+    userId,
+    deletedAt: { $gte: cutoff },
+  });
+};
+
+// Instance method to soft-delete the flight
+flightSchema.methods.softDelete = function() {
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+// Instance method to restore a soft-deleted flight
+flightSchema.methods.restore = function() {
+  this.deletedAt = null;
+  return this.save();
+};
+
+// Instance method to get the last moment the flight can be restored
+flightSchema.methods.getRestoreDeadline = function() {
+  if (!this.deletedAt) return null;
+  return new Date(this.deletedAt.getTime() + RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
 };
 
 // Instance method to get formatted flight info
 flightSchema.methods.getFormattedFlightInfo = function() {
-  const airlineCode = this.populated('airline') ? this.airline.iataCode : '';
+  const airlineCode = this.populated('airline') ? this.airline.code : '';
   return `${airlineCode}${this.flightNumber}`;
 };
 
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const flightDataCacheSchema = new Schema({
+  key: {
+    type: String,
+    required: [true, 'Cache key is required'],
+    unique: true,
+  },
+  namespace: {
+    type: String,
+    required: [true, 'Cache namespace is required'],
+    enum: {
+      values: ['search', 'flight', 'airport'],
+      message: 'Cache namespace must be search, flight or airport',
+    },
+  },
+  provider: {
+    type: String,
+    trim: true,
+  },
+  value: {
+    type: Schema.Types.Mixed,
+    required: [true, 'Cached value is required'],
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+// MongoDB removes entries once expiresAt has passed
+flightDataCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+flightDataCacheSchema.index({ namespace: 1 });
+
+const FlightDataCache = mongoose.model('FlightDataCache', flightDataCacheSchema);
+
+module.exports = FlightDataCache;
@@ -41,6 +41,14 @@ const userSchema = new Schema({
     minlength: [8, 'Password must be at least 8 characters long'],
     select: false, // Don't include password in queries by default
   },
+  role: {
+    type: String,
+    enum: {
+      values: ['user', 'admin'],
+      message: 'Role must be user or admin',
+    },
+    default: 'user',
+  },
   passwordChangedAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Flight = require('../Flight');
+const flightController = require('../../controllers/flightController');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+// Read a dotted path the way the pipeline does
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  return value;
+};
+
+// MongoDB orders missing values before everything else
+const compare = (a, b) => {
+  if (a == null || b == null) {
+    if (a == null && b == null) return 0;
+    return a == null ? -1 : 1;
+  }
+  const [x, y] = [comparable(a), comparable(b)];
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+};
+
+// Just enough of $match to evaluate the cursor conditions getHangarView builds
+const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') return condition.some((branch) => matches(doc, branch));
+  const value = valueAt(doc, key);
+  if (condition === null) return value == null;
+  if (condition instanceof Date || typeof condition !== 'object') {
+    return value != null && compare(value, condition) === 0;
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    if (op === '$ne') return operand === null ? value != null : compare(value, operand) !== 0;
+    if (value == null) return false;
+    return op === '$gt' ? compare(value, operand) > 0 : compare(value, operand) < 0;
+  });
+});
+
+const runStages = (docs, stages) => stages.reduce((current, stage) => {
+  if (stage.$match) return current.filter((doc) => matches(doc, stage.$match));
+  if (stage.$sort) {
+    const keys = Object.entries(stage.$sort);
+    return [...current].sort((a, b) => keys.reduce(
+      (result, [path, direction]) => (
+        result || compare(valueAt(a, path), valueAt(b, path)) * direction
+      ),
+      0,
+    ));
+  }
+  if (stage.$limit) return current.slice(0, stage.$limit);
+  return current;
+}, docs);
+
+// Stand in for the database: apply the page stages of the $facet to already-projected flights
+const mockAggregate = (docs) => jest.spyOn(Flight, 'aggregate').mockImplementation(async (pipeline) => {
+  const { $facet } = pipeline.find((stage) => stage.$facet);
+  return [{
+    flights: runStages(docs, $facet.flights),
+    stats: docs.length > 0
+      ? [{
+        totalFlights: docs.length,
+        uniqueAircraft: 1,
+        uniqueAirlines: 1,
+        uniqueAirports: 2,
+      }]
+      : [],
+  }];
+});
+
+const makeFlight = (date, tailNumber) => ({
+  _id: new mongoose.Types.ObjectId(),
+  date: date ? new Date(date) : null,
+  flightNumber: '1',
+  aircraft: tailNumber ? { tailNumber } : undefined,
+});
+
+// Follow nextCursor through every page, decoding it as the controller does.
+// A cursor that never advances fails instead of looping forever
+const collectPages = async (options, maxPages = 10) => {
+  const pages = [];
+  let cursor = null;
+  do {
+    if (pages.length === maxPages) {
+      throw new Error(`Still paging after ${maxPages} pages`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const { flights, pagination } = await Flight.getHangarView(userId, { ...options, cursor });
+    pages.push({ flights, pagination });
+    cursor = pagination.nextCursor ? Flight.decodeHangarCursor(pagination.nextCursor) : null;
+  } while (cursor);
+  return pages;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('hangar cursors', () => {
+  test('round-trip the sort value and id', () => {
+    const flight = makeFlight('2024-05-01T10:00:00Z', 'A6-EDA');
+
+    expect(Flight.decodeHangarCursor(Flight.encodeHangarCursor(flight))).toEqual({
+      value: '2024-05-01T10:00:00.000Z',
+      id: flight._id.toString(),
+    });
+    expect(Flight.decodeHangarCursor(Flight.encodeHangarCursor(flight, 'tailNumber'))).toEqual({
+      value: 'A6-EDA',
+      id: flight._id.toString(),
+    });
+  });
+
+  test('encode a missing sort value as null', () => {
+    const flight = makeFlight('2024-05-01T10:00:00Z');
+    expect(Flight.decodeHangarCursor(Flight.encodeHangarCursor(flight, 'tailNumber')).value)
+      .toBeNull();
+  });
+
+  test.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['JSON without an id', Buffer.from(JSON.stringify({ value: 1 })).toString('base64url')],
+    ['an invalid id', Buffer.from(JSON.stringify({ value: 1, id: 'x' })).toString('base64url')],
+    [
+      'no value',
+      Buffer.from(JSON.stringify({ id: new mongoose.Types.ObjectId().toString() }))
+        .toString('base64url'),
+    ],
+    ['JSON null', Buffer.from('null').toString('base64url')],
+  ])('reject %s', (description, cursor) => {
+    expect(Flight.decodeHangarCursor(cursor)).toBeNull();
+  });
+});
+
+describe('getHangarView paging', () => {
+  // Three flights share a date, so pages must break the tie on _id
+  const flights = [
+    makeFlight('2024-03-01T08:00:00Z', 'A6-EDA'),
+    makeFlight('2024-03-01T08:00:00Z', 'A6-EDB'),
+    makeFlight('2024-03-01T08:00:00Z', 'A6-EDC'),
+    makeFlight('2024-02-01T08:00:00Z', 'G-XLEA'),
+    makeFlight('2024-04-01T08:00:00Z'),
+    makeFlight(null, 'N12345'),
+  ];
+
+  test.each([
+    ['date', 'desc'],
+    ['date', 'asc'],
+    ['tailNumber', 'asc'],
+    ['tailNumber', 'desc'],
+  ])('walk every %s %s page once, tie-breaking equal values on _id', async (sortBy, sortOrder) => {
+    mockAggregate(flights);
+
+    const pages = await collectPages({ limit: 2, sortBy, sortOrder });
+    const seen = pages.flatMap((page) => page.flights.map((flight) => flight._id.toString()));
+
+    const path = sortBy === 'date' ? 'date' : 'aircraft.tailNumber';
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const expected = [...flights]
+      .sort((a, b) => direction * (
+        compare(valueAt(a, path), valueAt(b, path)) || compare(a._id, b._id)
+      ))
+      .map((flight) => flight._id.toString());
+
+    expect(seen).toEqual(expected);
+    expect(pages).toHaveLength(3);
+  });
+
+  test('return no cursor on the last page', async () => {
+    mockAggregate(flights);
+
+    const pages = await collectPages({ limit: 4 });
+
+    expect(pages.map((page) => page.flights.length)).toEqual([4, 2]);
+    expect(pages[0].pagination).toMatchObject({ hasMore: true, limit: 4, sortOrder: 'desc' });
+    expect(pages[1].pagination).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  test('return no cursor when everything fits on one page', async () => {
+    mockAggregate(flights);
+
+    const { flights: page, pagination } = await Flight.getHangarView(userId, { limit: 6 });
+
+    expect(page).toHaveLength(6);
+    expect(pagination.nextCursor).toBeNull();
+  });
+
+  test('report stats for the whole hangar, not the page', async () => {
+    mockAggregate(flights);
+
+    const { stats } = await Flight.getHangarView(userId, { limit: 1 });
+
+    expect(stats.totalFlights).toBe(6);
+  });
+
+  test('default stats for an empty hangar', async () => {
+    mockAggregate([]);
+
+    const { flights: page, stats, pagination } = await Flight.getHangarView(userId);
+
+    expect(page).toEqual([]);
+    expect(stats).toEqual({
+      totalFlights: 0,
+      uniqueAircraft: 0,
+      uniqueAirlines: 0,
+      uniqueAirports: 0,
+    });
+    expect(pagination).toMatchObject({ hasMore: false, nextCursor: null, limit: 50 });
+  });
+});
+
+describe('GET /api/flights cursor validation', () => {
+  test('answer 400 for an invalid cursor without querying', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const aggregate = mockAggregate([]);
+    const next = jest.fn();
+
+    flightController.getFlights(
+      { user: { id: userId }, query: { cursor: 'garbage' }, originalUrl: '/api/flights' },
+      {},
+      next,
+    );
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({
+      statusCode: 400,
+      message: 'Invalid pagination cursor',
+    }));
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,38 @@
+const express = require('express');
+const { query } = require('express-validator');
+const authController = require('../controllers/authController');
+const adminController = require('../controllers/adminController');
+const cacheService = require('../services/cacheService');
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(authController.protect, authController.restrictTo('admin'));
+
+// Validation middleware
+const purgeCacheValidation = [
+  query('namespace')
+    .optional()
+    .isIn(cacheService.namespaces)
+    .withMessage(`Namespace must be one of: ${cacheService.namespaces.join(', ')}`),
+];
+
+const usageReportValidation = [
+  query(['from', 'to'])
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Dates must be YYYY-MM-DD'),
+  query('interval')
+    .optional()
+    .isIn(['day', 'month'])
+    .withMessage('Interval must be day or month'),
+];
+
+// Flight data cache
+router.get('/cache', adminController.getCacheMetrics);
+router.delete('/cache', purgeCacheValidation, adminController.purgeCache);
+
+// AeroAPI spend
+router.get('/usage', usageReportValidation, adminController.getUsageReport);
+
+module.exports = router;
@@ -38,6 +38,7 @@ const imageSearchValidation = [
 
 // Routes with request size limits
 router.get('/image', imageSearchValidation, aircraftController.getAircraftImage);
+router.get('/reunions', aircraftController.getReunions);
 router.get('/:tail', tailNumberValidation, aircraftController.getAircraft);
 router.get('/:tail/photos', tailNumberValidation, aircraftController.getAircraftPhotos);
 router.post('/:registration/fetch-photos', aircraftLimiter, aircraftController.fetchAircraftPhotos);
@@ -15,6 +15,10 @@ const searchValidation = [
     .trim()
     .isLength({ min: 1, max: 50 })
     .withMessage('Search query must be between 1 and 50 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 25 })
+    .withMessage('Limit must be between 1 and 25'),
 ];
 
 // Routes
@@ -0,0 +1,40 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const authController = require('../controllers/authController');
+const airportController = require('../controllers/airportController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authController.protect);
+
+// Validation middleware
+const searchValidation = [
+  query('q')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Search query must be between 1 and 50 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 25 })
+    .withMessage('Limit must be between 1 and 25'),
+];
+
+const airportCodeValidation = [
+  param('code')
+    .isLength({ min: 3, max: 4 })
+    .withMessage('Airport code must be a 3-letter IATA or 4-letter ICAO code')
+    .isAlpha()
+    .withMessage('Airport code must be a 3-letter IATA or 4-letter ICAO code'),
+  query('top')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Top must be between 1 and 20'),
+];
+
+// Routes
+router.get('/search', searchValidation, airportController.searchAirports);
+router.get('/:code', airportCodeValidation, airportController.getAirport);
+
+module.exports = router;
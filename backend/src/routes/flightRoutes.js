@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const authController = require('../controllers/authController');
 const flightController = require('../controllers/flightController');
 
@@ -8,6 +8,7 @@ const router = express.Router();
 // Request size limiting middleware for specific endpoints
 const flightDataLimiter = express.json({ limit: '50kb' }); // For flight creation with detailed data
 const lookupLimiter = express.json({ limit: '5kb' });      // For flight lookups with minimal data
+const csvImportParser = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }); // For flight history imports
 
 // All routes require authentication
 router.use(authController.protect);
@@ -58,13 +59,15 @@ const createFlightValidation = [
     .isObject()
     .withMessage('Aircraft data must be an object'),
   body('flight.origin')
-    .optional()
     .isObject()
     .withMessage('Origin airport data must be an object'),
   body('flight.destination')
-    .optional()
     .isObject()
     .withMessage('Destination airport data must be an object'),
+  // Providers without a schedule (e.g. OpenSky) can't always tell where a flight went
+  body(['flight.origin', 'flight.destination'])
+    .custom((airport) => Boolean(airport?.code || airport?.codeIata || airport?.codeIcao))
+    .withMessage('Origin and destination airports must have an IATA or ICAO code'),
   body('seatNumber')
     .optional()
     .matches(/^[0-9]{1,3}[A-Z]?$/)
@@ -75,26 +78,176 @@ const createFlightValidation = [
     .withMessage('Notes cannot exceed 1000 characters'),
 ];
 
+const createManualFlightValidation = [
+  body('airlineCode')
+    .trim()
+    .matches(/^[A-Za-z0-9]{2,3}$/)
+    .withMessage('Airline code must be a 2-letter IATA or 3-letter ICAO code'),
+  body('flightNumber')
+    .trim()
+    .matches(/^[0-9]{1,4}[A-Za-z]?$/)
+    .withMessage('Flight number must be 1-4 digits with an optional letter suffix'),
+  body('date')
+    .isISO8601()
+    .withMessage('Valid flight date is required'),
+  body(['origin', 'destination'])
+    .trim()
+    .matches(/^[A-Za-z0-9]{3,4}$/)
+    .withMessage('Airports must be 3-letter IATA or 4-letter ICAO codes'),
+  body('destination')
+    .custom((value, { req }) => value.toUpperCase() !== req.body.origin?.trim().toUpperCase())
+    .withMessage('Origin and destination must be different airports'),
+  body('tailNumber')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[A-Za-z0-9-]{2,10}$/)
+    .withMessage('Tail number must be 2-10 letters, numbers, or hyphens'),
+  body('aircraftType')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 2, max: 10 })
+    .withMessage('Aircraft type must be between 2 and 10 characters'),
+  body('seatNumber')
+    .optional({ values: 'falsy' })
+    .matches(/^[0-9]{1,3}[A-Z]?$/)
+    .withMessage('Invalid seat format (e.g., 12A, 45F)'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+];
+
+const getFlightsValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Invalid pagination cursor'),
+  query('sortBy')
+    .optional()
+    .isIn(['date', 'tailNumber', 'airline', 'flightNumber'])
+    .withMessage('sortBy must be one of date, tailNumber, airline, flightNumber'),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('sortOrder must be asc or desc'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date filters must be valid ISO 8601 dates'),
+  query('airline')
+    .optional()
+    .matches(/^[A-Za-z0-9]{2,3}$/)
+    .withMessage('Airline filter must be an IATA or ICAO airline code'),
+  query('airport')
+    .optional()
+    .matches(/^[A-Za-z0-9]{3,4}$/)
+    .withMessage('Airport filter must be an IATA or ICAO airport code'),
+  query('aircraftType')
+    .optional()
+    .isLength({ min: 2, max: 10 })
+    .withMessage('Aircraft type filter must be between 2 and 10 characters'),
+  query('tail')
+    .optional()
+    .matches(/^[A-Za-z0-9-]{2,10}$/)
+    .withMessage('Invalid tail number filter'),
+];
+
+const importFlightsValidation = [
+  query('format')
+    .optional()
+    .isIn(['auto', 'thatsmyplane', 'openflights', 'myflightradar24'])
+    .withMessage('Import format must be auto, thatsmyplane, openflights or myflightradar24'),
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false'),
+];
+
+const exportFlightsValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json', 'geojson'])
+    .withMessage('Export format must be csv, json or geojson'),
+];
+
+const flightStatsValidation = [
+  query('top')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('top must be between 1 and 50'),
+];
+
+const getFlightValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid flight ID'),
+  query('includeFlightAwareData')
+    .optional()
+    .isBoolean()
+    .withMessage('includeFlightAwareData must be true or false'),
+];
+
 const updateFlightValidation = [
   param('id')
     .isMongoId()
     .withMessage('Invalid flight ID'),
   body('seat')
-    .optional()
+    .optional({ values: 'falsy' })
     .matches(/^[0-9]{1,3}[A-Z]?$/)
     .withMessage('Invalid seat format'),
   body('notes')
-    .optional()
+    .optional({ nullable: true })
     .isLength({ max: 1000 })
     .withMessage('Notes cannot exceed 1000 characters'),
+  body('times')
+    .optional()
+    .isObject()
+    .withMessage('Times must be an object'),
+  body([
+    'times.actual.departure',
+    'times.actual.takeoff',
+    'times.actual.landing',
+    'times.actual.arrival',
+    'times.gate',
+    'times.takeoff',
+    'times.landing',
+    'times.scheduled.departure',
+    'times.scheduled.arrival',
+  ])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Flight times must be valid ISO 8601 dates'),
+  body('tailNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 10 })
+    .withMessage('Tail number must be between 2 and 10 characters')
+    .matches(/^[A-Za-z0-9-]+$/)
+    .withMessage('Tail number can only contain letters, numbers, and hyphens'),
+  body('aircraftType')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 10 })
+    .withMessage('Aircraft type must be between 2 and 10 characters'),
 ];
 
 // Routes with appropriate request size limits
 router.post('/lookup-flight', lookupLimiter, lookupFlightValidation, flightController.lookupFlight);
 router.post('/', flightDataLimiter, createFlightValidation, flightController.createFlight);
-router.get('/', flightController.getFlights);
-router.get('/:id', param('id').isMongoId(), flightController.getFlight);
+router.post('/manual', createManualFlightValidation, flightController.createManualFlight);
+router.get('/import/formats', flightController.getImportFormats);
+router.post('/import', csvImportParser, importFlightsValidation, flightController.importFlights);
+router.get('/', getFlightsValidation, flightController.getFlights);
+router.get('/export', exportFlightsValidation, flightController.exportFlights);
+router.get('/stats', flightStatsValidation, flightController.getFlightStats);
+router.get('/:id', getFlightValidation, flightController.getFlight);
 router.put('/:id', flightDataLimiter, updateFlightValidation, flightController.updateFlight);
 router.delete('/:id', param('id').isMongoId(), flightController.deleteFlight);
+router.post('/:id/restore', param('id').isMongoId(), flightController.restoreFlight);
 
 module.exports = router; 
\ No newline at end of file
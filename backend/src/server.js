@@ -4,6 +4,8 @@ require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
+const { startPurgeJob } = require('./jobs/purgeDeletedFlights');
+const { startRefreshJob } = require('./jobs/refreshFlights');
 
 const PORT = process.env.PORT || 3000;
 
@@ -22,6 +24,12 @@ const server = app.listen(PORT, () => {
   logger.info(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
 });
 
+// Start background jobs
+if (process.env.NODE_ENV !== 'test') {
+  startPurgeJob();
+  startRefreshJob();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error('UNHANDLED REJECTION! 💥 Shutting down...');
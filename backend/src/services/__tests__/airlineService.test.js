@@ -0,0 +1,104 @@
+const Airline = require('../../models/Airline');
+const airlineService = require('../airlineService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findOrCreateAirline', () => {
+  const stubCreate = () => {
+    jest.spyOn(Airline, 'findOne').mockResolvedValue(null);
+    return jest.spyOn(Airline, 'create').mockImplementation(async (data) => new Airline(data));
+  };
+
+  test('store an unknown three-letter code as an ICAO-only airline', async () => {
+    const create = stubCreate();
+
+    const airline = await airlineService.findOrCreateAirline('qzx');
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Airline QZX',
+      iataCode: null,
+      icaoCode: 'QZX',
+    }));
+    expect(airline.validateSync()).toBeUndefined();
+    expect(airline.code).toBe('QZX');
+  });
+
+  test('store an unknown two-character code as an IATA code', async () => {
+    const create = stubCreate();
+
+    await airlineService.findOrCreateAirline('Q0');
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ iataCode: 'Q0', icaoCode: null }));
+  });
+
+  test('create an ICAO-only carrier from the reference data', async () => {
+    const create = stubCreate();
+
+    await airlineService.findOrCreateAirline('XYZ');
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Island Air Express',
+      iataCode: null,
+      icaoCode: 'XYZ',
+    }));
+  });
+
+  test('reject a code that is neither IATA nor ICAO', async () => {
+    const create = stubCreate();
+
+    await expect(airlineService.findOrCreateAirline('QZXW')).rejects.toThrow('Invalid airline code');
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Airline model', () => {
+  test('require an IATA or an ICAO code', () => {
+    const { errors } = new Airline({ name: 'Nameless' }).validateSync();
+    expect(errors.iataCode.message).toBe('An IATA or ICAO code is required');
+  });
+});
+
+describe('importReferenceAirlines', () => {
+  const runImport = async (records, existing = []) => {
+    jest.spyOn(Airline, 'find').mockReturnValue({ lean: async () => existing });
+    const bulkWrite = jest.spyOn(Airline, 'bulkWrite').mockImplementation(async (operations) => ({
+      insertedCount: operations.filter((operation) => operation.insertOne).length,
+      modifiedCount: operations.filter((operation) => operation.updateOne).length,
+    }));
+    const result = await airlineService.importReferenceAirlines(records);
+    const inserted = bulkWrite.mock.calls
+      .flatMap(([operations]) => operations)
+      .filter((operation) => operation.insertOne)
+      .map((operation) => operation.insertOne.document);
+    return { result, inserted };
+  };
+
+  test('keep carriers that only have an ICAO code', async () => {
+    const { result, inserted } = await runImport([
+      { icaoCode: 'QZX', name: 'Cargo Only', active: true },
+      { iataCode: '-', icaoCode: 'N/A', name: 'No codes' },
+    ]);
+
+    expect(inserted).toEqual([expect.objectContaining({ iataCode: null, icaoCode: 'QZX' })]);
+    expect(result).toMatchObject({ created: 1, skipped: 1 });
+  });
+
+  test('keep the airline that loses a shared IATA code under its ICAO code', async () => {
+    const { inserted } = await runImport([
+      {
+        iataCode: 'Q9', icaoCode: 'QQA', name: 'Defunct', active: false,
+      },
+      {
+        iataCode: 'Q9', icaoCode: 'QQB', name: 'Current', active: true,
+      },
+    ]);
+
+    expect(inserted).toEqual(expect.arrayContaining([
+      expect.objectContaining({ iataCode: 'Q9', icaoCode: 'QQB' }),
+      expect.objectContaining({ iataCode: null, icaoCode: 'QQA' }),
+    ]));
+    expect(inserted).toHaveLength(2);
+  });
+});
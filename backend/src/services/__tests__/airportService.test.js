@@ -0,0 +1,29 @@
+const Airport = require('../../models/Airport');
+const airportService = require('../airportService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('searchAirports', () => {
+  test('find a stored exact code match that the prefix limit would cut off', async () => {
+    const exact = { iataCode: 'QZX', name: 'Exact Field', city: 'Nowhere' };
+    const prefixes = ['QZXA', 'QZXB'].map((icaoCode) => ({ icaoCode, name: icaoCode, city: 'Elsewhere' }));
+
+    jest.spyOn(Airport, 'find').mockImplementation((filter) => {
+      const [first] = filter.$or;
+      let matches = [];
+      if (first.iataCode === 'QZX') matches = [exact];
+      else if (first.iataCode instanceof RegExp) matches = prefixes;
+      return {
+        limit: (limit) => ({ lean: async () => matches.slice(0, limit) }),
+        lean: async () => matches,
+      };
+    });
+
+    const results = await airportService.searchAirports('QZX', 2);
+
+    expect(results.map((airport) => airport.code)).toEqual(['QZX', 'QZXA']);
+    expect(results[0].source).toBe('database');
+  });
+});
@@ -0,0 +1,78 @@
+const FlightDataCache = require('../../models/FlightDataCache');
+const cacheService = require('../cacheService');
+
+const NOW = new Date('2024-03-01T12:00:00Z');
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const stubFind = (entry) => jest.spyOn(FlightDataCache, 'findOne').mockReturnValue({
+  lean: async () => entry,
+});
+
+describe('set', () => {
+  test('expire an entry after its TTL', async () => {
+    const updateOne = jest.spyOn(FlightDataCache, 'updateOne').mockResolvedValue({});
+
+    await cacheService.set('flight', 'UAE221-1', { ident: 'UAE221' }, 5 * 60 * 1000, 'aeroapi');
+
+    const [filter, update, options] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ key: 'flight:UAE221-1' });
+    expect(update.$set).toEqual({
+      namespace: 'flight',
+      value: { ident: 'UAE221' },
+      provider: 'aeroapi',
+      expiresAt: new Date('2024-03-01T12:05:00Z'),
+    });
+    expect(options).toEqual({ upsert: true });
+  });
+
+  test('carry on when a write fails', async () => {
+    jest.spyOn(FlightDataCache, 'updateOne').mockRejectedValue(new Error('not primary'));
+
+    await expect(cacheService.set('flight', 'UAE221-1', {}, 1000)).resolves.toBeUndefined();
+  });
+});
+
+describe('get', () => {
+  test('only read entries that have not expired', async () => {
+    const findOne = stubFind({ value: { ident: 'UAE221' }, provider: 'aeroapi' });
+
+    const cached = await cacheService.get('flight', 'UAE221-1');
+
+    expect(findOne).toHaveBeenCalledWith({
+      key: 'flight:UAE221-1',
+      expiresAt: { $gt: NOW },
+    });
+    expect(cached).toEqual({ value: { ident: 'UAE221' }, provider: 'aeroapi' });
+  });
+
+  test('count hits and misses per namespace', async () => {
+    const before = { ...cacheService.metrics.airport };
+    stubFind(null);
+    await cacheService.get('airport', 'DXB');
+    stubFind({ value: { code: 'OMDB' } });
+    await cacheService.get('airport', 'DXB');
+
+    expect(cacheService.metrics.airport).toEqual({
+      hits: before.hits + 1,
+      misses: before.misses + 1,
+    });
+  });
+
+  test('treat a failed read as a miss', async () => {
+    jest.spyOn(FlightDataCache, 'findOne').mockReturnValue({
+      lean: async () => {
+        throw new Error('connection reset');
+      },
+    });
+
+    expect(await cacheService.get('search', 'EK221|recent')).toBeNull();
+  });
+});
@@ -0,0 +1,234 @@
+const { once } = require('events');
+const { Writable } = require('stream');
+const mongoose = require('mongoose');
+const Flight = require('../../models/Flight');
+const exportService = require('../exportService');
+const { parseCsvRecords } = require('../../utils/csv');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+const heathrow = {
+  iataCode: 'LHR',
+  icaoCode: 'EGLL',
+  name: 'Heathrow',
+  city: 'London',
+  country: 'United Kingdom',
+  coordinates: { lat: 51.47, lng: -0.4543 },
+};
+const kennedy = {
+  iataCode: 'JFK',
+  icaoCode: 'KJFK',
+  name: 'John F Kennedy International',
+  city: 'New York',
+  country: 'United States',
+  coordinates: { lat: 40.6398, lng: -73.7789 },
+};
+
+const makeFlight = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  date: new Date('2024-03-01T08:25:00Z'),
+  localDate: '2024-03-01',
+  flightNumber: '117',
+  airline: { iataCode: 'BA', icaoCode: 'BAW', name: 'British Airways' },
+  originAirport: heathrow,
+  destinationAirport: kennedy,
+  aircraft: {
+    tailNumber: 'G-STBA',
+    aircraftType: 'B77W',
+    getFormattedInfo: () => 'Boeing 777-36N(ER)',
+  },
+  seat: '14A',
+  notes: 'Window, "left" side',
+  times: {
+    scheduled: { departure: new Date('2024-03-01T08:25:00Z') },
+    actual: { departure: new Date('2024-03-01T08:40:00Z') },
+  },
+  delays: { departure: 15, arrival: 0 },
+  dataSource: 'flightaware',
+  ...overrides,
+});
+
+// Stand in for Flight.find(...).sort(...).cursor()
+const mockFlights = (flights) => jest.spyOn(Flight, 'find').mockReturnValue({
+  sort: () => ({
+    cursor: () => (async function* iterate() {
+      yield* flights;
+    }()),
+  }),
+});
+
+// A slow sink with a tiny buffer, so writes have to wait for 'drain'
+const collectingStream = () => {
+  const chunks = [];
+  const stream = new Writable({
+    highWaterMark: 64,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      setImmediate(callback);
+    },
+  });
+  return { stream, output: () => chunks.join('') };
+};
+
+const exportFlights = async (format, flights) => {
+  mockFlights(flights);
+  const { stream, output } = collectingStream();
+  const count = await exportService.writeFlights(userId, format, stream);
+  // The caller ends the response; chunks still buffered are flushed then
+  stream.end();
+  await once(stream, 'finish');
+  return { count, output: output() };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('toExportRecord', () => {
+  test('flatten codes and names of the related documents', () => {
+    expect(exportService.toExportRecord(makeFlight())).toMatchObject({
+      flightNumber: 'BA117',
+      airline: 'British Airways',
+      airlineIcao: 'BAW',
+      from: 'LHR',
+      fromIcao: 'EGLL',
+      to: 'JFK',
+      toCity: 'New York',
+      tailNumber: 'G-STBA',
+      aircraftType: 'B77W',
+      aircraftModel: 'Boeing 777-36N(ER)',
+      actualDeparture: new Date('2024-03-01T08:40:00Z'),
+      arrivalDelayMinutes: 0,
+    });
+  });
+
+  test('use null for whatever the flight does not have', () => {
+    const record = exportService.toExportRecord(makeFlight({
+      aircraft: undefined,
+      aircraftType: 'A320',
+      seat: undefined,
+      times: undefined,
+      delays: undefined,
+    }));
+
+    expect(record).toMatchObject({
+      tailNumber: null,
+      aircraftType: 'A320',
+      aircraftModel: null,
+      seat: null,
+      scheduledDeparture: null,
+      gate: null,
+      departureDelayMinutes: null,
+    });
+  });
+});
+
+describe('toGeoJsonFeature', () => {
+  test('draw a line from origin to destination in lng, lat order', () => {
+    const flight = makeFlight();
+    expect(exportService.toGeoJsonFeature(flight)).toMatchObject({
+      type: 'Feature',
+      id: flight._id.toString(),
+      geometry: { type: 'LineString', coordinates: [[-0.4543, 51.47], [-73.7789, 40.6398]] },
+      properties: { flightNumber: 'BA117' },
+    });
+  });
+
+  test.each([
+    ['the origin has no coordinates', { originAirport: { ...heathrow, coordinates: undefined } }],
+    ['the destination lacks a longitude', { destinationAirport: { ...kennedy, coordinates: { lat: 40 } } }],
+    ['an airport is missing', { destinationAirport: null }],
+  ])('use null geometry when %s', (description, overrides) => {
+    expect(exportService.toGeoJsonFeature(makeFlight(overrides)).geometry).toBeNull();
+  });
+});
+
+describe('writeFlights', () => {
+  test('write the CSV header, then one row per flight in cursor order', async () => {
+    const flights = [
+      makeFlight({ flightNumber: '117' }),
+      makeFlight({ flightNumber: '1', notes: 'two\nlines' }),
+    ];
+
+    const { count, output } = await exportFlights('csv', flights);
+    const { headers, records } = parseCsvRecords(output);
+
+    expect(count).toBe(2);
+    expect(output.split('\r\n')[0]).toBe(
+      'date,localDate,flightNumber,airline,airlineIata,airlineIcao,from,fromIcao,fromName,'
+        + 'fromCity,fromCountry,to,toIcao,toName,toCity,toCountry,tailNumber,aircraftType,'
+        + 'aircraftModel,seat,notes,scheduledDeparture,scheduledArrival,actualDeparture,'
+        + 'actualArrival,gate,takeoff,landing,departureDelayMinutes,arrivalDelayMinutes,dataSource',
+    );
+    expect(headers).toHaveLength(31);
+    expect(records.map((record) => record.flightnumber)).toEqual(['BA117', 'BA1']);
+    expect(records[0]).toMatchObject({
+      date: '2024-03-01T08:25:00.000Z',
+      notes: 'Window, "left" side',
+      departuredelayminutes: '15',
+    });
+    expect(records[1].notes).toBe('two\nlines');
+  });
+
+  test('write only the header for an empty hangar', async () => {
+    const { count, output } = await exportFlights('csv', []);
+
+    expect(count).toBe(0);
+    expect(output.split('\r\n')).toHaveLength(2);
+  });
+
+  test.each([0, 1, 25])('write valid JSON for %i flight(s)', async (total) => {
+    const flights = Array.from({ length: total }, (_, index) => makeFlight({ flightNumber: `${index + 1}` }));
+
+    const { count, output } = await exportFlights('json', flights);
+    const parsed = JSON.parse(output);
+
+    expect(count).toBe(total);
+    expect(new Date(parsed.exportedAt).getTime()).not.toBeNaN();
+    expect(parsed.flights.map((flight) => flight.flightNumber))
+      .toEqual(flights.map((flight) => `BA${flight.flightNumber}`));
+  });
+
+  test.each([0, 1, 25])('write a valid FeatureCollection for %i flight(s)', async (total) => {
+    const flights = Array.from({ length: total }, (_, index) => makeFlight({
+      flightNumber: `${index + 1}`,
+      originAirport: index === 0 ? { ...heathrow, coordinates: undefined } : heathrow,
+    }));
+
+    const { count, output } = await exportFlights('geojson', flights);
+    const parsed = JSON.parse(output);
+
+    expect(count).toBe(total);
+    expect(parsed.type).toBe('FeatureCollection');
+    expect(parsed.features).toHaveLength(total);
+    expect(parsed.features.map((feature) => feature.id))
+      .toEqual(flights.map((flight) => flight._id.toString()));
+    if (total > 0) {
+      expect(parsed.features[0].geometry).toBeNull();
+    }
+    if (total > 1) {
+      expect(parsed.features[1].geometry.type).toBe('LineString');
+    }
+  });
+
+  test('wait for drain when the stream buffer is full', async () => {
+    const flights = Array.from({ length: 10 }, () => makeFlight());
+    mockFlights(flights);
+    const { stream, output } = collectingStream();
+    const originalWrite = stream.write.bind(stream);
+    const writtenWhileFull = [];
+    const write = jest.spyOn(stream, 'write').mockImplementation((chunk) => {
+      writtenWhileFull.push(stream.writableNeedDrain);
+      return originalWrite(chunk);
+    });
+
+    await exportService.writeFlights(userId, 'json', stream);
+    stream.end();
+    await once(stream, 'finish');
+
+    // Records are larger than the buffer, so writes report backpressure
+    expect(write.mock.results.some(({ value }) => value === false)).toBe(true);
+    expect(writtenWhileFull).not.toContain(true);
+    expect(JSON.parse(output()).flights).toHaveLength(10);
+  });
+});
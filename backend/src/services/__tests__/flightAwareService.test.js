@@ -0,0 +1,76 @@
+const cacheService = require('../cacheService');
+const flightAwareService = require('../flightAwareService');
+const usageService = require('../usageService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Provider chain answering with result, or failing with it when it's an Error
+const stubProviders = (result) => jest.spyOn(flightAwareService.providers, 'run')
+  .mockImplementation(async () => {
+    if (result instanceof Error) throw result;
+    return { result, provider: 'aeroapi' };
+  });
+
+beforeEach(() => {
+  jest.spyOn(cacheService, 'get').mockResolvedValue(null);
+  jest.spyOn(cacheService, 'set').mockResolvedValue();
+  jest.spyOn(usageService, 'assertWithinQuota').mockResolvedValue();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('caching flight data', () => {
+  test('keep a landed flight for the long TTL', async () => {
+    stubProviders({ ident: 'UAE221', actualArrival: '2024-03-01T20:00:00Z' });
+
+    await flightAwareService.getFlightDetails('UAE221-1');
+
+    const [, key, , ttl, provider] = cacheService.set.mock.calls[0];
+    expect([key, provider]).toEqual(['UAE221-1', 'aeroapi']);
+    expect(ttl).toBe(365 * DAY_MS);
+  });
+
+  test('keep a flight still to come only briefly', async () => {
+    stubProviders({ ident: 'UAE221' });
+
+    await flightAwareService.getFlightDetails('UAE221-1');
+
+    expect(cacheService.set.mock.calls[0][3]).toBe(5 * 60 * 1000);
+  });
+
+  test('keep an empty search of a future day only briefly', async () => {
+    stubProviders([]);
+
+    await flightAwareService.searchFlights('EK221', new Date(Date.now() + 2 * DAY_MS));
+
+    expect(cacheService.set.mock.calls[0][3]).toBe(5 * 60 * 1000);
+  });
+
+  test('not cache a failed search', async () => {
+    stubProviders(Object.assign(new Error('HTTP 503'), { response: { status: 503 } }));
+
+    await expect(flightAwareService.searchFlights('EK221')).rejects.toMatchObject({ statusCode: 500 });
+    expect(cacheService.set).not.toHaveBeenCalled();
+  });
+
+  test('not cache a flight no provider knows', async () => {
+    stubProviders(null);
+
+    await expect(flightAwareService.getFlightDetails('UAE221-1')).rejects.toMatchObject({ statusCode: 404 });
+    expect(cacheService.set).not.toHaveBeenCalled();
+  });
+
+  test('answer from the cache without asking a provider', async () => {
+    cacheService.get.mockResolvedValue({ value: { ident: 'UAE221' }, provider: 'aeroapi' });
+    const run = stubProviders(null);
+
+    const details = await flightAwareService.getFlightDetails('UAE221-1');
+
+    expect(details.flights[0]).toMatchObject({ ident: 'UAE221', provider: 'aeroapi' });
+    expect(run).not.toHaveBeenCalled();
+    expect(usageService.assertWithinQuota).not.toHaveBeenCalled();
+  });
+});
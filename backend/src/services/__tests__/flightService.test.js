@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const Aircraft = require('../../models/Aircraft');
+const Flight = require('../../models/Flight');
+const entityService = require('../entityService');
+const flightService = require('../flightService');
+const flightAwareService = require('../flightAwareService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getLocalDate', () => {
+  test('date a red-eye by the origin\'s calendar, not UTC', () => {
+    // 22:45 in Los Angeles on 1 March is already 2 March in UTC
+    const departure = new Date('2024-03-02T06:45:00Z');
+    expect(flightService.getLocalDate(departure, { timezone: 'America/Los_Angeles' }))
+      .toBe('2024-03-01');
+  });
+
+  test('date a morning departure east of UTC on the next local day', () => {
+    const departure = new Date('2024-03-01T20:30:00Z');
+    expect(flightService.getLocalDate(departure, { timezone: 'Asia/Singapore' })).toBe('2024-03-02');
+  });
+
+  test('follow daylight saving time at the origin', () => {
+    // London is UTC+1 from 31 March 2024, so 23:30 UTC is already the next day
+    const departure = new Date('2024-04-01T23:30:00Z');
+    expect(flightService.getLocalDate(departure, { timezone: 'Europe/London' })).toBe('2024-04-02');
+  });
+
+  test.each([
+    ['an origin without a time zone', { iataCode: 'XXX' }],
+    ['an unknown time zone', { timezone: 'Nowhere/Else' }],
+    ['no origin', null],
+  ])('use the UTC date for %s', (description, originAirport) => {
+    expect(flightService.getLocalDate(new Date('2024-03-01T23:30:00Z'), originAirport))
+      .toBe('2024-03-01');
+  });
+});
+
+describe('findDuplicateFlight', () => {
+  const airlineId = new mongoose.Types.ObjectId();
+
+  const findFilter = async (options) => {
+    const findOne = jest.spyOn(Flight, 'findOne').mockResolvedValue(null);
+    await flightService.findDuplicateFlight({
+      userId: 'u1',
+      airlineId,
+      flightNumber: '318',
+      localDate: '2024-03-01',
+      ...options,
+    });
+    return findOne.mock.calls[0][0];
+  };
+
+  test('match on the local date, or on the UTC day for flights saved without one', async () => {
+    const filter = await findFilter();
+
+    expect(filter).toMatchObject({ userId: 'u1', airline: airlineId, flightNumber: '318' });
+    expect(filter.$or).toEqual([
+      { localDate: '2024-03-01' },
+      {
+        localDate: null,
+        date: {
+          $gte: new Date('2024-03-01T00:00:00.000Z'),
+          $lt: new Date('2024-03-02T00:00:00.000Z'),
+        },
+      },
+    ]);
+    expect(filter._id).toBeUndefined();
+  });
+
+  test('leave out the flight being edited', async () => {
+    const excludeId = new mongoose.Types.ObjectId();
+    expect((await findFilter({ excludeId }))._id).toEqual({ $ne: excludeId });
+  });
+});
+
+describe('refreshFlight', () => {
+  const makeTrackedFlight = (overrides = {}) => {
+    const flight = new Flight({
+      userId: new mongoose.Types.ObjectId(),
+      flightNumber: '117',
+      date: new Date('2024-03-01T08:25:00Z'),
+      faFlightId: 'BAW117-1709000000-schedule-0001',
+      provider: 'aeroapi',
+      tracking: { status: 'active' },
+      ...overrides,
+    });
+    jest.spyOn(flight, 'save').mockResolvedValue(flight);
+    return flight;
+  };
+
+  const mockLatest = (latest) => jest.spyOn(flightAwareService, 'getFlightDetails')
+    .mockResolvedValue({ flights: [latest] });
+
+  test('apply FlightAware times and record each change', async () => {
+    const flight = makeTrackedFlight();
+    mockLatest({
+      scheduledDeparture: '2024-03-01T08:25:00Z',
+      actualOff: '2024-03-01T08:55:00Z',
+      actualOn: '2024-03-01T16:10:00Z',
+      departureDelay: 900,
+    });
+
+    const changes = await flightService.refreshFlight(flight);
+
+    expect(flight.times.actual.takeoff).toEqual(new Date('2024-03-01T08:55:00Z'));
+    expect(flight.times.takeoff).toEqual(new Date('2024-03-01T08:55:00Z'));
+    expect(flight.delays.departure).toBe(15);
+    expect(flight.tracking.status).toBe('completed');
+    expect(changes.map(({ field }) => field)).toEqual(expect.arrayContaining([
+      'times.actual.takeoff',
+      'times.takeoff',
+      'delays.departure',
+    ]));
+  });
+
+  test('leave times the user corrected alone', async () => {
+    const corrected = new Date('2024-03-01T09:02:00Z');
+    const flight = makeTrackedFlight({
+      times: { actual: { takeoff: corrected }, takeoff: corrected },
+      userEditedFields: ['times.actual.takeoff', 'times.takeoff'],
+    });
+    mockLatest({
+      actualOff: '2024-03-01T08:55:00Z',
+      actualOn: '2024-03-01T16:10:00Z',
+    });
+
+    const changes = await flightService.refreshFlight(flight);
+
+    expect(flight.times.actual.takeoff).toEqual(corrected);
+    expect(flight.times.takeoff).toEqual(corrected);
+    expect(flight.times.actual.landing).toEqual(new Date('2024-03-01T16:10:00Z'));
+    expect(changes.map(({ field }) => field)).not.toContain('times.actual.takeoff');
+    expect(changes.map(({ field }) => field)).not.toContain('times.takeoff');
+  });
+
+  describe('aircraft swaps', () => {
+    const reported = { registration: 'A6-EDB', type: 'A388' };
+
+    const stubAircraftLookup = () => jest.spyOn(entityService, 'findOrCreateAircraft')
+      .mockImplementation(async ({ registration, type }) => new Aircraft({
+        tailNumber: registration,
+        aircraftType: type,
+      }));
+
+    test('re-link the flight when FlightAware reports another registration', async () => {
+      const flight = makeTrackedFlight({ aircraft: new Aircraft({ tailNumber: 'A6-EDA' }) });
+      mockLatest({ aircraft: reported });
+      const lookup = stubAircraftLookup();
+
+      const changes = await flightService.refreshFlight(flight);
+
+      const swapped = await lookup.mock.results[0].value;
+      expect(flight.aircraft).toEqual(swapped._id);
+      expect(changes).toContainEqual(expect.objectContaining({
+        field: 'aircraft',
+        from: 'A6-EDA',
+        to: 'A6-EDB',
+      }));
+    });
+
+    test('keep a tail the user corrected', async () => {
+      const corrected = new Aircraft({ tailNumber: 'A6-EDA' });
+      const flight = makeTrackedFlight({ aircraft: corrected, userEditedFields: ['aircraft'] });
+      mockLatest({ aircraft: reported });
+      const lookup = stubAircraftLookup();
+
+      const changes = await flightService.refreshFlight(flight);
+
+      expect(flight.aircraft._id).toEqual(corrected._id);
+      expect(lookup).not.toHaveBeenCalled();
+      expect(changes.map(({ field }) => field)).not.toContain('aircraft');
+    });
+  });
+});
+
+describe('getReunion', () => {
+  const aircraft = new Aircraft({ tailNumber: 'A6-EDA' });
+  const makeFlightOn = (localDate) => new Flight({
+    userId: new mongoose.Types.ObjectId(),
+    flightNumber: '221',
+    date: new Date(`${localDate}T08:25:00Z`),
+    localDate,
+    aircraft: aircraft._id,
+  });
+  const stubPrevious = (flights) => jest.spyOn(Flight, 'find').mockReturnValue({
+    sort: async () => flights,
+  });
+
+  test('have nothing to say without an aircraft', async () => {
+    const find = stubPrevious([]);
+
+    expect(await flightService.getReunion('user', makeFlightOn('2024-03-01'), null)).toBeNull();
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('have nothing to say on the first flight on a tail', async () => {
+    stubPrevious([]);
+
+    expect(await flightService.getReunion('user', makeFlightOn('2024-03-01'), aircraft)).toBeNull();
+  });
+
+  test('count earlier flights on the tail, excluding this one', async () => {
+    const flight = makeFlightOn('2024-03-01');
+    const find = stubPrevious([makeFlightOn('2023-01-10'), makeFlightOn('2024-02-20')]);
+
+    const reunion = await flightService.getReunion('user', flight, aircraft);
+
+    expect(find).toHaveBeenCalledWith({
+      userId: 'user',
+      aircraft: aircraft._id,
+      _id: { $ne: flight._id },
+    });
+    expect(reunion).toMatchObject({
+      tailNumber: 'A6-EDA',
+      timesFlownBefore: 2,
+      lastFlown: new Date('2024-02-20T08:25:00Z'),
+      daysSinceLastFlight: 10,
+      message: 'You\'ve flown A6-EDA 2 times before, last on 2024-02-20 (10 days earlier)',
+    });
+    expect(reunion.previousFlights.map(({ localDate }) => localDate)).toEqual([
+      '2023-01-10',
+      '2024-02-20',
+    ]);
+  });
+
+  test('leave out the gap when backfilling a flight older than the rest', async () => {
+    stubPrevious([makeFlightOn('2024-02-20')]);
+
+    const reunion = await flightService.getReunion('user', makeFlightOn('2023-01-10'), aircraft);
+
+    expect(reunion).toMatchObject({
+      timesFlownBefore: 1,
+      lastFlown: null,
+      daysSinceLastFlight: null,
+      message: 'You\'ve flown A6-EDA once before',
+    });
+  });
+});
+
+describe('Flight.getReunions', () => {
+  test('group the user\'s live flights by tail, keeping repeat tails only', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const aggregate = jest.spyOn(Flight, 'aggregate').mockResolvedValue([]);
+
+    await Flight.getReunions(userId);
+
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toEqual({
+      userId: new mongoose.Types.ObjectId(userId),
+      deletedAt: null,
+      aircraft: { $ne: null },
+    });
+    const { $group: group } = pipeline.find((stage) => stage.$group);
+    expect(group._id).toBe('$aircraft');
+    // ICAO-only airports and airlines still show a code
+    expect(group.flights.$push.origin).toEqual({
+      $ifNull: ['$origin.iataCode', '$origin.icaoCode'],
+    });
+    expect(pipeline).toContainEqual({ $match: { timesFlown: { $gt: 1 } } });
+  });
+});
+
+describe('getRouteFields', () => {
+  const lhr = { coordinates: { lat: 51.4700, lng: -0.4543 } };
+  const jfk = { coordinates: { lat: 40.6413, lng: -73.7781 } };
+
+  test('store the distance and polyline the backfill writes', () => {
+    const fields = flightService.getRouteFields(lhr, jfk);
+
+    expect(fields.distance).toEqual({ km: 5540, mi: 3442, nm: 2991 });
+    expect(fields.routeGeometry).toEqual(expect.any(String));
+  });
+
+  test('leave the route alone while an airport lacks coordinates', () => {
+    const unlocated = { coordinates: { lat: null, lng: null } };
+
+    expect(flightService.getRouteFields(lhr, unlocated)).toEqual({});
+    expect(flightService.getRouteFields(lhr, null)).toEqual({});
+  });
+});
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Airline = require('../../models/Airline');
+const Airport = require('../../models/Airport');
+const importService = require('../importService');
+const flightService = require('../flightService');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+const csv = (...lines) => lines.join('\n');
+const HEADER = 'Date,Flight Number,From,To,Tail,Notes';
+
+// Stand in for a Mongoose query that is only ever .lean()ed
+const leanResult = (value) => ({ lean: async () => value });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('importFlightsFromCsv', () => {
+  test('report each failing row on its spreadsheet line and import the rest', async () => {
+    const createManualFlight = jest.spyOn(flightService, 'createManualFlight')
+      .mockImplementation(async (owner, details) => {
+        if (details.flightNumber === '2') {
+          const error = new mongoose.Error.ValidationError();
+          error.addError('seat', new mongoose.Error.ValidatorError({ message: 'Seat is too long' }));
+          throw error;
+        }
+        if (details.flightNumber === '3') {
+          throw Object.assign(new Error('Flight BA3 on 2024-01-03 is already in your hangar'), {
+            statusCode: 409,
+          });
+        }
+        return { flight: { _id: `flight-${details.flightNumber}` } };
+      });
+
+    const { summary, rows } = await importService.importFlightsFromCsv(userId, csv(
+      HEADER,
+      '2024-01-01,BA1,LHR,jfk,g-stba,"Window, left"',
+      'not a date,BA9,LHR,JFK,,',
+      '2024-01-02,BA2,LHR,JFK,,',
+      '2024-01-03,BA3,LHR,JFK,,',
+      '2024-01-04,,LHR,JFK,,',
+      '2024-01-05,BA5,LHR,,,',
+    ));
+
+    expect(rows.map(({ line, status }) => [line, status])).toEqual([
+      [2, 'imported'],
+      [3, 'failed'],
+      [4, 'failed'],
+      [5, 'skipped_duplicate'],
+      [6, 'failed'],
+      [7, 'failed'],
+    ]);
+    expect(rows.map((row) => row.reason)).toEqual([
+      undefined,
+      'Invalid date "not a date"',
+      'Seat is too long',
+      'Flight BA3 on 2024-01-03 is already in your hangar',
+      'Flight number is required',
+      'Origin and destination airports are required',
+    ]);
+    expect(rows[0].flightId).toBe('flight-1');
+    expect(summary).toEqual({
+      format: 'thatsmyplane',
+      dryRun: false,
+      total: 6,
+      imported: 1,
+      skippedDuplicates: 1,
+      failed: 4,
+    });
+
+    expect(createManualFlight).toHaveBeenCalledTimes(3);
+    expect(createManualFlight).toHaveBeenCalledWith(userId, expect.objectContaining({
+      airlineCode: 'BA',
+      flightNumber: '1',
+      localDate: '2024-01-01',
+      origin: 'LHR',
+      destination: 'JFK',
+      tailNumber: 'G-STBA',
+      notes: 'Window, left',
+      dataSource: 'import',
+    }));
+  });
+
+  test('preview without writing, flagging duplicates and unknown airports', async () => {
+    const createManualFlight = jest.spyOn(flightService, 'createManualFlight');
+    const airline = { _id: new mongoose.Types.ObjectId(), name: 'British Airways' };
+    jest.spyOn(Airline, 'findOne').mockReturnValue(leanResult(airline));
+    jest.spyOn(Airport, 'findOne').mockImplementation((filter) => {
+      const code = filter.$or[0].iataCode;
+      return leanResult(code === 'LHR'
+        ? { iataCode: 'LHR', name: 'Heathrow', timezone: 'Europe/London' }
+        : null);
+    });
+    jest.spyOn(flightService, 'findDuplicateFlight')
+      .mockImplementation(async ({ localDate }) => (localDate === '2024-01-02' ? { _id: 'x' } : null));
+
+    const { summary, rows } = await importService.importFlightsFromCsv(userId, csv(
+      HEADER,
+      '2024-01-01,BA1,LHR,XXX,,',
+      '2024-01-01,BA1,LHR,XXX,,',
+      '2024-01-02,BA2,LHR,XXX,,',
+    ), { dryRun: true });
+
+    expect(createManualFlight).not.toHaveBeenCalled();
+    expect(rows.map(({ status, reason }) => [status, reason])).toEqual([
+      ['ready', undefined],
+      ['skipped_duplicate', 'Repeated earlier in this file'],
+      ['skipped_duplicate', 'Already in your hangar'],
+    ]);
+    expect(rows[0].matches).toMatchObject({
+      airline: { code: 'BA', matched: true, name: 'British Airways' },
+      origin: { code: 'LHR', matched: true, name: 'Heathrow' },
+      destination: { code: 'XXX', matched: false },
+      aircraft: null,
+    });
+    expect(summary).toMatchObject({
+      dryRun: true,
+      total: 3,
+      ready: 1,
+      skippedDuplicates: 2,
+      failed: 0,
+      unresolvedAirports: ['XXX'],
+    });
+  });
+
+  test.each([
+    ['SIN', 'Asia/Singapore', '2024-03-02'],
+    ['JFK', 'America/New_York', '2024-03-01'],
+    ['XXX', undefined, '2024-03-01'],
+  ])('preview a UTC departure from %s on its local date', async (code, timezone, localDate) => {
+    jest.spyOn(Airline, 'findOne').mockReturnValue(leanResult(null));
+    jest.spyOn(Airport, 'findOne').mockReturnValue(leanResult(timezone
+      ? { iataCode: code, name: code, timezone }
+      : null));
+
+    const { rows } = await importService.importFlightsFromCsv(userId, csv(
+      HEADER,
+      `2024-03-01T20:30:00Z,SQ1,${code},LHR,,`,
+    ), { dryRun: true });
+
+    expect(rows[0].localDate).toBe(localDate);
+  });
+
+  describe('departure times without a UTC offset', () => {
+    // OpenFlights writes local wall-clock times; 23:30 in Singapore is 15:30 UTC
+    const openFlights = csv(
+      'Date,From,To,Flight_Number,Airline',
+      '2024-03-01 23:30:00,SIN,LHR,SQ318,Singapore Airlines',
+    );
+
+    const stubLookups = () => {
+      const airline = { _id: new mongoose.Types.ObjectId(), name: 'Singapore Airlines' };
+      jest.spyOn(Airline, 'findOne').mockReturnValue(leanResult(airline));
+      jest.spyOn(Airport, 'findOne').mockReturnValue(leanResult({
+        iataCode: 'SIN',
+        name: 'Changi',
+        timezone: 'Asia/Singapore',
+      }));
+    };
+
+    test('date a 23:30 departure on the day written in the file', async () => {
+      const createManualFlight = jest.spyOn(flightService, 'createManualFlight')
+        .mockResolvedValue({ flight: { _id: 'flight-1' } });
+
+      await importService.importFlightsFromCsv(userId, openFlights);
+
+      expect(createManualFlight).toHaveBeenCalledWith(userId, expect.objectContaining({
+        flightNumber: '318',
+        localDate: '2024-03-01',
+      }));
+    });
+
+    test('find the flight from an earlier import of the same file', async () => {
+      stubLookups();
+      const findDuplicateFlight = jest.spyOn(flightService, 'findDuplicateFlight')
+        .mockImplementation(async ({ localDate }) => (
+          localDate === '2024-03-01' ? { _id: 'x' } : null
+        ));
+
+      const { rows } = await importService.importFlightsFromCsv(userId, openFlights, {
+        dryRun: true,
+      });
+
+      expect(findDuplicateFlight).toHaveBeenCalledWith(expect.objectContaining({
+        localDate: '2024-03-01',
+      }));
+      expect(rows[0]).toMatchObject({
+        status: 'skipped_duplicate',
+        reason: 'Already in your hangar',
+        localDate: '2024-03-01',
+      });
+    });
+  });
+
+  test.each([
+    ['an empty file', '', {}, 'CSV contains no flight rows'],
+    ['unknown headers', csv('name,email', 'a,b'), {}, 'Could not recognise the CSV layout'],
+    [
+      'an unknown format',
+      csv(HEADER, '2024-01-01,BA1,LHR,JFK,,'),
+      { format: 'nope' },
+      'Unsupported import format "nope"',
+    ],
+    [
+      'missing columns for the chosen format',
+      csv('Date,Flight,From,To', '2024-01-01,BA1,LHR,JFK'),
+      { format: 'myflightradar24' },
+      'CSV is missing required myFlightradar24 column(s): flight_number',
+    ],
+  ])('reject %s with a 400', async (description, text, options, message) => {
+    await expect(importService.importFlightsFromCsv(userId, text, options)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining(message),
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const ApiUsage = require('../../models/ApiUsage');
+const usageService = require('../usageService');
+
+const aeroApi = {
+  id: 'aeroapi',
+  billed: true,
+  endpointFor: () => '/flights/{ident}',
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordCall', () => {
+  test('bill every request a call sent, retries included', async () => {
+    const updateOne = jest.spyOn(ApiUsage, 'updateOne').mockResolvedValue({});
+
+    await usageService.recordCall({
+      provider: aeroApi,
+      method: 'searchFlights',
+      args: ['EK221'],
+      context: { userId: 'u1' },
+      requests: 3,
+    });
+
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ userId: 'u1', provider: 'aeroapi', endpoint: '/flights/{ident}' });
+    expect(update.$inc).toEqual({ calls: 3, cost: 3 * usageService.queryCosts['/flights/{ident}'] });
+  });
+
+  test('leave unbilled providers out', async () => {
+    const updateOne = jest.spyOn(ApiUsage, 'updateOne').mockResolvedValue({});
+
+    await usageService.recordCall({
+      provider: { ...aeroApi, id: 'opensky', billed: false },
+      method: 'searchFlights',
+      args: ['EK221'],
+      requests: 1,
+    });
+
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -1,137 +1,34 @@
 const Airline = require('../models/Airline');
 const logger = require('../utils/logger');
+const { parseFlightIdent, resolveOperatingFlight, referenceAirlines } = require('../utils/flightIdent');
 
 class AirlineService {
   constructor() {
-    // Comprehensive airline code mapping for intelligent detection
-    this.airlineCodeMap = {
-      // Major Airlines
-      'EK': { name: 'Emirates', icaoCode: 'UAE' },
-      'AA': { name: 'American Airlines', icaoCode: 'AAL' },
-      'DL': { name: 'Delta Air Lines', icaoCode: 'DAL' },
-      'UA': { name: 'United Airlines', icaoCode: 'UAL' },
-      'BA': { name: 'British Airways', icaoCode: 'BAW' },
-      'LH': { name: 'Lufthansa', icaoCode: 'DLH' },
-      'AF': { name: 'Air France', icaoCode: 'AFR' },
-      'KL': { name: 'KLM Royal Dutch Airlines', icaoCode: 'KLM' },
-      'SQ': { name: 'Singapore Airlines', icaoCode: 'SIA' },
-      'QF': { name: 'Qantas', icaoCode: 'QFA' },
-      'CX': { name: 'Cathay Pacific', icaoCode: 'CPA' },
-      'JL': { name: 'Japan Airlines', icaoCode: 'JAL' },
-      'NH': { name: 'All Nippon Airways', icaoCode: 'ANA' },
-      'TK': { name: 'Turkish Airlines', icaoCode: 'THY' },
-      'EY': { name: 'Etihad Airways', icaoCode: 'ETD' },
-      'QR': { name: 'Qatar Airways', icaoCode: 'QTR' },
-      'SV': { name: 'Saudia', icaoCode: 'SVA' },
-      'LX': { name: 'Swiss International Air Lines', icaoCode: 'SWR' },
-      'OS': { name: 'Austrian Airlines', icaoCode: 'AUA' },
-      'SK': { name: 'Scandinavian Airlines', icaoCode: 'SAS' },
-      'AY': { name: 'Finnair', icaoCode: 'FIN' },
-      'IB': { name: 'Iberia', icaoCode: 'IBE' },
-      'TP': { name: 'TAP Air Portugal', icaoCode: 'TAP' },
-      'AI': { name: 'Air India', icaoCode: 'AIC' },
-      'AC': { name: 'Air Canada', icaoCode: 'ACA' },
-      'WF': { name: 'WestJet', icaoCode: 'WJA' },
-      'VS': { name: 'Virgin Atlantic', icaoCode: 'VIR' },
-      'VY': { name: 'Vueling', icaoCode: 'VLG' },
-      'FR': { name: 'Ryanair', icaoCode: 'RYR' },
-      'U2': { name: 'easyJet', icaoCode: 'EZY' },
-      'WN': { name: 'Southwest Airlines', icaoCode: 'SWA' },
-      'B6': { name: 'JetBlue Airways', icaoCode: 'JBU' },
-      'AS': { name: 'Alaska Airlines', icaoCode: 'ASA' },
-      'F9': { name: 'Frontier Airlines', icaoCode: 'FFT' },
-      'NK': { name: 'Spirit Airlines', icaoCode: 'NKS' },
-      
-      // Regional and Other Airlines
-      'OO': { name: 'SkyWest Airlines', icaoCode: 'SKW' },
-      'YV': { name: 'Mesa Airlines', icaoCode: 'ASH' },
-      'OH': { name: 'PSA Airlines', icaoCode: 'JIA' },
-      'MQ': { name: 'Envoy Air', icaoCode: 'ENY' },
-      'YX': { name: 'Republic Airways', icaoCode: 'RPA' },
-      'G7': { name: 'Allegiant Air', icaoCode: 'AAY' },
-      'SY': { name: 'Sun Country Airlines', icaoCode: 'SCX' },
-    };
+    // Reference airlines shared with the flight number parser, looked up by either code.
+    // Only a fallback: airlines seeded into the database (npm run seed:airlines) are found first.
+    // The dataset lists curated carriers first, so the first record for a code wins
+    this.referenceAirlines = referenceAirlines;
+    this.referenceByIata = new Map();
+    this.referenceByIcao = new Map();
+    referenceAirlines.forEach((airline) => {
+      if (airline.iataCode && !this.referenceByIata.has(airline.iataCode)) {
+        this.referenceByIata.set(airline.iataCode, airline);
+      }
+      if (airline.icaoCode && !this.referenceByIcao.has(airline.icaoCode)) {
+        this.referenceByIcao.set(airline.icaoCode, airline);
+      }
+    });
   }
 
   /**
    * Parse flight identifier to extract airline code and flight number
-   * @param {string} flightIdent - Flight identifier (e.g., "EK221", "Emirates 221")
-   * @returns {object} Parsed flight information
+   * @param {string} flightIdent - Flight identifier (e.g., "EK221", "UAE221", "Emirates 221")
+   * @returns {object} Parsed flight information (see utils/flightIdent parseFlightIdent)
    */
   parseFlightIdent(flightIdent) {
-    if (!flightIdent) {
-      throw new Error('Flight identifier is required');
-    }
-
-    const cleaned = flightIdent.trim().toUpperCase();
-    logger.info(`Parsing flight identifier: ${cleaned}`);
-
-    // Pattern 1: Standard IATA code + number (e.g., "EK221", "AA1234")
-    const standardPattern = /^([A-Z]{2,3})(\d+[A-Z]?)$/;
-    const standardMatch = cleaned.match(standardPattern);
-    
-    if (standardMatch) {
-      const [, airlineCode, flightNumber] = standardMatch;
-      logger.info(`Standard pattern matched: ${airlineCode} ${flightNumber}`);
-      return {
-        airlineCode,
-        flightNumber,
-        originalIdent: flightIdent.trim(),
-      };
-    }
-
-    // Pattern 2: Airline name + number (e.g., "Emirates 221", "American 1234")
-    const namePattern = /^([A-Z][A-Z\s]+?)\s+(\d+[A-Z]?)$/;
-    const nameMatch = cleaned.match(namePattern);
-    
-    if (nameMatch) {
-      const [, airlineName, flightNumber] = nameMatch;
-      const airlineCode = this.findAirlineCodeByName(airlineName.trim());
-      
-      if (airlineCode) {
-        logger.info(`Name pattern matched: ${airlineName} → ${airlineCode} ${flightNumber}`);
-        return {
-          airlineCode,
-          flightNumber,
-          originalIdent: flightIdent.trim(),
-        };
-      }
-    }
-
-    // Pattern 3: Code with space (e.g., "EK 221", "AA 1234")
-    const spacePattern = /^([A-Z]{2,3})\s+(\d+[A-Z]?)$/;
-    const spaceMatch = cleaned.match(spacePattern);
-    
-    if (spaceMatch) {
-      const [, airlineCode, flightNumber] = spaceMatch;
-      logger.info(`Space pattern matched: ${airlineCode} ${flightNumber}`);
-      return {
-        airlineCode,
-        flightNumber,
-        originalIdent: flightIdent.trim(),
-      };
-    }
-
-    logger.warn(`Could not parse flight identifier: ${cleaned}`);
-    throw new Error(`Invalid flight identifier format: ${flightIdent}`);
-  }
-
-  /**
-   * Find airline code by airline name
-   * @param {string} airlineName - Full airline name
-   * @returns {string|null} IATA code if found
-   */
-  findAirlineCodeByName(airlineName) {
-    const normalizedName = airlineName.toLowerCase();
-    
-    for (const [code, info] of Object.entries(this.airlineCodeMap)) {
-      if (info.name.toLowerCase().includes(normalizedName) || 
-          normalizedName.includes(info.name.toLowerCase())) {
-        return code;
-      }
-    }
-    
-    return null;
+    const parsed = parseFlightIdent(flightIdent);
+    logger.info(`Parsed flight identifier ${parsed.originalIdent} as ${parsed.airlineCode} ${parsed.flightNumber} (${parsed.matchedBy})`);
+    return parsed;
   }
 
   /**
@@ -163,59 +60,59 @@ class AirlineService {
       return airline;
     }
 
-    // Try to find in our mapping (IATA to airline info)
-    let airlineInfo = this.airlineCodeMap[normalizedCode];
-    let iataCode = normalizedCode;
-    let icaoCode = null;
+    // Try the reference dataset: two characters is an IATA code, three letters an ICAO code
+    const reference = normalizedCode.length === 2
+      ? this.referenceByIata.get(normalizedCode)
+      : this.referenceByIcao.get(normalizedCode);
+    let airlineData;
 
-    if (airlineInfo) {
-      // Found direct IATA mapping
-      icaoCode = airlineInfo.icaoCode;
-      logger.info(`Found airline in IATA mapping: ${normalizedCode} -> ${airlineInfo.name}`);
-    } else {
-      // Try reverse lookup (ICAO to IATA)
-      for (const [iata, info] of Object.entries(this.airlineCodeMap)) {
-        if (info.icaoCode === normalizedCode) {
-          airlineInfo = info;
-          iataCode = iata;
-          icaoCode = normalizedCode;
-          logger.info(`Found airline in ICAO reverse lookup: ${normalizedCode} -> ${iata} (${info.name})`);
-          break;
+    if (reference) {
+      logger.info(`Found airline in reference data: ${normalizedCode} -> ${reference.name}`);
+
+      // Looked up by one code, but already stored under the other
+      const otherCode = normalizedCode.length === 2
+        ? reference.icaoCode && { icaoCode: reference.icaoCode }
+        : reference.iataCode && { iataCode: reference.iataCode };
+      if (otherCode) {
+        airline = await Airline.findOne(otherCode);
+        if (airline) {
+          logger.info(`Found existing airline by ${reference.iataCode}/${reference.icaoCode}: ${airline.name}`);
+          return airline;
         }
       }
-    }
 
-    // If we still don't have mapping info, create a generic airline entry
-    if (!airlineInfo) {
+      airlineData = {
+        name: reference.name,
+        iataCode: reference.iataCode || null,
+        icaoCode: reference.icaoCode || null,
+        callsign: reference.callsign || null,
+        country: reference.country || null,
+        active: reference.active !== false,
+      };
+    } else {
       logger.warn(`No mapping found for airline code: ${normalizedCode}. Creating generic entry.`);
-      
-      // Determine if it's likely IATA (2-3 chars) or ICAO (3-4 chars)
-      if (normalizedCode.length === 2) {
-        // Likely IATA code
-        iataCode = normalizedCode;
-        icaoCode = null;
-      } else if (normalizedCode.length === 3) {
-        // Could be either IATA or ICAO - assume IATA for now
+
+      // IATA codes are two characters (letters or a letter and a digit), ICAO codes three letters
+      let iataCode = null;
+      let icaoCode = null;
+      if (/^(?:[A-Z][A-Z0-9]|[0-9][A-Z])$/.test(normalizedCode)) {
         iataCode = normalizedCode;
-        icaoCode = null;
-      } else {
-        // Likely ICAO code, try to derive IATA
+      } else if (/^[A-Z]{3}$/.test(normalizedCode)) {
         icaoCode = normalizedCode;
-        iataCode = normalizedCode.substring(0, 2); // Best guess
+      } else {
+        throw new Error(`Invalid airline code: ${normalizedCode}`);
       }
-      
-      airlineInfo = {
-        name: `Airline ${iataCode}`, // Generic name, can be updated later
-        icaoCode: icaoCode,
+
+      airlineData = {
+        name: `Airline ${normalizedCode}`, // Generic name, can be updated later
+        iataCode,
+        icaoCode,
+        callsign: null,
+        country: null,
+        active: true,
       };
     }
 
-    const airlineData = {
-      name: airlineInfo.name,
-      iataCode: iataCode,
-      icaoCode: icaoCode,
-    };
-
     try {
       airline = await Airline.create(airlineData);
       logger.info(`Created new airline: ${airline.name} (IATA: ${airline.iataCode}, ICAO: ${airline.icaoCode})`);
@@ -223,12 +120,10 @@ class AirlineService {
     } catch (error) {
       if (error.code === 11000) {
         // Handle race condition - another request created the airline
-        airline = await Airline.findOne({ 
-          $or: [
-            { iataCode: iataCode },
-            { icaoCode: icaoCode }
-          ]
-        });
+        const codes = [];
+        if (airlineData.iataCode) codes.push({ iataCode: airlineData.iataCode });
+        if (airlineData.icaoCode) codes.push({ icaoCode: airlineData.icaoCode });
+        airline = await Airline.findOne({ $or: codes });
         if (airline) {
           logger.info(`Found airline created by concurrent request: ${airline.name}`);
           return airline;
@@ -238,6 +133,265 @@ class AirlineService {
     }
   }
 
+  /**
+   * Validate and normalize one reference airline record
+   * @param {object} record - { iataCode, icaoCode, name, callsign, country, active }
+   * @returns {object|null} Airline fields, or null when the record can't be stored
+   */
+  normalizeReferenceAirline(record) {
+    const iataCode = record.iataCode?.trim().toUpperCase();
+    const icaoCode = record.icaoCode?.trim().toUpperCase();
+    const name = record.name?.trim();
+    const validIata = /^(?:[A-Z][A-Z0-9]|[0-9][A-Z])$/.test(iataCode || '');
+    const validIcao = /^[A-Z]{3}$/.test(icaoCode || '');
+
+    // Either code is enough: many cargo, charter and regional operators only have an ICAO code
+    if (!name || (!validIata && !validIcao)) {
+      return null;
+    }
+
+    return {
+      iataCode: validIata ? iataCode : null,
+      icaoCode: validIcao ? icaoCode : null,
+      name,
+      callsign: record.callsign?.trim().toUpperCase() || null,
+      country: record.country?.trim() || null,
+      active: record.active !== false,
+    };
+  }
+
+  /**
+   * Load a reference airline dataset into the Airline collection. Safe to re-run: existing
+   * airlines are updated in place, so flights keep pointing at the same documents.
+   * Airlines are matched by ICAO code first, then by IATA code, so placeholder entries created
+   * for unknown codes get their real names and an airline stored under the wrong IATA code
+   * moves to the right one. Where several records share an IATA code, active airlines win and
+   * the others are kept under their ICAO code alone.
+   * @param {Array<object>} records - { iataCode, icaoCode, name, callsign, country, active }
+   * @returns {Promise<object>} { created, updated, unchanged, skipped, conflicts }
+   */
+  async importReferenceAirlines(records) {
+    const selected = new Map();
+    let skipped = 0;
+
+    // Keyed by IATA code where there is one, otherwise by ICAO code
+    const icaoOnly = [];
+    const select = (airline) => {
+      if (!airline.iataCode) {
+        icaoOnly.push(airline);
+        return;
+      }
+      const current = selected.get(`iata:${airline.iataCode}`);
+      if (!current || (airline.active && !current.active)) {
+        selected.set(`iata:${airline.iataCode}`, airline);
+        // The airline that lost the IATA code is still reachable by its ICAO code
+        if (current) icaoOnly.push({ ...current, iataCode: null });
+      } else {
+        icaoOnly.push({ ...airline, iataCode: null });
+      }
+    };
+
+    records.forEach((record) => {
+      const airline = this.normalizeReferenceAirline(record);
+      if (airline) {
+        select(airline);
+      } else {
+        skipped += 1;
+      }
+    });
+
+    const selectedIcao = new Set([...selected.values()].map((airline) => airline.icaoCode));
+    icaoOnly.forEach((airline) => {
+      const key = `icao:${airline.icaoCode}`;
+      if (!airline.icaoCode || selectedIcao.has(airline.icaoCode) || selected.has(key)) {
+        skipped += 1;
+        return;
+      }
+      selected.set(key, airline);
+    });
+
+    const existing = await Airline.find({}).lean();
+    const byIata = new Map(existing
+      .filter((airline) => airline.iataCode)
+      .map((airline) => [airline.iataCode, airline]));
+    const byIcao = new Map();
+    existing.forEach((airline) => {
+      if (airline.icaoCode && !byIcao.has(airline.icaoCode)) byIcao.set(airline.icaoCode, airline);
+    });
+
+    const updates = [];
+    const inserts = [];
+    let unchanged = 0;
+    const fields = ['iataCode', 'icaoCode', 'name', 'callsign', 'country', 'active'];
+
+    selected.forEach((airline) => {
+      const byCode = airline.iataCode ? byIata.get(airline.iataCode) : null;
+      const target = (airline.icaoCode && byIcao.get(airline.icaoCode))
+        // Same IATA code but a different ICAO code is another airline reusing the code
+        || (byCode && (!byCode.icaoCode || byCode.icaoCode === airline.icaoCode) ? byCode : null);
+
+      if (!target) {
+        inserts.push({ insertOne: { document: airline } });
+        return;
+      }
+
+      const changed = fields.filter((field) => (target[field] ?? null) !== airline[field]);
+      if (changed.length === 0) {
+        unchanged += 1;
+        return;
+      }
+
+      updates.push({
+        updateOne: {
+          filter: { _id: target._id },
+          update: { $set: Object.fromEntries(changed.map((field) => [field, airline[field]])) },
+        },
+      });
+    });
+
+    // Updates go first so airlines moving to their correct IATA code free up the old one
+    const conflicts = [];
+    const write = async (operations) => {
+      if (operations.length === 0) {
+        return 0;
+      }
+      try {
+        const result = await Airline.bulkWrite(operations, { ordered: false });
+        return result.modifiedCount + result.insertedCount;
+      } catch (error) {
+        if (!error.writeErrors) {
+          throw error;
+        }
+        error.writeErrors.forEach((writeError) => conflicts.push(writeError.errmsg));
+        return (error.result?.modifiedCount || 0) + (error.result?.insertedCount || 0);
+      }
+    };
+
+    const updated = await write(updates);
+    const created = await write(inserts);
+
+    if (conflicts.length > 0) {
+      logger.warn(`${conflicts.length} reference airline(s) conflicted with existing codes`);
+    }
+    logger.info(`Reference airlines imported: ${created} created, ${updated} updated, ${unchanged} unchanged, ${skipped} skipped`);
+
+    return {
+      created,
+      updated,
+      unchanged,
+      skipped,
+      conflicts,
+    };
+  }
+
+  /**
+   * Search airlines by name, IATA code or ICAO code
+   * Combines stored airlines with the reference dataset so airlines nobody has flown yet
+   * still appear
+   * @param {string} query - Search text (e.g., "EK", "UAE", "emirates")
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array>} Matching airlines, best matches first
+   */
+  async searchAirlines(query, limit = 10) {
+    const term = query.trim();
+    const upperTerm = term.toUpperCase();
+    const escapedTerm = upperTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const prefixPattern = new RegExp(`^${escapedTerm}`);
+
+    // Exact code matches are looked up on their own so a busy prefix can't push them past the limit
+    const [exactMatches, codeMatches, textMatches] = await Promise.all([
+      Airline.find({
+        $or: [
+          { iataCode: upperTerm },
+          { icaoCode: upperTerm },
+        ],
+      }).lean(),
+      Airline.find({
+        $or: [
+          { iataCode: prefixPattern },
+          { icaoCode: prefixPattern },
+        ],
+      }).limit(limit).lean(),
+      Airline.find(
+        { $text: { $search: term } },
+        { score: { $meta: 'textScore' } },
+      ).sort({ score: { $meta: 'textScore' } }).limit(limit).lean(),
+    ]);
+
+    const results = [];
+    const seenCodes = new Set();
+    const addResult = (airline) => {
+      const codes = [airline.iataCode, airline.icaoCode].filter(Boolean);
+      if (codes.some((code) => seenCodes.has(code))) return;
+      codes.forEach((code) => seenCodes.add(code));
+      results.push(airline);
+    };
+
+    // Exact code matches rank above prefix matches, which rank above name matches
+    [...exactMatches, ...codeMatches, ...textMatches].forEach((airline) => addResult({
+      _id: airline._id,
+      name: airline.name,
+      iataCode: airline.iataCode,
+      icaoCode: airline.icaoCode,
+      logo: airline.logo,
+      source: 'database',
+    }));
+
+    // Fall back to the reference dataset for airlines not stored yet
+    const lowerTerm = term.toLowerCase();
+    const isExact = (airline) => airline.iataCode === upperTerm || airline.icaoCode === upperTerm;
+    const mappedMatches = this.referenceAirlines
+      .filter((airline) => airline.iataCode?.startsWith(upperTerm)
+        || airline.icaoCode?.startsWith(upperTerm)
+        || airline.name.toLowerCase().includes(lowerTerm))
+      .sort((a, b) => (isExact(a) ? 0 : 1) - (isExact(b) ? 0 : 1));
+
+    mappedMatches.forEach((airline) => addResult({
+      name: airline.name,
+      iataCode: airline.iataCode || null,
+      icaoCode: airline.icaoCode || null,
+      source: 'reference',
+    }));
+
+    logger.info(`Airline search for "${term}" returned ${results.length} result(s)`);
+
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Get the ICAO code for an airline code without creating anything
+   * @param {string} airlineCode - IATA or ICAO airline code
+   * @returns {Promise<string|null>} ICAO code, if known
+   */
+  async getIcaoCode(airlineCode) {
+    const normalizedCode = airlineCode.toUpperCase();
+
+    // IATA codes are two characters, so three letters is already an ICAO code
+    if (/^[A-Z]{3}$/.test(normalizedCode)) {
+      return normalizedCode;
+    }
+
+    const airline = await Airline.findOne({ iataCode: normalizedCode }).lean();
+    return airline?.icaoCode || this.referenceByIata.get(normalizedCode)?.icaoCode || null;
+  }
+
+  /**
+   * Get the operating airline of a flight reported by a data provider.
+   * Codeshares resolve to the carrier flying it (ident_icao), not the one it was searched under.
+   * @param {object} flightData - Normalized provider flight with ident and identIcao
+   * @returns {Promise<object>} Airline document and parsed operating flight info
+   */
+  async getOperatingAirline(flightData) {
+    const parsed = resolveOperatingFlight(flightData);
+    const airline = await this.findOrCreateAirline(parsed.airlineCode);
+
+    return {
+      airline,
+      flightNumber: parsed.flightNumber,
+      originalIdent: parsed.originalIdent,
+    };
+  }
+
   /**
    * Get airline information from flight identifier
    * @param {string} flightIdent - Flight identifier
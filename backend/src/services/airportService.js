@@ -0,0 +1,141 @@
+const Airport = require('../models/Airport');
+const Flight = require('../models/Flight');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const entityService = require('./entityService');
+const referenceAirports = require('../data/airports.json');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class AirportService {
+  /**
+   * Search airports by name, city, IATA code or ICAO code, matching prefixes
+   * ("LH", "EGL", "heath", "new y"). Reference airports nobody has flown to yet are included.
+   * @param {string} query - Search text
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array>} Matching airports, best matches first
+   */
+  async searchAirports(query, limit = 10) {
+    const term = query.trim();
+    const upperTerm = term.toUpperCase();
+    const escapedTerm = escapeRegExp(term);
+    const codePattern = new RegExp(`^${escapedTerm.toUpperCase()}`);
+    // Start of any word in the name or city, so "heath" finds London Heathrow
+    const wordPattern = new RegExp(`(^|[\\s(/-])${escapedTerm}`, 'i');
+    const startPattern = new RegExp(`^${escapedTerm}`, 'i');
+
+    // Exact code matches are looked up on their own so a busy prefix can't push them past the limit
+    const [exactMatches, codeMatches, nameMatches] = await Promise.all([
+      Airport.find({
+        $or: [
+          { iataCode: upperTerm },
+          { icaoCode: upperTerm },
+        ],
+      }).lean(),
+      Airport.find({
+        $or: [
+          { iataCode: codePattern },
+          { icaoCode: codePattern },
+        ],
+      }).limit(limit).lean(),
+      Airport.find({
+        $or: [
+          { name: wordPattern },
+          { city: wordPattern },
+        ],
+      }).limit(limit).lean(),
+    ]);
+
+    // Exact codes, then code prefixes, then names or cities starting with the term, then words
+    const rank = (airport) => {
+      if (airport.iataCode === upperTerm || airport.icaoCode === upperTerm) return 0;
+      if (codePattern.test(airport.iataCode || '') || codePattern.test(airport.icaoCode || '')) return 1;
+      if (startPattern.test(airport.name) || startPattern.test(airport.city || '')) return 2;
+      return 3;
+    };
+
+    const referenceMatches = referenceAirports.filter((airport) => rank(airport) < 3
+      || wordPattern.test(airport.name)
+      || wordPattern.test(airport.city || ''));
+
+    const candidates = [
+      ...[...exactMatches, ...codeMatches, ...nameMatches].map((airport) => ({ airport, source: 'database' })),
+      ...referenceMatches.map((airport) => ({ airport, source: 'reference' })),
+    ];
+    // Stable sort keeps stored airports ahead of reference ones of the same rank
+    candidates.sort((a, b) => rank(a.airport) - rank(b.airport));
+
+    const results = [];
+    const seenCodes = new Set();
+    candidates.forEach(({ airport, source }) => {
+      const codes = [airport.iataCode, airport.icaoCode].filter(Boolean);
+      if (codes.some((code) => seenCodes.has(code))) return;
+      codes.forEach((code) => seenCodes.add(code));
+
+      results.push({
+        _id: airport._id,
+        name: airport.name,
+        city: airport.city,
+        country: airport.country,
+        iataCode: airport.iataCode || null,
+        icaoCode: airport.icaoCode || null,
+        code: airport.iataCode || airport.icaoCode,
+        timezone: airport.timezone,
+        coordinates: airport.coordinates || null,
+        source,
+      });
+    });
+
+    logger.info(`Airport search for "${term}" returned ${results.length} result(s)`);
+
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Get an airport with the user's own history there
+   * @param {string} code - IATA (3 letters) or ICAO (4 letters) airport code
+   * @param {string} userId - User whose flights are counted
+   * @param {object} options - Options
+   * @param {number} options.top - How many routes and airlines to list
+   * @returns {Promise<object>} { airport, stats }
+   */
+  async getAirportDetail(code, userId, { top = 5 } = {}) {
+    const normalizedCode = code.toUpperCase().trim();
+    const [iataCode, icaoCode] = normalizedCode.length === 3
+      ? [normalizedCode, null]
+      : [null, normalizedCode];
+
+    const airport = await entityService.findExistingAirport(iataCode, icaoCode);
+
+    if (!airport) {
+      // Known airports the user has never flown to still have details to show
+      const reference = entityService.findReferenceAirport(iataCode, icaoCode);
+      if (!reference) {
+        throw new AppError(`No airport found with code ${normalizedCode}`, 404);
+      }
+
+      return {
+        airport: {
+          ...reference,
+          code: reference.iataCode || reference.icaoCode,
+          source: 'reference',
+        },
+        stats: {
+          totalFlights: 0,
+          departures: 0,
+          arrivals: 0,
+          firstVisit: null,
+          lastVisit: null,
+          topRoutes: [],
+          topAirlines: [],
+        },
+      };
+    }
+
+    const stats = await Flight.getAirportStats(userId, airport._id, { top });
+
+    return { airport, stats };
+  }
+}
+
+module.exports = new AirportService();
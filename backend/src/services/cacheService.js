@@ -0,0 +1,122 @@
+const FlightDataCache = require('../models/FlightDataCache');
+const logger = require('../utils/logger');
+
+const NAMESPACES = ['search', 'flight', 'airport'];
+
+/**
+ * MongoDB-backed cache for flight data provider responses, shared by every server instance.
+ * Cache failures never fail a lookup - they are logged and treated as a miss.
+ */
+class CacheService {
+  constructor() {
+    this.namespaces = NAMESPACES;
+    // Hit/miss counters since the process started
+    this.metrics = Object.fromEntries(
+      NAMESPACES.map((namespace) => [namespace, { hits: 0, misses: 0 }]),
+    );
+  }
+
+  /**
+   * Get a cached value that hasn't expired
+   * @param {string} namespace - search, flight or airport
+   * @param {string} key - Cache key within the namespace
+   * @returns {Promise<object|null>} { value, provider }, or null on a miss
+   */
+  async get(namespace, key) {
+    let entry = null;
+    try {
+      entry = await FlightDataCache.findOne({
+        key: `${namespace}:${key}`,
+        expiresAt: { $gt: new Date() },
+      }).lean();
+    } catch (error) {
+      logger.warn(`⚠️  Flight data cache read failed for ${namespace}:${key}:`, error.message);
+    }
+
+    if (!entry) {
+      this.metrics[namespace].misses += 1;
+      return null;
+    }
+
+    this.metrics[namespace].hits += 1;
+    logger.info(`💾 Flight data cache hit for ${namespace}:${key}`);
+    return { value: entry.value, provider: entry.provider };
+  }
+
+  /**
+   * Store a value, replacing any existing entry for the key
+   * @param {string} namespace - search, flight or airport
+   * @param {string} key - Cache key within the namespace
+   * @param {*} value - Value to cache
+   * @param {number} ttlMs - How long the entry stays valid
+   * @param {string} provider - ID of the provider that answered (optional)
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value, ttlMs, provider = null) {
+    try {
+      await FlightDataCache.updateOne(
+        { key: `${namespace}:${key}` },
+        {
+          $set: {
+            namespace,
+            value,
+            provider,
+            expiresAt: new Date(Date.now() + ttlMs),
+          },
+        },
+        { upsert: true },
+      );
+    } catch (error) {
+      logger.warn(`⚠️  Flight data cache write failed for ${namespace}:${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Hit/miss counters and stored entry counts per namespace
+   * @returns {Promise<object>} Metrics keyed by namespace, plus totals
+   */
+  async getMetrics() {
+    const counts = await FlightDataCache.aggregate([
+      { $match: { expiresAt: { $gt: new Date() } } },
+      { $group: { _id: '$namespace', entries: { $sum: 1 } } },
+    ]);
+    const entriesByNamespace = Object.fromEntries(counts.map(({ _id, entries }) => [_id, entries]));
+
+    const namespaces = Object.fromEntries(NAMESPACES.map((namespace) => {
+      const { hits, misses } = this.metrics[namespace];
+      const lookups = hits + misses;
+      return [namespace, {
+        hits,
+        misses,
+        hitRate: lookups > 0 ? hits / lookups : null,
+        entries: entriesByNamespace[namespace] || 0,
+      }];
+    }));
+
+    const totals = Object.values(namespaces).reduce((sum, { hits, misses, entries }) => ({
+      hits: sum.hits + hits,
+      misses: sum.misses + misses,
+      entries: sum.entries + entries,
+    }), { hits: 0, misses: 0, entries: 0 });
+    const lookups = totals.hits + totals.misses;
+
+    return {
+      namespaces,
+      totals: { ...totals, hitRate: lookups > 0 ? totals.hits / lookups : null },
+      since: new Date(Date.now() - process.uptime() * 1000),
+    };
+  }
+
+  /**
+   * Remove cached entries
+   * @param {string} namespace - Only purge this namespace (optional, all when omitted)
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purge(namespace = null) {
+    const { deletedCount } = await FlightDataCache.deleteMany(namespace ? { namespace } : {});
+    logger.info(`🗑️ Purged ${deletedCount} flight data cache entry(ies)${namespace ? ` from ${namespace}` : ''}`);
+    return deletedCount;
+  }
+}
+
+module.exports = new CacheService();
@@ -3,6 +3,17 @@ const Airport = require('../models/Airport');
 const logger = require('../utils/logger');
 const flickrService = require('./flickrService');
 const flightAwareService = require('./flightAwareService');
+const referenceAirportList = require('../data/airports.json');
+
+// Bundled reference airports by code, consulted before FlightAware
+const referenceAirports = {
+  byIcao: new Map(referenceAirportList
+    .filter((airport) => airport.icaoCode)
+    .map((airport) => [airport.icaoCode, airport])),
+  byIata: new Map(referenceAirportList
+    .filter((airport) => airport.iataCode)
+    .map((airport) => [airport.iataCode, airport])),
+};
 
 class EntityService {
   /**
@@ -306,102 +317,32 @@ class EntityService {
   }
 
   /**
-   * Convert ICAO airport code to IATA code
+   * Look up an airport in the bundled reference dataset (src/data/airports.json)
+   * @param {string} iataCode - IATA airport code (3 letters)
    * @param {string} icaoCode - ICAO airport code (4 letters)
-   * @returns {string|null} IATA code (3 letters) if known
+   * @returns {object|null} Reference airport, matched by ICAO code first
    */
-  icaoToIataAirport(icaoCode) {
-    // Common ICAO to IATA airport mappings
-    const icaoToIataMap = {
-      // Major US airports
-      'KJFK': 'JFK', // John F Kennedy Intl
-      'KLAX': 'LAX', // Los Angeles Intl
-      'KORD': 'ORD', // Chicago O'Hare
-      'KATL': 'ATL', // Atlanta Hartsfield-Jackson
-      'KDFW': 'DFW', // Dallas/Fort Worth
-      'KDEN': 'DEN', // Denver Intl
-      'KSFO': 'SFO', // San Francisco Intl
-      'KLAS': 'LAS', // Las Vegas McCarran
-      'KMIA': 'MIA', // Miami Intl
-      'KBOS': 'BOS', // Boston Logan
-      'KSEA': 'SEA', // Seattle-Tacoma
-      'KPHX': 'PHX', // Phoenix Sky Harbor
-      'KIAH': 'IAH', // Houston Intercontinental
-      'KDTW': 'DTW', // Detroit Metro
-      'KMSP': 'MSP', // Minneapolis-St Paul
-      'KPHL': 'PHL', // Philadelphia
-      'KCLT': 'CLT', // Charlotte Douglas
-      
-      // Major International airports
-      'EGLL': 'LHR', // London Heathrow
-      'EGKK': 'LGW', // London Gatwick
-      'LFPG': 'CDG', // Paris Charles de Gaulle
-      'EDDF': 'FRA', // Frankfurt
-      'EHAM': 'AMS', // Amsterdam Schiphol
-      'LEMD': 'MAD', // Madrid Barajas
-      'LIRF': 'FCO', // Rome Fiumicino
-      'LOWW': 'VIE', // Vienna
-      'LSZH': 'ZUR', // Zurich
-      'ESSA': 'ARN', // Stockholm Arlanda
-      'EKCH': 'CPH', // Copenhagen
-      'ENGM': 'OSL', // Oslo Gardermoen
-      'EFHK': 'HEL', // Helsinki Vantaa
-      
-      // Middle East
-      'OMDB': 'DXB', // Dubai Intl
-      'OERK': 'RUH', // Riyadh King Khalid
-      'OTHH': 'DOH', // Doha Hamad
-      'HECA': 'CAI', // Cairo Intl
-      'LTBA': 'IST', // Istanbul Airport
-      
-      // Asia Pacific
-      'RJTT': 'NRT', // Tokyo Narita
-      'RJAA': 'HND', // Tokyo Haneda
-      'RKSI': 'ICN', // Seoul Incheon
-      'VHHH': 'HKG', // Hong Kong Intl
-      'WSSS': 'SIN', // Singapore Changi
-      'WMKK': 'KUL', // Kuala Lumpur
-      'VTBS': 'BKK', // Bangkok Suvarnabhumi
-      'YSSY': 'SYD', // Sydney Kingsford Smith
-      'YMML': 'MEL', // Melbourne
-      'NZAA': 'AKL', // Auckland
-      
-      // India
-      'VIDP': 'DEL', // New Delhi Indira Gandhi
-      'VABB': 'BOM', // Mumbai Chhatrapati Shivaji
-      'VOBL': 'BLR', // Bangalore Kempegowda
-      'VOMM': 'MAA', // Chennai
-      'VECC': 'CCU', // Kolkata
-      'VOHS': 'HYD', // Hyderabad
-      'VAAH': 'AMD', // Ahmedabad
-      'VOCI': 'COK', // Kochi
-      'VOTR': 'TRV', // Trivandrum
-      'VAGO': 'GOI', // Goa
-      'VOGO': 'GOI', // Goa (alternative ICAO code)
-      
-      // Canada
-      'CYYZ': 'YYZ', // Toronto Pearson
-      'CYVR': 'YVR', // Vancouver
-      'CYUL': 'YUL', // Montreal Trudeau
-      'CYYC': 'YYC', // Calgary
-      'CYOW': 'YOW', // Ottawa
-      'CYWG': 'YWG', // Winnipeg
-      
-      // South America
-      'SBGR': 'GRU', // São Paulo Guarulhos
-      'SCEL': 'SCL', // Santiago
-      'SAEZ': 'EZE', // Buenos Aires Ezeiza
-      'SKBO': 'BOG', // Bogotá El Dorado
-      'SPJC': 'LIM', // Lima Jorge Chávez
-    };
+  findReferenceAirport(iataCode, icaoCode) {
+    return (icaoCode && referenceAirports.byIcao.get(icaoCode.toUpperCase()))
+      || (iataCode && referenceAirports.byIata.get(iataCode.toUpperCase()))
+      || null;
+  }
 
-    const normalizedIcao = icaoCode.toUpperCase();
-    if (icaoToIataMap[normalizedIcao]) {
-      logger.info(`Airport ICAO to IATA conversion: ${normalizedIcao} → ${icaoToIataMap[normalizedIcao]}`);
-      return icaoToIataMap[normalizedIcao];
+  /**
+   * Find a stored airport by IATA code, falling back to ICAO code
+   * @param {string} iataCode - IATA airport code
+   * @param {string} icaoCode - ICAO airport code
+   * @returns {Promise<object|null>} Airport document
+   */
+  async findExistingAirport(iataCode, icaoCode) {
+    if (iataCode) {
+      const airport = await Airport.findOne({ iataCode });
+      if (airport) {
+        return airport;
+      }
     }
-    
-    return null;
+
+    return icaoCode ? Airport.findOne({ icaoCode }) : null;
   }
 
   /**
@@ -438,45 +379,21 @@ class EntityService {
     if (!iataCode && !icaoCode && code) {
       const normalizedCode = code.toUpperCase().trim();
       if (normalizedCode.length === 3) {
-        // It's likely an IATA code
         iataCode = normalizedCode;
       } else if (normalizedCode.length === 4) {
-        // It's likely an ICAO code
         icaoCode = normalizedCode;
-        // Try to convert ICAO to IATA as fallback
-        iataCode = this.icaoToIataAirport(normalizedCode);
       }
     }
 
-    // If we still don't have IATA but have ICAO, try FlightAware API lookup first, then hardcoded conversion
-    if (!iataCode && icaoCode) {
-      try {
-        logger.info(`🔍 Attempting FlightAware API lookup for airport: ${icaoCode}`);
-        const flightAwareAirport = await flightAwareService.getAirportInfo(icaoCode);
-        
-        if (flightAwareAirport && flightAwareAirport.codeIata) {
-          iataCode = flightAwareAirport.codeIata.toUpperCase().trim();
-          logger.info(`✅ FlightAware API provided IATA code: ${icaoCode} → ${iataCode}`);
-          
-          // Update airport data with FlightAware information
-          if (!name && flightAwareAirport.name) {
-            airportData.name = flightAwareAirport.name;
-          }
-          if (!city && flightAwareAirport.city) {
-            airportData.city = flightAwareAirport.city;
-          }
-        }
-      } catch (error) {
-        logger.warn(`⚠️  FlightAware API lookup failed for ${icaoCode}: ${error.message}`);
-      }
-      
-      // If FlightAware didn't provide IATA code, fall back to hardcoded mapping
-      if (!iataCode) {
-        iataCode = this.icaoToIataAirport(icaoCode);
-        if (iataCode) {
-          logger.info(`✅ Hardcoded mapping provided IATA code: ${icaoCode} → ${iataCode}`);
-        }
-      }
+    if (!iataCode && !icaoCode) {
+      throw new Error('Airport code (IATA or ICAO) is required to create new airport');
+    }
+
+    // Known airports get their other code (and everything else) from the reference dataset
+    const reference = this.findReferenceAirport(iataCode, icaoCode);
+    if (reference) {
+      iataCode = iataCode || reference.iataCode || null;
+      icaoCode = icaoCode || reference.icaoCode || null;
     }
 
     logger.info(`Finding or creating airport:`, { 
@@ -485,108 +402,293 @@ class EntityService {
       providedIcao: codeIcao || code_icao,
       resolvedIata: iataCode, 
       resolvedIcao: icaoCode, 
+      inReferenceData: Boolean(reference),
       name, 
       city 
     });
 
-    // Primary search by IATA code (most common)
-    if (iataCode) {
-      let airport = await Airport.findOne({ iataCode });
-      
-      if (airport) {
-        logger.info(`Found existing airport: ${airport.name} (${airport.iataCode})`);
-        
-        // Update missing fields if we have new data
-        let updated = false;
-        if (!airport.icaoCode && icaoCode) {
-          airport.icaoCode = icaoCode;
-          updated = true;
-        }
-        if (!airport.name && name) {
-          airport.name = name;
-          updated = true;
-        }
-        if (!airport.city && city) {
-          airport.city = city;
-          updated = true;
-        }
-        
-        if (updated) {
-          await airport.save();
-          logger.info(`Updated airport data for ${airport.iataCode}`);
+    let airport = await this.findExistingAirport(iataCode, icaoCode);
+
+    // FlightAware airport details, kept so coordinates can be saved when the airport is created
+    let airportInfo = null;
+
+    // An ICAO code missing from the reference data: FlightAware may know its IATA code.
+    // Airports without one are stored with their ICAO code only
+    if (!airport && !reference && icaoCode && !iataCode) {
+      try {
+        logger.info(`🔍 Attempting FlightAware API lookup for airport: ${icaoCode}`);
+        airportInfo = await flightAwareService.getAirportInfo(icaoCode);
+
+        if (airportInfo?.codeIata) {
+          iataCode = airportInfo.codeIata.toUpperCase().trim();
+          logger.info(`✅ FlightAware API provided IATA code: ${icaoCode} → ${iataCode}`);
+          airport = await this.findExistingAirport(iataCode, icaoCode);
         }
-        
-        return airport;
+      } catch (error) {
+        logger.warn(`⚠️  FlightAware API lookup failed for ${icaoCode}: ${error.message}`);
       }
     }
 
-    // Secondary search by ICAO code
-    if (icaoCode && !iataCode) {
-      let airport = await Airport.findOne({ icaoCode });
-      
-      if (airport) {
-        logger.info(`Found existing airport by ICAO: ${airport.name} (${airport.icaoCode})`);
-        return airport;
+    if (airport) {
+      logger.info(`Found existing airport: ${airport.name} (${airport.code})`);
+
+      // Update missing fields if we have new data
+      let updated = false;
+      if (!airport.iataCode && iataCode) {
+        airport.iataCode = iataCode;
+        updated = true;
+      }
+      if (!airport.icaoCode && icaoCode) {
+        airport.icaoCode = icaoCode;
+        updated = true;
+      }
+      if (!airport.name && name) {
+        airport.name = name;
+        updated = true;
+      }
+      if (!airport.city && city) {
+        airport.city = city;
+        updated = true;
       }
+      // Replace the UTC placeholder once a real time zone is known
+      if (airport.timezone === 'UTC' && airportData.timezone && airportData.timezone !== 'UTC') {
+        airport.timezone = airportData.timezone;
+        updated = true;
+      }
+
+      if (updated) {
+        await airport.save();
+        logger.info(`Updated airport data for ${airport.code}`);
+      }
+
+      return airport;
     }
 
-    // Create new airport
-    if (!iataCode) {
-      // If we have an ICAO code but no IATA mapping, try one more FlightAware lookup
-      if (icaoCode) {
-        try {
-          logger.info(`🚨 Last resort: FlightAware lookup for ICAO-only airport: ${icaoCode}`);
-          const flightAwareAirport = await flightAwareService.getAirportInfo(icaoCode);
-          
-          if (flightAwareAirport) {
-            // Check if FlightAware has IATA code in any field
-            if (flightAwareAirport.codeIata) {
-              iataCode = flightAwareAirport.codeIata.toUpperCase().trim();
-              logger.info(`✅ FlightAware provided IATA code on retry: ${icaoCode} → ${iataCode}`);
-            } else if (flightAwareAirport.code && flightAwareAirport.code.length === 3) {
-              iataCode = flightAwareAirport.code.toUpperCase().trim();
-              logger.info(`✅ FlightAware 'code' field appears to be IATA: ${icaoCode} → ${iataCode}`);
-            } else {
-              // Create airport with ICAO-derived IATA code as a fallback
-              // This is not ideal but allows the system to function
-              iataCode = `I${icaoCode.substring(1)}`.toUpperCase(); // Convert VOGO to IOGO as fallback
-              logger.warn(`⚠️  Creating synthetic IATA code for ${icaoCode}: ${iataCode}`);
-            }
-            
-            // Update airport data with FlightAware information
-            if (flightAwareAirport.name) {
-              airportData.name = flightAwareAirport.name;
-            }
-            if (flightAwareAirport.city) {
-              airportData.city = flightAwareAirport.city;
-            }
-          }
-        } catch (error) {
-          logger.error(`❌ Final FlightAware lookup failed for ${icaoCode}: ${error.message}`);
-        }
-        
-        // If we still don't have an IATA code, create a synthetic one
-        if (!iataCode) {
-          iataCode = `I${icaoCode.substring(1)}`.toUpperCase();
-          logger.warn(`🔧 Creating synthetic IATA code for unmapped airport ${icaoCode}: ${iataCode}`);
-        }
-      } else {
-        throw new Error('Airport code (IATA or ICAO) is required to create new airport');
+    // Look up coordinates, country and timezone for airports missing from the reference data
+    if (!reference && !airportInfo) {
+      try {
+        airportInfo = await flightAwareService.getAirportInfo(icaoCode || iataCode);
+      } catch (error) {
+        logger.warn(`⚠️  FlightAware details lookup failed for ${icaoCode || iataCode}:`, error.message);
       }
     }
 
     const airportCreateData = {
-      name: name || `Airport ${iataCode}`,
-      city: city || 'Unknown',
-      country: 'Unknown', // Required field, will need to be updated later
-      iataCode,
-      icaoCode,
-      timezone: 'UTC', // Default timezone, will need to be updated later
+      name: reference?.name || name || airportInfo?.name || `Airport ${iataCode || icaoCode}`,
+      city: reference?.city || city || airportInfo?.city || 'Unknown',
+      country: reference?.country || airportInfo?.country || 'Unknown', // Required field, will need to be updated later
+      iataCode: iataCode || undefined,
+      icaoCode: icaoCode || undefined,
+      // Flight data carries the origin/destination time zone; UTC only as a last resort
+      timezone: reference?.timezone || airportData.timezone || airportInfo?.timezone || 'UTC',
+      elevation: reference?.elevation ?? airportInfo?.elevation ?? undefined,
     };
 
+    const coordinates = reference?.coordinates || this.extractCoordinates(airportInfo);
+    if (coordinates) {
+      airportCreateData.coordinates = coordinates;
+    }
+
     return this.createAirport(airportCreateData);
   }
 
+  /**
+   * Validate and normalize one reference airport record
+   * @param {object} record - { icaoCode, iataCode, name, city, country, coordinates, timezone,
+   *   elevation }
+   * @returns {object|null} Airport fields, or null when the record can't be stored
+   */
+  normalizeReferenceAirport(record) {
+    const icaoCode = record.icaoCode?.trim().toUpperCase();
+    const iataCode = record.iataCode?.trim().toUpperCase();
+    const name = record.name?.trim();
+    const validIcao = /^[A-Z]{4}$/.test(icaoCode || '') ? icaoCode : null;
+    const validIata = /^[A-Z]{3}$/.test(iataCode || '') ? iataCode : null;
+
+    if (!name || (!validIcao && !validIata)) {
+      return null;
+    }
+
+    const coordinates = this.extractCoordinates({
+      latitude: record.coordinates?.lat,
+      longitude: record.coordinates?.lng,
+    });
+    const elevation = record.elevation == null ? NaN : Number(record.elevation);
+
+    return {
+      icaoCode: validIcao,
+      iataCode: validIata,
+      name,
+      city: record.city?.trim() || null,
+      country: record.country?.trim() || null,
+      coordinates,
+      timezone: record.timezone?.trim() || null,
+      elevation: Number.isNaN(elevation) ? null : elevation,
+    };
+  }
+
+  /**
+   * Load a reference airport dataset into the Airport collection. Safe to re-run: existing
+   * airports are updated in place, so flights keep pointing at the same documents.
+   * Airports are matched by ICAO code first, then by IATA code. Values missing from the
+   * dataset never erase what is already stored.
+   * @param {Array<object>} records - { icaoCode, iataCode, name, city, country, coordinates,
+   *   timezone, elevation }
+   * @returns {Promise<object>} { created, updated, unchanged, skipped, conflicts }
+   */
+  async importReferenceAirports(records) {
+    const seenIcao = new Set();
+    const seenIata = new Set();
+    const selected = [];
+    let skipped = 0;
+
+    records.forEach((record) => {
+      const airport = this.normalizeReferenceAirport(record);
+      // First record wins when a dataset repeats a code
+      if (!airport || seenIcao.has(airport.icaoCode) || seenIata.has(airport.iataCode)) {
+        skipped += 1;
+        return;
+      }
+
+      if (airport.icaoCode) seenIcao.add(airport.icaoCode);
+      if (airport.iataCode) seenIata.add(airport.iataCode);
+      selected.push(airport);
+    });
+
+    const existing = await Airport.find({}).lean();
+    const byIata = new Map();
+    const byIcao = new Map();
+    existing.forEach((airport) => {
+      if (airport.iataCode && !byIata.has(airport.iataCode)) byIata.set(airport.iataCode, airport);
+      if (airport.icaoCode && !byIcao.has(airport.icaoCode)) byIcao.set(airport.icaoCode, airport);
+    });
+
+    const updates = [];
+    const inserts = [];
+    let unchanged = 0;
+    const fields = ['icaoCode', 'iataCode', 'name', 'city', 'country', 'timezone', 'elevation'];
+
+    selected.forEach((airport) => {
+      const byCode = airport.iataCode && byIata.get(airport.iataCode);
+      const target = (airport.icaoCode && byIcao.get(airport.icaoCode))
+        // Same IATA code but a different ICAO code is another airport
+        || (byCode && (!byCode.icaoCode || byCode.icaoCode === airport.icaoCode) ? byCode : null);
+
+      if (!target) {
+        inserts.push({
+          insertOne: {
+            document: {
+              ...Object.fromEntries(fields
+                .filter((field) => airport[field] !== null)
+                .map((field) => [field, airport[field]])),
+              city: airport.city || 'Unknown',
+              country: airport.country || 'Unknown',
+              timezone: airport.timezone || 'UTC',
+              ...(airport.coordinates && { coordinates: airport.coordinates }),
+            },
+          },
+        });
+        return;
+      }
+
+      const changes = Object.fromEntries(fields
+        .filter((field) => airport[field] !== null && target[field] !== airport[field])
+        .map((field) => [field, airport[field]]));
+
+      if (airport.coordinates && (target.coordinates?.lat !== airport.coordinates.lat
+        || target.coordinates?.lng !== airport.coordinates.lng)) {
+        changes.coordinates = airport.coordinates;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        unchanged += 1;
+        return;
+      }
+
+      updates.push({ updateOne: { filter: { _id: target._id }, update: { $set: changes } } });
+    });
+
+    // Updates go first so airports moving to their correct IATA code free up the old one
+    const conflicts = [];
+    const write = async (operations) => {
+      if (operations.length === 0) {
+        return 0;
+      }
+      try {
+        const result = await Airport.bulkWrite(operations, { ordered: false });
+        return result.modifiedCount + result.insertedCount;
+      } catch (error) {
+        if (!error.writeErrors) {
+          throw error;
+        }
+        error.writeErrors.forEach((writeError) => conflicts.push(writeError.errmsg));
+        return (error.result?.modifiedCount || 0) + (error.result?.insertedCount || 0);
+      }
+    };
+
+    const updated = await write(updates);
+    const created = await write(inserts);
+
+    if (conflicts.length > 0) {
+      logger.warn(`${conflicts.length} reference airport(s) conflicted with existing codes`);
+    }
+    logger.info(`Reference airports imported: ${created} created, ${updated} updated, ${unchanged} unchanged, ${skipped} skipped`);
+
+    return {
+      created,
+      updated,
+      unchanged,
+      skipped,
+      conflicts,
+    };
+  }
+
+  /**
+   * Extract coordinates from FlightAware airport details
+   * @param {object} airportInfo - Result of flightAwareService.getAirportInfo
+   * @returns {object|null} { lat, lng } when both are valid numbers
+   */
+  extractCoordinates(airportInfo) {
+    const lat = Number(airportInfo?.latitude);
+    const lng = Number(airportInfo?.longitude);
+
+    if (airportInfo?.latitude == null || airportInfo?.longitude == null
+      || Number.isNaN(lat) || Number.isNaN(lng)
+      || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return null;
+    }
+
+    return { lat, lng };
+  }
+
+  /**
+   * Fill in missing coordinates on an existing airport from FlightAware
+   * @param {object} airport - Airport document
+   * @returns {Promise<boolean>} True when coordinates were saved
+   */
+  async backfillAirportCoordinates(airport) {
+    const code = airport.icaoCode || airport.iataCode;
+    const airportInfo = await flightAwareService.getAirportInfo(code);
+    const coordinates = this.extractCoordinates(airportInfo);
+
+    if (!coordinates) {
+      logger.warn(`⚠️  No coordinates available for airport ${airport.code}`);
+      return false;
+    }
+
+    airport.coordinates = coordinates;
+    if (airport.timezone === 'UTC' && airportInfo.timezone) {
+      airport.timezone = airportInfo.timezone;
+    }
+    if (airport.country === 'Unknown' && airportInfo.country) {
+      airport.country = airportInfo.country;
+    }
+
+    await airport.save();
+    logger.info(`📍 Saved coordinates for airport ${airport.code}: ${coordinates.lat}, ${coordinates.lng}`);
+    return true;
+  }
+
   /**
    * Create new airport with proper error handling
    * @param {object} airportData - Airport data to create
@@ -595,14 +697,14 @@ class EntityService {
   async createAirport(airportData) {
     try {
       const airport = await Airport.create(airportData);
-      logger.info(`Created new airport: ${airport.name} (${airport.iataCode})`);
+      logger.info(`Created new airport: ${airport.name} (${airport.code})`);
       return airport;
     } catch (error) {
       if (error.code === 11000) {
         // Handle race condition - another request created the airport
-        const airport = await Airport.findOne({ iataCode: airportData.iataCode });
+        const airport = await this.findExistingAirport(airportData.iataCode, airportData.icaoCode);
         if (airport) {
-          logger.info(`Found airport created by concurrent request: ${airport.iataCode}`);
+          logger.info(`Found airport created by concurrent request: ${airport.code}`);
           return airport;
         }
       }
@@ -612,7 +714,7 @@ class EntityService {
   }
 
   /**
-   * Validate and transform time data from FlightAware
+   * Validate and transform time data from FlightAware into the out/off/on/in model
    * @param {object} flightData - FlightAware flight data
    * @returns {object} Transformed time data
    */
@@ -621,37 +723,52 @@ class EntityService {
       scheduled: {},
     };
 
-    // Transform scheduled times
-    if (flightData.scheduledDeparture) {
-      times.scheduled.departure = new Date(flightData.scheduledDeparture);
-    }
-    if (flightData.scheduledArrival) {
-      times.scheduled.arrival = new Date(flightData.scheduledArrival);
-    }
+    // FlightAware field prefix/suffix for each stored time
+    const fields = {
+      departure: 'Departure',
+      takeoff: 'Off',
+      landing: 'On',
+      arrival: 'Arrival',
+    };
 
-    // Add estimated times if available
-    if (flightData.estimatedDeparture) {
-      times.estimated = times.estimated || {};
-      times.estimated.departure = new Date(flightData.estimatedDeparture);
-    }
-    if (flightData.estimatedArrival) {
-      times.estimated = times.estimated || {};
-      times.estimated.arrival = new Date(flightData.estimatedArrival);
-    }
+    ['scheduled', 'estimated', 'actual'].forEach((kind) => {
+      Object.entries(fields).forEach(([key, suffix]) => {
+        const value = flightData[`${kind}${suffix}`];
+        if (value) {
+          times[kind] = times[kind] || {};
+          times[kind][key] = new Date(value);
+        }
+      });
+    });
 
-    // Add actual times if available
-    if (flightData.actualDeparture) {
-      times.actual = times.actual || {};
-      times.actual.departure = new Date(flightData.actualDeparture);
+    // Top-level gate/takeoff/landing hold the real times once the flight has flown
+    if (times.actual?.departure) {
+      times.gate = times.actual.departure;
     }
-    if (flightData.actualArrival) {
-      times.actual = times.actual || {};
-      times.actual.arrival = new Date(flightData.actualArrival);
+    if (times.actual?.takeoff) {
+      times.takeoff = times.actual.takeoff;
+    }
+    if (times.actual?.landing) {
+      times.landing = times.actual.landing;
     }
 
     return times;
   }
 
+  /**
+   * Extract departure and arrival delays from FlightAware data
+   * @param {object} flightData - FlightAware flight data (delays in seconds)
+   * @returns {object} Delays in minutes, negative when early
+   */
+  extractFlightDelays(flightData) {
+    const toMinutes = (seconds) => (typeof seconds === 'number' ? Math.round(seconds / 60) : undefined);
+
+    return {
+      departure: toMinutes(flightData.departureDelay),
+      arrival: toMinutes(flightData.arrivalDelay),
+    };
+  }
+
   /**
    * Extract flight date from FlightAware data
    * @param {object} flightData - FlightAware flight data
@@ -672,6 +789,11 @@ class EntityService {
     if (flightData.actualDeparture) {
       return new Date(flightData.actualDeparture);
     }
+
+    // Providers without gate times (e.g. ADS-B data) only know when the aircraft took off
+    if (flightData.actualOff) {
+      return new Date(flightData.actualOff);
+    }
     
     // Last resort: use current date
     logger.warn('No departure time found in flight data, using current date');
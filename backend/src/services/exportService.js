@@ -0,0 +1,179 @@
+const { once } = require('events');
+const Flight = require('../models/Flight');
+const logger = require('../utils/logger');
+const { toCsvRow } = require('../utils/csv');
+
+// Columns of the flat export record, in CSV column order
+const EXPORT_COLUMNS = [
+  'date',
+  'localDate',
+  'flightNumber',
+  'airline',
+  'airlineIata',
+  'airlineIcao',
+  'from',
+  'fromIcao',
+  'fromName',
+  'fromCity',
+  'fromCountry',
+  'to',
+  'toIcao',
+  'toName',
+  'toCity',
+  'toCountry',
+  'tailNumber',
+  'aircraftType',
+  'aircraftModel',
+  'seat',
+  'notes',
+  'scheduledDeparture',
+  'scheduledArrival',
+  'actualDeparture',
+  'actualArrival',
+  'gate',
+  'takeoff',
+  'landing',
+  'departureDelayMinutes',
+  'arrivalDelayMinutes',
+  'dataSource',
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  geojson: 'application/geo+json; charset=utf-8',
+};
+
+class ExportService {
+  /**
+   * Get the response content type for an export format
+   * @param {string} format - csv, json or geojson
+   * @returns {string} Content type header value
+   */
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  /**
+   * Flatten a populated flight into an export record with resolved names and codes
+   * @param {object} flight - Flight document with related documents populated
+   * @returns {object} Export record keyed by EXPORT_COLUMNS
+   */
+  toExportRecord(flight) {
+    const {
+      airline,
+      originAirport: origin,
+      destinationAirport: destination,
+      aircraft,
+      times = {},
+    } = flight;
+
+    return {
+      date: flight.date,
+      localDate: flight.localDate || null,
+      flightNumber: `${airline?.iataCode || airline?.icaoCode || ''}${flight.flightNumber}`,
+      airline: airline?.name || null,
+      airlineIata: airline?.iataCode || null,
+      airlineIcao: airline?.icaoCode || null,
+      from: origin?.iataCode || null,
+      fromIcao: origin?.icaoCode || null,
+      fromName: origin?.name || null,
+      fromCity: origin?.city || null,
+      fromCountry: origin?.country || null,
+      to: destination?.iataCode || null,
+      toIcao: destination?.icaoCode || null,
+      toName: destination?.name || null,
+      toCity: destination?.city || null,
+      toCountry: destination?.country || null,
+      tailNumber: aircraft?.tailNumber || null,
+      aircraftType: aircraft?.aircraftType || flight.aircraftType || null,
+      aircraftModel: aircraft ? aircraft.getFormattedInfo() : null,
+      seat: flight.seat || null,
+      notes: flight.notes || null,
+      scheduledDeparture: times.scheduled?.departure || null,
+      scheduledArrival: times.scheduled?.arrival || null,
+      actualDeparture: times.actual?.departure || null,
+      actualArrival: times.actual?.arrival || null,
+      gate: times.gate || null,
+      takeoff: times.takeoff || null,
+      landing: times.landing || null,
+      departureDelayMinutes: flight.delays?.departure ?? null,
+      arrivalDelayMinutes: flight.delays?.arrival ?? null,
+      dataSource: flight.dataSource,
+    };
+  }
+
+  /**
+   * Build a GeoJSON feature for a flight, a LineString from origin to destination
+   * Geometry is null when either airport has no coordinates
+   * @param {object} flight - Flight document with related documents populated
+   * @returns {object} GeoJSON Feature
+   */
+  toGeoJsonFeature(flight) {
+    const from = flight.originAirport?.coordinates;
+    const to = flight.destinationAirport?.coordinates;
+    const hasCoordinates = [from?.lat, from?.lng, to?.lat, to?.lng]
+      .every((value) => typeof value === 'number');
+
+    return {
+      type: 'Feature',
+      id: flight._id.toString(),
+      geometry: hasCoordinates
+        ? { type: 'LineString', coordinates: [[from.lng, from.lat], [to.lng, to.lat]] }
+        : null,
+      properties: this.toExportRecord(flight),
+    };
+  }
+
+  /**
+   * Stream all of a user's flights to a writable stream in the requested format
+   * @param {string} userId - Owner of the hangar
+   * @param {string} format - csv, json or geojson
+   * @param {Writable} stream - Destination stream (e.g. the HTTP response)
+   * @returns {Promise<number>} Number of flights written
+   */
+  async writeFlights(userId, format, stream) {
+    const write = async (chunk) => {
+      // Respect backpressure so large hangars don't buffer in memory
+      if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+      }
+    };
+
+    if (format === 'csv') {
+      await write(toCsvRow(EXPORT_COLUMNS));
+    } else if (format === 'geojson') {
+      await write('{"type":"FeatureCollection","features":[');
+    } else {
+      await write(`{"exportedAt":"${new Date().toISOString()}","flights":[`);
+    }
+
+    const cursor = Flight.find({ userId }).sort({ date: -1 }).cursor();
+    let count = 0;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const flight of cursor) {
+      const separator = count > 0 ? ',' : '';
+
+      if (format === 'csv') {
+        const record = this.toExportRecord(flight);
+        await write(toCsvRow(EXPORT_COLUMNS.map((column) => record[column])));
+      } else if (format === 'geojson') {
+        await write(separator + JSON.stringify(this.toGeoJsonFeature(flight)));
+      } else {
+        await write(separator + JSON.stringify(this.toExportRecord(flight)));
+      }
+
+      count += 1;
+    }
+
+    if (format !== 'csv') {
+      await write(']}');
+    }
+
+    logger.info(`Exported ${count} flight(s) as ${format} for user ${userId}`);
+    return count;
+  }
+}
+
+module.exports = new ExportService();
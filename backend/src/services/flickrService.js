@@ -1,10 +1,16 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { createHttpClient } = require('../utils/httpClient');
 
 class FlickrService {
   constructor() {
     this.baseUrl = 'https://www.flickr.com/services/rest/';
     this.apiKey = process.env.FLICKR_API_KEY;
+    this.apiClient = createHttpClient({
+      baseURL: this.baseUrl,
+      timeout: 10000,
+      headers: { 'User-Agent': 'ThatsMyPlane/1.0' },
+      maxRedirects: 5,
+    });
     this.cache = new Map(); // Simple in-memory cache
     this.cacheExpiry = 1000 * 60 * 30; // 30 minutes cache
     
@@ -158,12 +164,7 @@ class FlickrService {
       delete sanitizedParams.api_key;
       logger.info('📡 Request params:', sanitizedParams);
       
-      const response = await axios.get(this.baseUrl, { 
-        params, 
-        timeout: 10000, 
-        headers: { 'User-Agent': 'ThatsMyPlane/1.0' },
-        maxRedirects: 5
-      });
+      const response = await this.apiClient.get('', { params });
       
       // Validate response structure
       if (!response.data || typeof response.data !== 'object') {
@@ -184,6 +185,8 @@ class FlickrService {
       // Enhanced error handling with sanitization
       if (error.code === 'ECONNABORTED') {
         logger.error('❌ Flickr API timeout');
+      } else if (error.code === 'ECIRCUITOPEN') {
+        logger.warn('⚠️ Flickr API circuit open, skipping request');
       } else if (error.response) {
         logger.error('❌ Flickr API HTTP error:', error.response.status);
       } else if (error.request) {
@@ -192,9 +195,9 @@ class FlickrService {
         logger.error('❌ Flickr API error:', error.message);
       }
       
-      // Return empty results on any error - never expose internal errors
+      // Return empty results on any error - never expose internal errors.
+      // Failures aren't cached so the next request tries Flickr again.
       logger.info('📷 Returning empty results due to external service error');
-      this.setCachedResult(cacheKey, []);
       return [];
     }
   }
@@ -297,7 +300,7 @@ class FlickrService {
         nojsoncallback: 1,
       };
 
-      const response = await axios.get(this.baseUrl, { params });
+      const response = await this.apiClient.get('', { params });
       
       if (response.data.stat === 'ok') {
         return { status: 'ok', message: 'Flickr API is accessible' };
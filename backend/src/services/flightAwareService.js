@@ -1,153 +1,48 @@
-const axios = require('axios');
 const AppError = require('../utils/appError');
+const { parseFlightIdent, resolveOperatingFlight, isCodeshare } = require('../utils/flightIdent');
+const logger = require('../utils/logger');
+const cacheService = require('./cacheService');
+const flightData = require('./flightData');
+const usageService = require('./usageService');
+
+// How long provider responses stay cached: flights that have finished won't change,
+// flights still to come or in the air do, airports hardly ever
+const CACHE_TTL_MS = {
+  past: parseInt(process.env.FLIGHT_CACHE_PAST_TTL_MS, 10) || 365 * 24 * 60 * 60 * 1000,
+  future: parseInt(process.env.FLIGHT_CACHE_FUTURE_TTL_MS, 10) || 5 * 60 * 1000,
+  airport: parseInt(process.env.FLIGHT_CACHE_AIRPORT_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000,
+};
+
+// A flight that has landed or been cancelled has nothing left to report
+const isSettledFlight = (flight) => Boolean(
+  flight.cancelled || flight.actualArrival || flight.actualOn
+);
 
 class FlightAwareService {
   constructor() {
-    console.log('FlightAwareService constructor initialized');
-    this.apiKey = process.env.FLIGHTAWARE_API_KEY;
-    console.log('FlightAwareService apiKey:', this.apiKey);
-    this.baseURL = process.env.FLIGHTAWARE_BASE_URL || 'https://aeroapi.flightaware.com/aeroapi';
-    this.apiClient = axios.create({
-      baseURL: this.baseURL,
-      headers: {
-        'x-apikey': this.apiKey,
-        'Content-Type': 'application/json',
-      },
-      timeout: 10000, // 10 second timeout
-    });
+    // Where flight data comes from, in order of preference: AeroAPI in production
+    // (optionally backed by other providers), recorded fixtures offline
+    this.providers = flightData.createProviderChain();
+    // Meter billed queries by endpoint and user
+    this.providers.on('call', (call) => usageService.recordCall(call));
+    logger.info(`FlightAwareService initialized with providers: ${this.providers.name}`);
   }
 
   /**
    * Smart flight number parsing and normalization
-   * Converts various input formats to proper IATA flight identifiers
+   * Converts various input formats to proper IATA flight identifiers (see utils/flightIdent)
    */
   parseFlightNumber(input) {
-    if (!input || typeof input !== 'string') {
-      throw new AppError('Flight number is required', 400);
-    }
-
-    const cleaned = input.trim().toUpperCase().replace(/\s+/g, '');
-    
-    // Airline name to IATA code mapping
-    const airlineMap = {
-      'EMIRATES': 'EK',
-      'AMERICAN': 'AA',
-      'AMERICANAIRLINES': 'AA',
-      'DELTA': 'DL',
-      'DELTAAIRLINES': 'DL',
-      'UNITED': 'UA',
-      'UNITEDAIRLINES': 'UA',
-      'LUFTHANSA': 'LH',
-      'BRITISH': 'BA',
-      'BRITISHAIRWAYS': 'BA',
-      'QATAR': 'QR',
-      'QATARAIRWAYS': 'QR',
-      'SINGAPORE': 'SQ',
-      'SINGAPOREAIRLINES': 'SQ',
-      'CATHAY': 'CX',
-      'CATHAYPACIFIC': 'CX',
-      'ETIHAD': 'EY',
-      'ETIHADAIRWAYS': 'EY',
-      'TURKISH': 'TK',
-      'TURKISHAIRLINES': 'TK',
-      'AIR': 'AF', // Air France
-      'AIRFRANCE': 'AF',
-      'KLM': 'KL',
-      'SOUTHWEST': 'WN',
-      'SOUTHWESTAIRLINES': 'WN',
-      'JETBLUE': 'B6',
-      'JETBLUEAIRWAYS': 'B6',
-      'ALASKA': 'AS',
-      'ALASKAAIRLINES': 'AS',
-      'VIRGIN': 'VS',
-      'VIRGINATLANTIC': 'VS',
-      'NORWEGIANAIR': 'DY',
-      'NORWEGIAN': 'DY',
-      'RYANAIR': 'FR',
-      'EASYJET': 'U2',
-      'AIRCANADA': 'AC',
-      'WESTJET': 'WS',
-      'JAPANAIRLINES': 'JL',
-      'ALLNIPPONAIRWAYS': 'NH',
-      'KOREANAIR': 'KE',
-      'ASIANA': 'OZ',
-      'CHINA': 'CA',
-      'CHINAAIRLINES': 'CI',
-      'THAIAIRWAYS': 'TG',
-      'MALAYSIAAIRLINES': 'MH',
-      'PHILIPPINEAIRLINES': 'PR',
-      'GARUDA': 'GA',
-      'QANTAS': 'QF',
-      'JETSTAR': 'JQ',
-      'VIRGINAUSTRALIA': 'VA',
-      'AIRASIA': 'AK',
-      'CEBU': '5J',
-      'INDIGO': '6E',
-      'SPICEJET': 'SG',
-      'VISTARA': 'UK',
-      'GOAIR': 'G8',
-      'AIRINDIA': 'AI',
-    };
-
-    // Pattern matching for different input formats
-    const patterns = [
-      // Full airline name + number (Emirates 221, American Airlines 123, JETBLUE1023)
-      /^([A-Z]+(?:AIRLINES?|AIRWAYS?)?)(\d+)$/,
-      // IATA code + number (EK221, EK 221)
-      /^([A-Z]{2})(\d+)$/,
-      // ICAO code + number (UAE221, UAE 221)
-      /^([A-Z]{3})(\d+)$/,
-    ];
-
-    for (const pattern of patterns) {
-      const match = cleaned.match(pattern);
-      if (match) {
-        const [, airline, number] = match;
-        
-        // Convert airline name to IATA code if needed
-        const airlineCode = airlineMap[airline] || airline;
-        
-        // Validate IATA code format (2 letters)
-        if (airlineCode.length === 2 && /^[A-Z]{2}$/.test(airlineCode)) {
-          return `${airlineCode}${number}`;
-        }
-        
-        // If it's a 3-letter code, try to find corresponding IATA
-        if (airlineCode.length === 3) {
-          // Some common ICAO to IATA mappings
-          const icaoToIata = {
-            'UAE': 'EK', // Emirates
-            'AAL': 'AA', // American Airlines
-            'DAL': 'DL', // Delta
-            'UAL': 'UA', // United
-            'DLH': 'LH', // Lufthansa
-            'BAW': 'BA', // British Airways
-            'QTR': 'QR', // Qatar Airways
-            'SIA': 'SQ', // Singapore Airlines
-            'CPA': 'CX', // Cathay Pacific
-            'ETD': 'EY', // Etihad
-            'THY': 'TK', // Turkish Airlines
-            'AFR': 'AF', // Air France
-            'KLM': 'KL', // KLM
-          };
-          
-          const iataCode = icaoToIata[airlineCode];
-          if (iataCode) {
-            return `${iataCode}${number}`;
-          }
-        }
+    try {
+      return parseFlightIdent(input).ident;
+    } catch (error) {
+      // Idents that aren't airline flights (e.g. registrations like N12345) are searched as-is
+      const cleaned = typeof input === 'string' ? input.trim().toUpperCase().replace(/\s+/g, '') : '';
+      if (/^[A-Z0-9]{2,7}$/.test(cleaned)) {
+        return cleaned;
       }
+      throw error;
     }
-
-    // If no pattern matches but it looks like a valid flight number, return as-is
-    if (/^[A-Z0-9]{2,7}$/.test(cleaned)) {
-      return cleaned;
-    }
-
-    throw new AppError(
-      'Invalid flight number format. Please use formats like "EK221", "Emirates 221", or "AA123"',
-      400
-    );
   }
 
   /**
@@ -210,16 +105,15 @@ class FlightAwareService {
 
   /**
    * Search for flights using FlightAware API (recent or historical).
+   * Lookups that miss the cache count towards the user's AeroAPI quota.
    */
-  async searchFlights(flightNumber, date = null, time = null) {
+  async searchFlights(flightNumber, date = null, time = null, { userId = null } = {}) {
     try {
       // Parse and normalize flight number
       const normalizedFlightNumber = this.parseFlightNumber(flightNumber);
       
-      // Build API parameters for FlightAware v4 API
-      const params = {
-        max_pages: 1, // Limit to first page for performance
-      };
+      // Build the search window (ISO8601 start/end) for the provider
+      const params = {};
 
       // Add date parameters if provided
       if (date) {
@@ -252,23 +146,32 @@ class FlightAwareService {
         params.end = twoDaysFromNow.toISOString().split('.')[0] + 'Z';
       }
 
-      // Select the appropriate FlightAware endpoint
-      let endpoint = `/flights/${normalizedFlightNumber}`;
-      if (date && this.isPastDate(date)) {
-        endpoint = `/history${endpoint}`; // prepend /history for past-date lookups
+      // Past dates use FlightAware's historical endpoint
+      const history = Boolean(date && this.isPastDate(date));
+
+      // Searches without a date slide with the clock, so they share one short-lived entry
+      const cacheKey = `${normalizedFlightNumber}|${date ? `${params.start}|${params.end}` : 'recent'}`;
+      const cached = await cacheService.get('search', cacheKey);
+      if (cached) {
+        return this.processFlightData(cached.value, normalizedFlightNumber, cached.provider);
       }
 
-      console.log('FlightAware API Request:', {
-        url: endpoint,
-        params,
-        baseURL: this.baseURL,
-      });
+      await usageService.assertWithinQuota(userId);
+
+      const { result: flights, provider } = await this.providers.run(
+        'searchFlights',
+        [normalizedFlightNumber, { start: params.start, end: params.end, history }],
+        { context: { userId } }
+      );
 
-      // Make API request to FlightAware v4 API
-      const response = await this.apiClient.get(endpoint, { params });
+      const isPastWindow = new Date(params.end) < new Date();
+      const ttl = isPastWindow && flights.length > 0 && flights.every(isSettledFlight)
+        ? CACHE_TTL_MS.past
+        : CACHE_TTL_MS.future;
+      await cacheService.set('search', cacheKey, flights, ttl, provider);
 
-      // Process and return flight data
-      return this.processFlightData(response.data, normalizedFlightNumber);
+      // Process and return flight data, noting which provider answered
+      return this.processFlightData(flights, normalizedFlightNumber, provider);
 
     } catch (error) {
       console.error('FlightAware API Error:', error.response?.data || error.message);
@@ -288,72 +191,57 @@ class FlightAwareService {
   }
 
   /**
-   * Process and normalize flight data from FlightAware API
+   * Operating flight and codeshare flag for a flight found under a searched flight number
+   * @param {object} flight - Normalized flight
+   * @param {object} searched - parseFlightIdent result for the searched flight number
+   * @returns {object} { operatingIdent, isCodeshare }
    */
-  processFlightData(apiResponse, searchedFlightNumber) {
-    const flights = apiResponse.flights || [];
-    
+  describeOperatingFlight(flight, searched) {
+    try {
+      const operating = resolveOperatingFlight(flight);
+      return {
+        operatingIdent: operating.ident,
+        isCodeshare: searched ? isCodeshare(searched, operating) : false,
+      };
+    } catch (error) {
+      return { operatingIdent: flight.ident || null, isCodeshare: false };
+    }
+  }
+
+  /**
+   * Wrap normalized flights from a provider in the lookup result
+   * Each flight notes the carrier operating it, which differs from the search on a codeshare
+   * @param {Array<object>} flights - Normalized flights
+   * @param {string} searchedFlightNumber - Flight number that was searched
+   * @param {string} provider - ID of the provider that answered
+   * @returns {object} { searchedFlightNumber, provider, flights, totalCount, message }
+   */
+  processFlightData(flights, searchedFlightNumber, provider) {
     if (flights.length === 0) {
       return {
         searchedFlightNumber,
+        provider,
         flights: [],
+        totalCount: 0,
         message: 'No flights found for the specified criteria'
       };
     }
 
-    const processedFlights = flights.map(flight => ({
-      // Flight identification
-      faFlightId: flight.fa_flight_id,
-      ident: flight.ident,
-      identIcao: flight.ident_icao,
-      identPrefix: flight.ident_prefix,
-      
-      // Aircraft information
-      aircraft: {
-        type: flight.aircraft_type,
-        registration: flight.registration,
-      },
-      
-      // Route information
-      origin: {
-        code: flight.origin?.code,
-        codeIcao: flight.origin?.code_icao,
-        name: flight.origin?.name,
-        city: flight.origin?.city,
-        timezone: flight.origin?.timezone,
-      },
-      destination: {
-        code: flight.destination?.code,
-        codeIcao: flight.destination?.code_icao,
-        name: flight.destination?.name,
-        city: flight.destination?.city,
-        timezone: flight.destination?.timezone,
-      },
-      
-      // Timing information
-      scheduledDeparture: flight.scheduled_out,
-      estimatedDeparture: flight.estimated_out,
-      actualDeparture: flight.actual_out,
-      scheduledArrival: flight.scheduled_in,
-      estimatedArrival: flight.estimated_in,
-      actualArrival: flight.actual_in,
-      
-      // Flight status
-      status: flight.status,
-      progressPercent: flight.progress_percent,
-      
-      // Additional metadata
-      filed: flight.filed,
-      route: flight.route,
-      distance: flight.distance,
-      departureDelay: flight.departure_delay,
-      arrivalDelay: flight.arrival_delay,
-    }));
+    let searched = null;
+    try {
+      searched = parseFlightIdent(searchedFlightNumber);
+    } catch (error) {
+      // Searched by something other than a flight number, e.g. a registration
+    }
 
     return {
       searchedFlightNumber,
-      originalQuery: apiResponse,
-      flights: processedFlights,
+      provider,
+      flights: flights.map((flight) => ({
+        ...flight,
+        ...this.describeOperatingFlight(flight, searched),
+        provider,
+      })),
       totalCount: flights.length,
       message: `Found ${flights.length} flight(s) for ${searchedFlightNumber}`
     };
@@ -361,13 +249,35 @@ class FlightAwareService {
 
   /**
    * Get detailed flight information by FA flight ID
+   * The provider that issued the ID is asked first
    */
-  async getFlightDetails(faFlightId) {
+  async getFlightDetails(faFlightId, preferredProvider = null, { userId = null } = {}) {
     try {
-      const response = await this.apiClient.get(`/flights/${faFlightId}`);
-      return this.processFlightData({ flights: [response.data] }, response.data.ident);
+      const cached = await cacheService.get('flight', faFlightId);
+      if (cached) {
+        return this.processFlightData([cached.value], cached.value.ident, cached.provider);
+      }
+
+      await usageService.assertWithinQuota(userId);
+
+      const { result: flight, provider } = await this.providers.run(
+        'getFlightDetails',
+        [faFlightId],
+        { preferredId: preferredProvider, context: { userId } }
+      );
+      if (!flight) {
+        throw new AppError(`No flight found with FlightAware ID ${faFlightId}`, 404);
+      }
+
+      const ttl = isSettledFlight(flight) ? CACHE_TTL_MS.past : CACHE_TTL_MS.future;
+      await cacheService.set('flight', faFlightId, flight, ttl, provider);
+
+      return this.processFlightData([flight], flight.ident, provider);
     } catch (error) {
       console.error('FlightAware Flight Details Error:', error.response?.data || error.message);
+      if (error instanceof AppError) {
+        throw error;
+      }
       throw new AppError('Unable to fetch flight details', 500);
     }
   }
@@ -384,31 +294,29 @@ class FlightAwareService {
       const code = airportCode.trim().toUpperCase();
       console.log(`🔍 Looking up airport information for: ${code}`);
       
+      const cached = await cacheService.get('airport', code);
+      if (cached) {
+        return cached.value;
+      }
+
+      // Airport lookups happen while saving flights, so only the global cap applies
+      await usageService.assertWithinQuota();
+
       // FlightAware airport endpoint accepts ICAO, IATA, or LID codes
-      const response = await this.apiClient.get(`/airports/${code}`);
+      const { result: airport, provider } = await this.providers.run('getAirportInfo', [code]);
       
-      if (response.data) {
-        const airport = response.data;
-        
+      if (airport) {
+        await cacheService.set('airport', code, airport, CACHE_TTL_MS.airport, provider);
+
         console.log(`✅ Found airport data from FlightAware:`, {
           code: airport.code,
-          codeIcao: airport.code_icao,
-          codeIata: airport.code_iata,
+          codeIcao: airport.codeIcao,
+          codeIata: airport.codeIata,
           name: airport.name,
           city: airport.city
         });
 
-        return {
-          code: airport.code || code,
-          codeIcao: airport.code_icao,
-          codeIata: airport.code_iata,
-          name: airport.name,
-          city: airport.city,
-          country: airport.country_code,
-          timezone: airport.timezone,
-          latitude: airport.latitude,
-          longitude: airport.longitude
-        };
+        return airport;
       }
 
       return null;
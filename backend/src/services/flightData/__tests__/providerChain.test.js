@@ -0,0 +1,270 @@
+const axios = require('axios');
+const { createHttpClient } = require('../../../utils/httpClient');
+const ProviderChain = require('../providerChain');
+const OpenSkyProvider = require('../openSkyProvider');
+
+// Provider whose methods answer from a queue of results; Errors in the queue are thrown
+const makeProvider = (id, answers) => ({
+  id,
+  name: id,
+  searchFlights: jest.fn(async () => {
+    const answer = answers.shift();
+    if (answer instanceof Error) throw answer;
+    return answer;
+  }),
+});
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+describe('ProviderChain.run', () => {
+  test('answer from the first provider that finds something', async () => {
+    const aeroApi = makeProvider('aeroapi', [[{ ident: 'EK221' }]]);
+    const openSky = makeProvider('opensky', [[{ ident: 'UAE221' }]]);
+
+    const answer = await new ProviderChain([aeroApi, openSky]).run('searchFlights', ['EK221']);
+
+    expect(answer).toEqual({ result: [{ ident: 'EK221' }], provider: 'aeroapi' });
+    expect(openSky.searchFlights).not.toHaveBeenCalled();
+  });
+
+  test('ask the next provider when a search comes back empty', async () => {
+    const aeroApi = makeProvider('aeroapi', [[]]);
+    const openSky = makeProvider('opensky', [[{ ident: 'UAE221' }]]);
+
+    const answer = await new ProviderChain([aeroApi, openSky]).run('searchFlights', ['EK221']);
+
+    expect(answer).toEqual({ result: [{ ident: 'UAE221' }], provider: 'opensky' });
+  });
+
+  test('return the empty search when no provider finds anything', async () => {
+    const chain = new ProviderChain([makeProvider('aeroapi', [[]]), makeProvider('opensky', [null])]);
+
+    expect(await chain.run('searchFlights', ['EK221'])).toEqual({ result: [], provider: 'aeroapi' });
+  });
+
+  test('prefer an empty search over a later outage', async () => {
+    const chain = new ProviderChain([
+      makeProvider('aeroapi', [[]]),
+      makeProvider('opensky', [httpError(503)]),
+    ]);
+
+    expect(await chain.run('searchFlights', ['EK221'])).toEqual({ result: [], provider: 'aeroapi' });
+  });
+
+  test('fail over on outages and rethrow the last one when every provider fails', async () => {
+    const chain = new ProviderChain([
+      makeProvider('aeroapi', [httpError(429)]),
+      makeProvider('opensky', [httpError(502)]),
+    ]);
+
+    await expect(chain.run('searchFlights', ['EK221'])).rejects.toThrow('HTTP 502');
+  });
+
+  test('stop at errors another provider would repeat', async () => {
+    const openSky = makeProvider('opensky', [[{ ident: 'UAE221' }]]);
+    const chain = new ProviderChain([makeProvider('aeroapi', [httpError(400)]), openSky]);
+
+    await expect(chain.run('searchFlights', ['EK221'])).rejects.toThrow('HTTP 400');
+    expect(openSky.searchFlights).not.toHaveBeenCalled();
+  });
+
+  test('return the empty search when the next provider can\'t parse the ident', async () => {
+    // A registration is no flight number, so OpenSky has no callsign to look up
+    const openSky = new OpenSkyProvider();
+    const get = jest.spyOn(openSky, 'get');
+    const chain = new ProviderChain([makeProvider('aeroapi', [[]]), openSky]);
+
+    expect(await chain.run('searchFlights', ['N12345'])).toEqual({ result: [], provider: 'aeroapi' });
+    expect(get).not.toHaveBeenCalled();
+    get.mockRestore();
+  });
+
+  test('try a preferred provider first', async () => {
+    const aeroApi = makeProvider('aeroapi', [[{ ident: 'EK221' }]]);
+    const openSky = makeProvider('opensky', [[{ ident: 'UAE221' }]]);
+
+    const answer = await new ProviderChain([aeroApi, openSky])
+      .run('searchFlights', ['EK221'], { preferredId: 'opensky' });
+
+    expect(answer.provider).toBe('opensky');
+    expect(aeroApi.searchFlights).not.toHaveBeenCalled();
+  });
+});
+
+describe('OpenSkyProvider', () => {
+  const provider = new OpenSkyProvider();
+  const track = {
+    icao24: '896477',
+    callsign: 'UAE221  ',
+    firstSeen: 1709000000,
+    lastSeen: 1709050000,
+    estDepartureAirport: 'OMDB',
+    estArrivalAirport: 'KDFW',
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('normalize a flight with both airports', () => {
+    expect(provider.normalizeFlight(track, { registration: 'A6-EDA', typecode: 'A388' })).toMatchObject({
+      faFlightId: 'opensky-896477-1709000000',
+      ident: 'UAE221',
+      origin: { code: 'OMDB' },
+      destination: { code: 'KDFW' },
+      aircraft: { registration: 'A6-EDA', type: 'A388' },
+      status: 'Landed',
+    });
+  });
+
+  test.each([
+    ['departure', { estDepartureAirport: null }],
+    ['arrival', { estArrivalAirport: null }],
+  ])('drop a flight without an estimated %s airport', (description, overrides) => {
+    expect(provider.normalizeFlight({ ...track, ...overrides })).toBeNull();
+  });
+
+  test('leave flights without airports out of a search', async () => {
+    jest.spyOn(provider, 'getCallsign').mockResolvedValue('UAE221');
+    jest.spyOn(provider, 'getAircraft').mockResolvedValue(null);
+    jest.spyOn(provider, 'get').mockImplementation(async (url) => (url === '/routes'
+      ? { route: ['OMDB', 'KDFW'] }
+      : [track, { ...track, firstSeen: 1709100000, estArrivalAirport: null }]));
+
+    const flights = await provider.searchFlights('EK221', {
+      start: '2024-02-26T00:00:00Z',
+      end: '2024-02-28T00:00:00Z',
+    });
+
+    expect(flights.map((flight) => flight.faFlightId)).toEqual(['opensky-896477-1709000000']);
+  });
+
+  test('find no details for a flight without airports', async () => {
+    jest.spyOn(provider, 'getAircraft').mockResolvedValue(null);
+    jest.spyOn(provider, 'get').mockResolvedValue([{ ...track, estDepartureAirport: null }]);
+
+    expect(await provider.getFlightDetails('opensky-896477-1709000000')).toBeNull();
+  });
+});
+
+describe('ProviderChain call events', () => {
+  // Providers go through real HTTP clients, each on its own host so breakers aren't shared
+  let hostCount = 0;
+
+  // Provider whose searches are answered from a queue: a number fails with that status,
+  // anything else is the body
+  const makeHttpProvider = (id, answers, options = {}) => {
+    hostCount += 1;
+    const adapter = jest.fn(async (config) => {
+      const answer = answers.shift();
+      const response = {
+        data: answer,
+        status: typeof answer === 'number' ? answer : 200,
+        statusText: '',
+        headers: {},
+        config,
+      };
+      if (typeof answer === 'number') {
+        throw new axios.AxiosError(`HTTP ${answer}`, 'ERR_BAD_RESPONSE', config, null, response);
+      }
+      return response;
+    });
+    const client = createHttpClient({ baseURL: `https://${id}${hostCount}.example.com`, adapter }, {
+      retries: 0,
+      baseDelayMs: 1,
+      ...options,
+    });
+    return {
+      id,
+      name: id,
+      adapter,
+      searchFlights: async () => (await client.get('/flights')).data,
+    };
+  };
+
+  const recordCalls = (chain) => {
+    const calls = [];
+    chain.on('call', ({
+      provider,
+      method,
+      context,
+      requests,
+    }) => calls.push([provider.id, method, context, requests]));
+    return calls;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('emit every call, including failures and empty answers', async () => {
+    const chain = new ProviderChain([
+      makeHttpProvider('aeroapi', [503]),
+      makeHttpProvider('fixtures', [[]]),
+      makeHttpProvider('opensky', [[{ ident: 'UAE221' }]]),
+    ]);
+    const calls = recordCalls(chain);
+
+    await chain.run('searchFlights', ['EK221'], { context: { userId: 'u1' } });
+
+    expect(calls).toEqual([
+      ['aeroapi', 'searchFlights', { userId: 'u1' }, 1],
+      ['fixtures', 'searchFlights', { userId: 'u1' }, 1],
+      ['opensky', 'searchFlights', { userId: 'u1' }, 1],
+    ]);
+  });
+
+  test('emit a call that failed without failing over', async () => {
+    const chain = new ProviderChain([makeHttpProvider('aeroapi', [404])]);
+    const calls = recordCalls(chain);
+
+    await expect(chain.run('searchFlights', ['EK221'])).rejects.toThrow('HTTP 404');
+    expect(calls).toEqual([['aeroapi', 'searchFlights', {}, 1]]);
+  });
+
+  test('count every retry as a request of its own', async () => {
+    const aeroApi = makeHttpProvider('aeroapi', [503, 503, [{ ident: 'UAE221' }]], { retries: 2 });
+    const chain = new ProviderChain([aeroApi]);
+    const calls = recordCalls(chain);
+
+    await chain.run('searchFlights', ['EK221']);
+
+    expect(aeroApi.adapter).toHaveBeenCalledTimes(3);
+    expect(calls).toEqual([['aeroapi', 'searchFlights', {}, 3]]);
+  });
+
+  test('skip calls a circuit breaker stopped before they went out', async () => {
+    const aeroApi = makeHttpProvider('aeroapi', [503], { failureThreshold: 1 });
+    await expect(aeroApi.searchFlights()).rejects.toThrow('HTTP 503');
+    const chain = new ProviderChain([aeroApi, makeHttpProvider('opensky', [[{ ident: 'UAE221' }]])]);
+    const calls = recordCalls(chain);
+
+    await chain.run('searchFlights', ['EK221']);
+
+    expect(aeroApi.adapter).toHaveBeenCalledTimes(1);
+    expect(calls.map(([id]) => id)).toEqual(['opensky']);
+  });
+
+  test('meter requests that went out before the circuit opened on a retry', async () => {
+    const aeroApi = makeHttpProvider('aeroapi', [503, 503], {
+      retries: 1,
+      failureThreshold: 1,
+      resetTimeoutMs: 1000,
+    });
+    const chain = new ProviderChain([aeroApi]);
+    const calls = recordCalls(chain);
+
+    // The failure opens the circuit, so the retry is refused
+    await expect(chain.run('searchFlights', ['EK221'])).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+    // The half-open trial fails the same way
+    const later = Date.now() + 2000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    await expect(chain.run('searchFlights', ['EK221'])).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+
+    expect(aeroApi.adapter).toHaveBeenCalledTimes(2);
+    expect(calls).toEqual([
+      ['aeroapi', 'searchFlights', {}, 1],
+      ['aeroapi', 'searchFlights', {}, 1],
+    ]);
+  });
+});
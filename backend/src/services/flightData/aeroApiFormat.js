@@ -0,0 +1,94 @@
+// Conversion of AeroAPI (FlightAware) JSON into the normalized shapes providers return
+
+/**
+ * Normalize an AeroAPI flight into the shape flight lookup returns
+ * @param {object} flight - AeroAPI flight object (snake_case)
+ * @returns {object} Normalized flight
+ */
+const normalizeFlight = (flight) => ({
+  // Flight identification
+  faFlightId: flight.fa_flight_id,
+  ident: flight.ident,
+  identIcao: flight.ident_icao,
+  identIata: flight.ident_iata,
+  identPrefix: flight.ident_prefix,
+  operator: flight.operator,
+  operatorIata: flight.operator_iata,
+  codeshares: flight.codeshares,
+  codesharesIata: flight.codeshares_iata,
+
+  // Aircraft information
+  aircraft: {
+    type: flight.aircraft_type,
+    registration: flight.registration,
+  },
+
+  // Route information
+  origin: {
+    code: flight.origin?.code,
+    codeIcao: flight.origin?.code_icao,
+    codeIata: flight.origin?.code_iata,
+    name: flight.origin?.name,
+    city: flight.origin?.city,
+    timezone: flight.origin?.timezone,
+  },
+  destination: {
+    code: flight.destination?.code,
+    codeIcao: flight.destination?.code_icao,
+    codeIata: flight.destination?.code_iata,
+    name: flight.destination?.name,
+    city: flight.destination?.city,
+    timezone: flight.destination?.timezone,
+  },
+
+  // Timing information (out/in at the gate, off/on at the runway)
+  scheduledDeparture: flight.scheduled_out,
+  estimatedDeparture: flight.estimated_out,
+  actualDeparture: flight.actual_out,
+  scheduledArrival: flight.scheduled_in,
+  estimatedArrival: flight.estimated_in,
+  actualArrival: flight.actual_in,
+  scheduledOff: flight.scheduled_off,
+  estimatedOff: flight.estimated_off,
+  actualOff: flight.actual_off,
+  scheduledOn: flight.scheduled_on,
+  estimatedOn: flight.estimated_on,
+  actualOn: flight.actual_on,
+
+  // Flight status
+  status: flight.status,
+  cancelled: flight.cancelled,
+  progressPercent: flight.progress_percent,
+
+  // Additional metadata
+  filed: flight.filed,
+  route: flight.route,
+  // Planned route length in statute miles
+  distance: flight.route_distance,
+  departureDelay: flight.departure_delay,
+  arrivalDelay: flight.arrival_delay,
+});
+
+/**
+ * Normalize an AeroAPI airport into the shape airport lookup returns
+ * @param {object} airport - AeroAPI airport object (snake_case)
+ * @param {string} requestedCode - Code the airport was looked up by
+ * @returns {object} Normalized airport
+ */
+const normalizeAirport = (airport, requestedCode) => ({
+  code: airport.airport_code || airport.code || requestedCode,
+  codeIcao: airport.code_icao,
+  codeIata: airport.code_iata,
+  name: airport.name,
+  city: airport.city,
+  country: airport.country_code,
+  timezone: airport.timezone,
+  latitude: airport.latitude,
+  longitude: airport.longitude,
+  elevation: airport.elevation,
+});
+
+module.exports = {
+  normalizeFlight,
+  normalizeAirport,
+};
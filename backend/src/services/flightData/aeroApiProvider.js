@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { createHttpClient } = require('../../utils/httpClient');
+const { normalizeFlight, normalizeAirport } = require('./aeroApiFormat');
+
+/**
+ * Flight data from FlightAware's AeroAPI v4.
+ * Failed requests throw the axios error so callers can map the HTTP status.
+ */
+class AeroApiProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.apiKey - AeroAPI key
+   * @param {string} options.baseURL - AeroAPI base URL
+   * @param {string} options.recordDir - Save raw responses here for the fixture provider (optional)
+   */
+  constructor({ apiKey, baseURL, recordDir } = {}) {
+    this.id = 'aeroapi';
+    this.name = 'FlightAware AeroAPI';
+    this.baseURL = baseURL || 'https://aeroapi.flightaware.com/aeroapi';
+    this.recordDir = recordDir || null;
+    this.billed = true; // Every query counts towards the AeroAPI bill
+    this.apiClient = createHttpClient({
+      baseURL: this.baseURL,
+      headers: {
+        'x-apikey': apiKey,
+        'Content-Type': 'application/json',
+      },
+      timeout: 10000, // 10 second timeout
+    });
+  }
+
+  /**
+   * Save a raw response in the layout the fixture provider replays
+   * @param {string} fixturePath - Path relative to the record directory, without extension
+   * @param {object} data - Response body
+   */
+  record(fixturePath, data) {
+    if (!this.recordDir) {
+      return;
+    }
+
+    try {
+      const file = path.join(this.recordDir, `${fixturePath}.json`);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+      logger.info(`📼 Recorded AeroAPI response to ${file}`);
+    } catch (error) {
+      logger.warn('⚠️  Failed to record AeroAPI response:', error.message);
+    }
+  }
+
+  /**
+   * AeroAPI endpoint a provider method calls, as listed on the AeroAPI price sheet
+   * @param {string} method - searchFlights, getFlightDetails or getAirportInfo
+   * @param {Array} args - Arguments the method was called with
+   * @returns {string} Endpoint path template
+   */
+  endpointFor(method, args = []) {
+    if (method === 'searchFlights') {
+      return args[1]?.history ? '/history/flights/{ident}' : '/flights/{ident}';
+    }
+    if (method === 'getFlightDetails') {
+      return '/flights/{id}';
+    }
+    return '/airports/{id}';
+  }
+
+  /**
+   * Search flights by ident within a time window
+   * @param {string} ident - Normalized flight number (e.g. EK221)
+   * @param {object} options - Search window
+   * @param {string} options.start - ISO8601 start of the window
+   * @param {string} options.end - ISO8601 end of the window
+   * @param {boolean} options.history - Use the historical endpoint (past dates)
+   * @returns {Promise<Array<object>>} Normalized flights
+   */
+  async searchFlights(ident, { start, end, history = false } = {}) {
+    const endpoint = history ? `/history/flights/${ident}` : `/flights/${ident}`;
+    const params = { start, end, max_pages: 1 };
+
+    logger.info('AeroAPI request:', JSON.stringify({ url: endpoint, params }));
+
+    const response = await this.apiClient.get(endpoint, { params });
+    this.record(`flights/${ident}`, response.data);
+
+    return (response.data.flights || []).map(normalizeFlight);
+  }
+
+  /**
+   * Get a single flight by its FlightAware flight ID
+   * @param {string} faFlightId - FlightAware flight ID
+   * @returns {Promise<object|null>} Normalized flight, or null if unknown
+   */
+  async getFlightDetails(faFlightId) {
+    const response = await this.apiClient.get(`/flights/${encodeURIComponent(faFlightId)}`);
+    this.record(`flights/${faFlightId}`, response.data);
+
+    // /flights/{id} answers with a flights list; accept a bare flight object as well
+    const [flight] = response.data.flights || [response.data];
+    return flight ? normalizeFlight(flight) : null;
+  }
+
+  /**
+   * Get airport details by ICAO, IATA or LID code
+   * @param {string} code - Airport code
+   * @returns {Promise<object|null>} Normalized airport
+   */
+  async getAirportInfo(code) {
+    const response = await this.apiClient.get(`/airports/${code}`);
+    if (!response.data) {
+      return null;
+    }
+
+    this.record(`airports/${code}`, response.data);
+    return normalizeAirport(response.data, code);
+  }
+}
+
+module.exports = AeroApiProvider;
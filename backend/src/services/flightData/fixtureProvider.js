@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { normalizeFlight, normalizeAirport } = require('./aeroApiFormat');
+
+/**
+ * Flight data replayed from recorded AeroAPI responses on disk, for development and tests.
+ * Layout under the fixture directory:
+ *   flights/<IDENT>.json  - /flights/{ident} responses ({ flights: [...] })
+ *   airports/<CODE>.json  - /airports/{code} responses
+ * Search windows are ignored: every recorded flight for an ident is returned.
+ */
+class FixtureProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.fixtureDir - Directory holding the recorded responses
+   */
+  constructor({ fixtureDir } = {}) {
+    this.id = 'fixtures';
+    this.name = 'Recorded AeroAPI fixtures';
+    this.fixtureDir = fixtureDir || path.join(__dirname, '../../../fixtures/aeroapi');
+  }
+
+  /**
+   * Read one recorded response
+   * @param {string} fixturePath - Path relative to the fixture directory, without extension
+   * @returns {object|null} Parsed JSON, or null when nothing was recorded
+   */
+  readFixture(fixturePath) {
+    const file = path.join(this.fixtureDir, `${fixturePath}.json`);
+    if (!fs.existsSync(file)) {
+      logger.warn(`📼 No fixture recorded at ${file}`);
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Read every recorded response in a fixture subdirectory
+   * @param {string} directory - Subdirectory name
+   * @returns {Array<object>} Parsed JSON files
+   */
+  readAllFixtures(directory) {
+    const dir = path.join(this.fixtureDir, directory);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+
+  async searchFlights(ident) {
+    const recorded = this.readFixture(`flights/${ident}`);
+    return (recorded?.flights || []).map(normalizeFlight);
+  }
+
+  async getFlightDetails(faFlightId) {
+    const flight = this.readAllFixtures('flights')
+      .flatMap((recorded) => recorded.flights || [recorded])
+      .find((candidate) => candidate.fa_flight_id === faFlightId);
+
+    return flight ? normalizeFlight(flight) : null;
+  }
+
+  async getAirportInfo(code) {
+    // Recorded by the code it was requested with; fall back to matching any of its codes
+    const airport = this.readFixture(`airports/${code}`)
+      || this.readAllFixtures('airports').find((candidate) => [
+        candidate.airport_code,
+        candidate.code_icao,
+        candidate.code_iata,
+      ].includes(code));
+
+    return airport ? normalizeAirport(airport, code) : null;
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,61 @@
+const AeroApiProvider = require('./aeroApiProvider');
+const FixtureProvider = require('./fixtureProvider');
+const OpenSkyProvider = require('./openSkyProvider');
+const ProviderChain = require('./providerChain');
+
+// Flight data providers by ID; FLIGHT_DATA_PROVIDERS lists them in order of preference
+const PROVIDERS = {
+  aeroapi: () => new AeroApiProvider({
+    apiKey: process.env.FLIGHTAWARE_API_KEY,
+    baseURL: process.env.FLIGHTAWARE_BASE_URL,
+    recordDir: process.env.FLIGHT_DATA_RECORD_DIR,
+  }),
+  fixtures: () => new FixtureProvider({
+    fixtureDir: process.env.FLIGHT_DATA_FIXTURES_DIR,
+  }),
+  opensky: () => new OpenSkyProvider({
+    baseURL: process.env.OPENSKY_BASE_URL,
+    username: process.env.OPENSKY_USERNAME,
+    password: process.env.OPENSKY_PASSWORD,
+  }),
+};
+
+// Tests never hit the paid API unless explicitly configured to
+const defaultProviderId = () => process.env.FLIGHT_DATA_PROVIDER
+  || (process.env.NODE_ENV === 'test' ? 'fixtures' : 'aeroapi');
+
+/**
+ * Create a flight data provider.
+ * Every provider implements searchFlights(ident, { start, end, history }),
+ * getFlightDetails(faFlightId) and getAirportInfo(code), returning normalized data.
+ * @param {string} id - Provider ID (aeroapi, opensky or fixtures), defaults to FLIGHT_DATA_PROVIDER
+ * @returns {object} Flight data provider
+ */
+const createProvider = (id = defaultProviderId()) => {
+  const factory = PROVIDERS[id.trim().toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown flight data provider "${id}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory();
+};
+
+/**
+ * Create the ordered provider list used for lookups, e.g. FLIGHT_DATA_PROVIDERS=aeroapi,opensky
+ * Falls back to the single FLIGHT_DATA_PROVIDER setting.
+ * @param {string} ids - Comma-separated provider IDs
+ * @returns {ProviderChain} Providers with failover
+ */
+const createProviderChain = (ids = process.env.FLIGHT_DATA_PROVIDERS || defaultProviderId()) => {
+  const providers = ids.split(',')
+    .map((id) => id.trim())
+    .filter(Boolean)
+    .map((id) => createProvider(id));
+
+  return new ProviderChain(providers);
+};
+
+module.exports = {
+  createProvider,
+  createProviderChain,
+  providerIds: Object.keys(PROVIDERS),
+};
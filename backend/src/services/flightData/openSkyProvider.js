@@ -0,0 +1,186 @@
+const logger = require('../../utils/logger');
+const { createHttpClient } = require('../../utils/httpClient');
+const airlineService = require('../airlineService');
+const { normalizeFlight } = require('./aeroApiFormat');
+
+// Flight IDs issued by this provider: opensky-<icao24>-<firstSeen>
+const FLIGHT_ID_PATTERN = /^opensky-([0-9a-f]{6})-(\d+)$/;
+
+const toIsoString = (unixSeconds) => (
+  unixSeconds ? new Date(unixSeconds * 1000).toISOString() : undefined
+);
+const toUnixSeconds = (isoString) => Math.floor(Date.parse(isoString) / 1000);
+
+// Airports are estimated from the track, and a flight can't be saved without both
+const hasAirports = (flight) => Boolean(flight.estDepartureAirport && flight.estArrivalAirport);
+
+/**
+ * Flight data from the OpenSky Network's ADS-B flight tables.
+ * OpenSky has no schedules, so times are first/last seen (≈ takeoff/landing), and it only
+ * knows flights after its nightly batch. Airport details aren't offered.
+ */
+class OpenSkyProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.baseURL - OpenSky API base URL
+   * @param {string} options.username - OpenSky account (optional, raises rate limits)
+   * @param {string} options.password - OpenSky password
+   */
+  constructor({ baseURL, username, password } = {}) {
+    this.id = 'opensky';
+    this.name = 'OpenSky Network';
+    this.apiClient = createHttpClient({
+      baseURL: baseURL || 'https://opensky-network.org/api',
+      auth: username ? { username, password } : undefined,
+      timeout: 15000, // 15 second timeout
+    });
+  }
+
+  /**
+   * GET that treats OpenSky's "nothing found" 404 as an empty answer
+   * @param {string} url - Endpoint
+   * @param {object} params - Query parameters
+   * @returns {Promise<*>} Response body, or null on 404
+   */
+  async get(url, params) {
+    try {
+      const response = await this.apiClient.get(url, { params });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * ADS-B callsign (ICAO airline code + number) for a flight number
+   * @param {string} ident - Normalized flight number (e.g. EK221)
+   * @returns {Promise<string|null>} Callsign (e.g. UAE221), or null when the ident isn't a flight
+   *   number (a registration such as N12345) or the airline is unknown
+   */
+  async getCallsign(ident) {
+    let parsed;
+    try {
+      parsed = airlineService.parseFlightIdent(ident);
+    } catch (error) {
+      // Nothing to search for here; other providers may still know the ident
+      if (error.statusCode === 400) {
+        return null;
+      }
+      throw error;
+    }
+
+    const { airlineCode, flightNumber } = parsed;
+    const icaoCode = await airlineService.getIcaoCode(airlineCode);
+    return icaoCode ? `${icaoCode}${flightNumber}` : null;
+  }
+
+  /**
+   * Registration and type for a transponder address, when OpenSky knows them
+   * @param {string} icao24 - Transponder address (hex)
+   * @returns {Promise<object|null>} Aircraft metadata
+   */
+  async getAircraft(icao24) {
+    try {
+      return await this.get(`/metadata/aircraft/icao/${icao24}`);
+    } catch (error) {
+      logger.warn(`⚠️  OpenSky aircraft lookup failed for ${icao24}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Convert an OpenSky flight into the normalized flight shape
+   * @param {object} flight - OpenSky flight (icao24, callsign, firstSeen, lastSeen, est*Airport)
+   * @param {object} aircraft - OpenSky aircraft metadata (optional)
+   * @returns {object|null} Normalized flight, or null when either airport couldn't be estimated
+   */
+  normalizeFlight(flight, aircraft) {
+    if (!hasAirports(flight)) {
+      return null;
+    }
+
+    const callsign = flight.callsign?.trim();
+    const landed = Boolean(flight.lastSeen);
+
+    return {
+      // Start from an empty AeroAPI flight so every normalized field is present
+      ...normalizeFlight({}),
+      faFlightId: `opensky-${flight.icao24}-${flight.firstSeen}`,
+      ident: callsign,
+      identIcao: callsign,
+      aircraft: {
+        type: aircraft?.typecode || undefined,
+        registration: aircraft?.registration || undefined,
+      },
+      origin: {
+        code: flight.estDepartureAirport,
+        codeIcao: flight.estDepartureAirport,
+      },
+      destination: {
+        code: flight.estArrivalAirport,
+        codeIcao: flight.estArrivalAirport,
+      },
+      actualOff: toIsoString(flight.firstSeen),
+      actualOn: landed ? toIsoString(flight.lastSeen) : undefined,
+      status: landed ? 'Landed' : 'En Route',
+      cancelled: false,
+      progressPercent: landed ? 100 : null,
+    };
+  }
+
+  async searchFlights(ident, { start, end } = {}) {
+    const callsign = await this.getCallsign(ident);
+    if (!callsign) {
+      return [];
+    }
+
+    // Departures are listed per airport, so find where this callsign usually departs from
+    const route = await this.get('/routes', { callsign });
+    const origin = route?.route?.[0];
+    if (!origin) {
+      return [];
+    }
+
+    const departures = await this.get('/flights/departure', {
+      airport: origin,
+      begin: toUnixSeconds(start),
+      end: toUnixSeconds(end),
+    });
+
+    const matches = (departures || []).filter((flight) => (
+      flight.callsign?.trim() === callsign && hasAirports(flight)
+    ));
+    return Promise.all(matches.map(async (flight) => this.normalizeFlight(
+      flight,
+      await this.getAircraft(flight.icao24),
+    )));
+  }
+
+  async getFlightDetails(faFlightId) {
+    const match = FLIGHT_ID_PATTERN.exec(faFlightId);
+    if (!match) {
+      return null; // Not one of ours
+    }
+
+    const [, icao24, firstSeen] = match;
+    const flights = await this.get('/flights/aircraft', {
+      icao24,
+      begin: Number(firstSeen) - 60 * 60,
+      end: Number(firstSeen) + 24 * 60 * 60,
+    });
+
+    const flight = (flights || []).find((candidate) => String(candidate.firstSeen) === firstSeen);
+    return flight && hasAirports(flight)
+      ? this.normalizeFlight(flight, await this.getAircraft(icao24))
+      : null;
+  }
+
+  async getAirportInfo() {
+    return null;
+  }
+}
+
+module.exports = OpenSkyProvider;
@@ -0,0 +1,103 @@
+const EventEmitter = require('events');
+const { countRequests } = require('../../utils/httpClient');
+const logger = require('../../utils/logger');
+
+// Failures that say "this provider can't answer right now", worth asking the next one
+const FAILOVER_STATUSES = [401, 403, 408, 429];
+
+const isFailoverError = (error) => {
+  const status = error.response?.status || error.statusCode;
+  return !status || status >= 500 || FAILOVER_STATUSES.includes(status);
+};
+
+// Nothing found: null for a lookup, an empty list for a search
+const isEmptyResult = (result) => (
+  result === null || result === undefined || (Array.isArray(result) && result.length === 0)
+);
+
+/**
+ * Ordered list of flight data providers with per-request failover.
+ * A provider that errors with an outage, auth or rate-limit failure is skipped for that
+ * request; a provider that finds nothing (null, or an empty search) also defers to the next.
+ * Emits 'call' with { provider, method, args, context, requests } for every provider call that
+ * sent HTTP requests, whether it answered, found nothing or failed. requests counts each one
+ * that went out, retries included; calls a circuit breaker refused outright aren't emitted.
+ */
+class ProviderChain extends EventEmitter {
+  /**
+   * @param {Array<object>} providers - Providers in order of preference
+   */
+  constructor(providers) {
+    super();
+    this.providers = providers;
+    this.name = providers.map((provider) => provider.name).join(' → ');
+  }
+
+  /**
+   * Providers in the order to ask them, with a preferred provider moved to the front
+   * @param {string} preferredId - Provider ID to try first (optional)
+   * @returns {Array<object>} Providers
+   */
+  ordered(preferredId) {
+    const preferred = this.providers.find((provider) => provider.id === preferredId);
+    return preferred
+      ? [preferred, ...this.providers.filter((provider) => provider !== preferred)]
+      : this.providers;
+  }
+
+  /**
+   * Call a provider method, failing over down the list
+   * @param {string} method - searchFlights, getFlightDetails or getAirportInfo
+   * @param {Array} args - Arguments for the method
+   * @param {object} options - Options
+   * @param {string} options.preferredId - Provider ID to try first (e.g. the one that issued an ID)
+   * @param {object} options.context - Who the call is made for, passed on to 'call' listeners
+   * @returns {Promise<object>} { result, provider } where provider is the ID that answered
+   */
+  async run(method, args, { preferredId, context = {} } = {}) {
+    let lastError = null;
+    // An empty search is still an answer when no provider finds anything
+    let emptyAnswer = null;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const provider of this.ordered(preferredId)) {
+      // eslint-disable-next-line no-await-in-loop
+      const { result, error: failure, sent } = await countRequests(
+        () => provider[method](...args),
+      );
+
+      // Billed providers charge for every request, errors and not-found answers included
+      if (sent > 0) {
+        this.emit('call', {
+          provider,
+          method,
+          args,
+          context,
+          requests: sent,
+        });
+      }
+
+      if (failure) {
+        if (!isFailoverError(failure)) {
+          throw failure;
+        }
+        lastError = failure;
+        logger.warn(`⚠️  ${provider.name} ${method} failed (${failure.response?.status || failure.message}), trying next provider`);
+      } else if (!isEmptyResult(result)) {
+        return { result, provider: provider.id };
+      } else if (Array.isArray(result) && !emptyAnswer) {
+        emptyAnswer = { result, provider: provider.id };
+      }
+    }
+
+    if (emptyAnswer) {
+      return emptyAnswer;
+    }
+    if (lastError) {
+      throw lastError;
+    }
+    return { result: null, provider: null };
+  }
+}
+
+module.exports = ProviderChain;
@@ -0,0 +1,344 @@
+const Flight = require('../models/Flight');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { getRouteGeometry } = require('../utils/geo');
+const { toLocalDateString } = require('../utils/dates');
+const { normalizeFlightNumber } = require('../utils/flightIdent');
+const airlineService = require('./airlineService');
+const entityService = require('./entityService');
+const flightAwareService = require('./flightAwareService');
+
+// Stop following a flight this long after its scheduled arrival if it never reports landing
+const TRACKING_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Time and delay fields the refresher keeps in step with FlightAware
+const REFRESHED_PATHS = [
+  ...['scheduled', 'estimated', 'actual'].flatMap((kind) => ['departure', 'takeoff', 'landing', 'arrival']
+    .map((key) => `times.${kind}.${key}`)),
+  'times.gate',
+  'times.takeoff',
+  'times.landing',
+  'delays.departure',
+  'delays.arrival',
+];
+
+const getPathValue = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const isSameValue = (a, b) => {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  return a === b;
+};
+
+class FlightService {
+  /**
+   * Find an existing flight in the user's hangar for the same airline, flight number and local day
+   * @param {object} criteria - Duplicate check criteria
+   * @param {string} criteria.userId - Owner of the hangar
+   * @param {string} criteria.airlineId - Airline document ID
+   * @param {string} criteria.flightNumber - Flight number without airline prefix
+   * @param {string} criteria.localDate - Local departure date (YYYY-MM-DD)
+   * @param {string} criteria.excludeId - Flight ID to ignore (optional)
+   * @returns {Promise<object|null>} Matching flight document, if any
+   */
+  async findDuplicateFlight({
+    userId,
+    airlineId,
+    flightNumber,
+    localDate,
+    excludeId = null,
+  }) {
+    const dayStart = new Date(`${localDate}T00:00:00.000Z`);
+    const filter = {
+      userId,
+      airline: airlineId,
+      flightNumber,
+      $or: [
+        { localDate },
+        // Flights saved before local dates were recorded only have the UTC departure
+        {
+          localDate: null,
+          date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) },
+        },
+      ],
+    };
+
+    if (excludeId) {
+      filter._id = { $ne: excludeId };
+    }
+
+    return Flight.findOne(filter);
+  }
+
+  /**
+   * Local departure date of a flight, in the origin airport's time zone
+   * @param {Date} date - Departure instant
+   * @param {object} originAirport - Origin airport document
+   * @returns {string} Local date as YYYY-MM-DD
+   */
+  getLocalDate(date, originAirport) {
+    return toLocalDateString(date, originAirport?.timezone);
+  }
+
+  /**
+   * Great-circle distance and polyline fields for a flight between two airports
+   * @param {object} originAirport - Origin airport document
+   * @param {object} destinationAirport - Destination airport document
+   * @returns {object} { distance, routeGeometry }, empty when either airport lacks coordinates
+   */
+  getRouteFields(originAirport, destinationAirport) {
+    const geometry = getRouteGeometry(originAirport?.coordinates, destinationAirport?.coordinates);
+    if (!geometry) {
+      return {};
+    }
+
+    return {
+      distance: geometry.distance,
+      routeGeometry: geometry.polyline,
+    };
+  }
+
+  /**
+   * Work out whether a FlightAware flight still needs following
+   * @param {object} flightData - Processed FlightAware flight data
+   * @returns {string} Tracking status: active, completed or cancelled
+   */
+  getTrackingStatus(flightData) {
+    if (flightData.cancelled) {
+      return 'cancelled';
+    }
+    if (flightData.actualArrival || flightData.actualOn) {
+      return 'completed';
+    }
+    return 'active';
+  }
+
+  /**
+   * Re-query FlightAware for a flight and apply what changed since it was added:
+   * actual times, delays and a swapped aircraft. Each change is kept in changeHistory.
+   * @param {object} flight - Flight document with faFlightId, provider, airline and aircraft
+   * @returns {Promise<Array<object>>} Changes applied
+   */
+  async refreshFlight(flight) {
+    const now = new Date();
+    const { flights } = await flightAwareService.getFlightDetails(
+      flight.faFlightId,
+      flight.provider,
+      { userId: flight.userId },
+    );
+    const latest = flights[0];
+
+    const changes = [];
+    const applyChange = (path, value) => {
+      if (value === null || value === undefined) {
+        return;
+      }
+      const current = flight.get(path) ?? null;
+      if (isSameValue(current, value)) {
+        return;
+      }
+      changes.push({
+        field: path,
+        from: current,
+        to: value,
+        changedAt: now,
+      });
+      flight.set(path, value);
+    };
+
+    if (latest) {
+      const refreshed = {
+        times: entityService.transformFlightTimes(latest),
+        delays: entityService.extractFlightDelays(latest),
+      };
+      // Times the user corrected by hand win over FlightAware's
+      const userEdited = new Set(flight.userEditedFields || []);
+      REFRESHED_PATHS
+        .filter((path) => !userEdited.has(path))
+        .forEach((path) => applyChange(path, getPathValue(refreshed, path)));
+
+      // Aircraft swaps show up as a different registration, unless the user fixed the tail
+      const registration = latest.aircraft?.registration?.toUpperCase().trim();
+      const currentTail = flight.aircraft?.tailNumber || null;
+      if (registration && registration !== currentTail && !userEdited.has('aircraft')) {
+        const aircraft = await entityService.findOrCreateAircraft(latest.aircraft, flight.airline);
+        changes.push({
+          field: 'aircraft',
+          from: currentTail,
+          to: aircraft.tailNumber,
+          changedAt: now,
+        });
+        flight.aircraft = aircraft._id;
+      }
+
+      flight.tracking.status = this.getTrackingStatus(latest);
+      flight.tracking.lastStatus = latest.status;
+    }
+
+    const scheduledArrival = flight.times?.scheduled?.arrival || flight.date;
+    if (flight.tracking.status === 'active' && now - scheduledArrival > TRACKING_GRACE_MS) {
+      flight.tracking.status = 'expired';
+    }
+
+    flight.tracking.lastCheckedAt = now;
+    flight.tracking.checks = (flight.tracking.checks || 0) + 1;
+    flight.changeHistory.push(...changes);
+    await flight.save();
+
+    if (changes.length > 0) {
+      logger.info(`🔄 Flight ${flight._id} refreshed: ${changes.map(({ field }) => field).join(', ')}`);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Describe the user's earlier flights on the same aircraft as a newly added flight
+   * @param {string} userId - Owner of the hangar
+   * @param {object} flight - The flight just added
+   * @param {object} aircraft - Aircraft document the flight is linked to
+   * @returns {Promise<object|null>} Reunion details, or null on a first flight with this tail
+   */
+  async getReunion(userId, flight, aircraft) {
+    if (!aircraft) {
+      return null;
+    }
+
+    const previousFlights = await Flight.find({
+      userId,
+      aircraft: aircraft._id,
+      _id: { $ne: flight._id },
+    }).sort({ date: 1 });
+
+    if (previousFlights.length === 0) {
+      return null;
+    }
+
+    // Gap back to the most recent earlier flight; none when backfilling an older one
+    const earlierFlights = previousFlights.filter((previous) => previous.date <= flight.date);
+    const lastFlight = earlierFlights[earlierFlights.length - 1] || null;
+    const daysSinceLastFlight = lastFlight
+      ? Math.floor((flight.date - lastFlight.date) / (24 * 60 * 60 * 1000))
+      : null;
+
+    const timesText = previousFlights.length === 1 ? 'once' : `${previousFlights.length} times`;
+    let message = `You've flown ${aircraft.tailNumber} ${timesText} before`;
+    if (lastFlight) {
+      const lastFlownOn = lastFlight.localDate || lastFlight.date.toDateString();
+      message += `, last on ${lastFlownOn} (${daysSinceLastFlight} days earlier)`;
+    }
+
+    return {
+      tailNumber: aircraft.tailNumber,
+      timesFlownBefore: previousFlights.length,
+      lastFlown: lastFlight ? lastFlight.date : null,
+      daysSinceLastFlight,
+      message,
+      previousFlights: previousFlights.map((previous) => ({
+        _id: previous._id,
+        flightNumber: previous.getFormattedFlightInfo(),
+        date: previous.date,
+        localDate: previous.localDate || null,
+        route: previous.route,
+        seat: previous.seat || null,
+      })),
+    };
+  }
+
+  /**
+   * Create a flight from manually entered details, for flights FlightAware has no record of
+   * @param {string} userId - Owner of the hangar
+   * @param {object} details - Manually entered flight details
+   * @param {string} details.airlineCode - IATA or ICAO airline code
+   * @param {string} details.flightNumber - Flight number without airline prefix
+   * @param {Date} details.date - Flight date
+   * @param {string} details.localDate - Local departure date (YYYY-MM-DD) for bare-date entries
+   * @param {string} details.origin - Origin airport IATA or ICAO code
+   * @param {string} details.destination - Destination airport IATA or ICAO code
+   * @param {string} details.tailNumber - Aircraft registration (optional)
+   * @param {string} details.aircraftType - Aircraft type code (optional)
+   * @param {string} details.seat - Seat (optional)
+   * @param {string} details.notes - Notes (optional)
+   * @param {string} details.dataSource - Where the details came from (defaults to manual)
+   * @returns {Promise<object>} Created flight and the entities it was linked to
+   */
+  async createManualFlight(userId, details) {
+    const {
+      airlineCode,
+      flightNumber,
+      date,
+      origin,
+      destination,
+      tailNumber,
+      aircraftType,
+      seat,
+      notes,
+      dataSource = 'manual',
+    } = details;
+
+    const normalizedFlightNumber = normalizeFlightNumber(flightNumber);
+
+    const airline = await airlineService.findOrCreateAirline(airlineCode.trim());
+
+    const [originAirport, destinationAirport] = await Promise.all([
+      entityService.findOrCreateAirport({ code: origin }),
+      entityService.findOrCreateAirport({ code: destination }),
+    ]);
+
+    // A bare date is already the local date; a full timestamp is converted at the origin
+    const localDate = details.localDate || this.getLocalDate(date, originAirport);
+
+    const existingFlight = await this.findDuplicateFlight({
+      userId,
+      airlineId: airline._id,
+      flightNumber: normalizedFlightNumber,
+      localDate,
+    });
+
+    if (existingFlight) {
+      throw new AppError(
+        `Flight ${airline.code}${normalizedFlightNumber} on ${localDate} is already in your hangar`,
+        409,
+      );
+    }
+
+    // Tail and type are optional for manual entries. Only a tail identifies an airframe;
+    // a type on its own is kept on the flight so it doesn't invent an aircraft
+    let aircraft = null;
+    if (tailNumber) {
+      aircraft = await entityService.findOrCreateAircraft(
+        { registration: tailNumber, type: aircraftType },
+        airline,
+      );
+    }
+
+    const flight = await Flight.create({
+      userId,
+      flightNumber: normalizedFlightNumber,
+      airline: airline._id,
+      date,
+      localDate,
+      originAirport: originAirport._id,
+      destinationAirport: destinationAirport._id,
+      aircraft: aircraft?._id,
+      aircraftType: aircraft ? undefined : aircraftType?.trim() || undefined,
+      notes: notes?.trim() || undefined,
+      seat: seat?.trim()?.toUpperCase() || undefined,
+      dataSource,
+      ...this.getRouteFields(originAirport, destinationAirport),
+    });
+
+    logger.info(`Created ${dataSource} flight ${airline.code}${normalizedFlightNumber} for user ${userId}`);
+
+    return {
+      flight,
+      airline,
+      originAirport,
+      destinationAirport,
+      aircraft,
+    };
+  }
+}
+
+module.exports = new FlightService();
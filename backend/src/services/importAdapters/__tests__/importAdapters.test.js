@@ -0,0 +1,128 @@
+const { parseCsvRecords } = require('../../../utils/csv');
+const { detectAdapter, getAdapter, listAdapters } = require('..');
+
+// One exported row per supported layout, as the other apps write them
+const fixtures = {
+  myflightradar24: [
+    'Date,Flight number,From,To,Dep time,Arr time,Duration,Airline,Aircraft,Registration,'
+      + 'Seat number,Seat type,Flight class,Flight reason,Note,Dep_id,Arr_id,Airline_id,Aircraft_id',
+    '2024-03-01,BA 117,"London / Heathrow (LHR/EGLL)","New York / John F Kennedy (JFK/KJFK)",'
+      + '08:25:00,11:20:00,07:55:00,"British Airways (BA/BAW)","Boeing 777-300ER (B77W)",G-STBA,'
+      + '14A,1,2,1,"Window, left side",1,2,3,4',
+  ].join('\n'),
+  openflights: [
+    'Date,From,To,Flight_Number,Airline,Distance,Duration,Seat,Seat_Type,Class,Reason,'
+      + 'Plane,Registration,Trip,Note,From_OID,To_OID,Airline_OID,Plane_OID',
+    '2019-05-01 10:05:00,SIN,EGLL,25,Singapore Airlines (SQ),10885,13:40,32K,W,Y,L,'
+      + 'Airbus A380-800,9V-SKA,,"Upper deck",1,2,3,4',
+  ].join('\n'),
+  thatsmyplane: [
+    'Date,Flight Number,From,To,Tail,Aircraft Type,Seat,Notes',
+    '2024-06-10,EK221,DXB,DFW,A6-EDA,A388,12K,"Said ""hello"" to the crew"',
+  ].join('\n'),
+};
+
+const mapFixture = (id) => {
+  const { headers, records } = parseCsvRecords(fixtures[id]);
+  return { adapter: detectAdapter(headers), fields: getAdapter(id).mapRecord(records[0], headers) };
+};
+
+describe('import adapter detection', () => {
+  test.each(Object.keys(fixtures))('recognise the %s layout', (id) => {
+    const { headers } = parseCsvRecords(fixtures[id]);
+    expect(detectAdapter(headers).id).toBe(id);
+  });
+
+  test('recognise no adapter for unrelated headers', () => {
+    expect(detectAdapter(['name', 'email'])).toBeNull();
+  });
+
+  test('list every adapter and look them up by id', () => {
+    const ids = listAdapters().map((adapter) => adapter.id);
+    expect(ids).toEqual(['myflightradar24', 'openflights', 'thatsmyplane']);
+    expect(getAdapter('openflights').name).toBe('OpenFlights');
+    expect(getAdapter('nope')).toBeNull();
+  });
+});
+
+describe('import adapter mapping', () => {
+  test('myFlightradar24: extract codes from airport and aircraft labels', () => {
+    const { adapter, fields } = mapFixture('myflightradar24');
+
+    expect(adapter.id).toBe('myflightradar24');
+    expect(fields).toEqual({
+      date: '2024-03-01',
+      flightIdent: 'BA117',
+      origin: 'LHR',
+      destination: 'JFK',
+      tailNumber: 'G-STBA',
+      aircraftType: 'B77W',
+      seat: '14A',
+      notes: 'Window, left side',
+    });
+  });
+
+  test('myFlightradar24: fall back to the ICAO code when there is no IATA code', () => {
+    const adapter = getAdapter('myflightradar24');
+    const fields = adapter.mapRecord({
+      date: '2024-03-01',
+      flight_number: 'LH 1',
+      from: 'Egelsbach (/EDFE)',
+      to: 'Frankfurt (FRA/EDDF)',
+    });
+
+    expect(fields).toMatchObject({ origin: 'EDFE', destination: 'FRA', aircraftType: '' });
+  });
+
+  test('OpenFlights: prefix a bare flight number with the airline code', () => {
+    const { adapter, fields } = mapFixture('openflights');
+
+    expect(adapter.id).toBe('openflights');
+    expect(fields).toEqual({
+      date: '2019-05-01 10:05:00',
+      flightIdent: 'SQ25',
+      origin: 'SIN',
+      destination: 'EGLL',
+      tailNumber: '9V-SKA',
+      aircraftType: '',
+      seat: '32K',
+      notes: 'Upper deck',
+    });
+  });
+
+  test('OpenFlights: keep a full flight number as it is', () => {
+    const fields = getAdapter('openflights').mapRecord({
+      date: '2019-05-01',
+      from: 'SIN',
+      to: 'LHR',
+      flight_number: 'SQ 322',
+      airline: 'Singapore Airlines (SQ)',
+    });
+
+    expect(fields.flightIdent).toBe('SQ322');
+  });
+
+  test('ThatsMyPlane: map aliased columns', () => {
+    const { adapter, fields } = mapFixture('thatsmyplane');
+
+    expect(adapter.id).toBe('thatsmyplane');
+    expect(fields).toEqual({
+      date: '2024-06-10',
+      flightIdent: 'EK221',
+      origin: 'DXB',
+      destination: 'DFW',
+      tailNumber: 'A6-EDA',
+      aircraftType: 'A388',
+      seat: '12K',
+      notes: 'Said "hello" to the crew',
+    });
+  });
+
+  test.each([
+    ['myflightradar24', ['date', 'from'], ['flight_number', 'to']],
+    ['openflights', ['date', 'to', 'flight_number'], ['from']],
+    ['thatsmyplane', ['flight', 'origin'], ['date', 'to']],
+  ])('%s: name the missing required columns', (id, headers, missing) => {
+    expect(getAdapter(id).missingColumns(headers)).toEqual(missing);
+  });
+});
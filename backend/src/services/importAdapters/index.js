@@ -0,0 +1,34 @@
+const thatsMyPlane = require('./thatsMyPlane');
+const openFlights = require('./openFlights');
+const myFlightradar24 = require('./myFlightradar24');
+
+// Import adapters map another app's CSV layout onto the fields flight creation needs:
+// date, flightIdent, origin, destination, tailNumber, aircraftType, seat, notes.
+// Order matters for detection - the most specific layouts come first.
+const adapters = [myFlightradar24, openFlights, thatsMyPlane];
+
+/**
+ * Get an adapter by ID
+ * @param {string} id - Adapter ID (e.g., "openflights")
+ * @returns {object|null} Adapter, if known
+ */
+const getAdapter = (id) => adapters.find((adapter) => adapter.id === id) || null;
+
+/**
+ * Pick the adapter whose layout matches the CSV headers
+ * @param {Array<string>} headers - Normalized CSV headers
+ * @returns {object|null} Matching adapter, if any
+ */
+const detectAdapter = (headers) => adapters.find((adapter) => adapter.detect(headers)) || null;
+
+/**
+ * Describe the supported import formats
+ * @returns {Array<object>} Adapter IDs, names and descriptions
+ */
+const listAdapters = () => adapters.map(({ id, name, description }) => ({ id, name, description }));
+
+module.exports = {
+  getAdapter,
+  detectAdapter,
+  listAdapters,
+};
@@ -0,0 +1,49 @@
+/**
+ * myFlightradar24 flight diary export.
+ * Header: Date,Flight number,From,To,Dep time,Arr time,Duration,Airline,Aircraft,Registration,
+ * Seat number,Seat type,Flight class,Flight reason,Note,Dep_id,Arr_id,Airline_id,Aircraft_id
+ * Airports look like "London / Heathrow (LHR/EGLL)" and aircraft like "Airbus A320 (A320)".
+ */
+
+const REQUIRED_HEADERS = ['date', 'flight_number', 'from', 'to'];
+
+// "London / Heathrow (LHR/EGLL)" -> "LHR", falling back to the ICAO code
+const extractAirportCode = (airport) => {
+  const match = /\(([A-Z0-9]{3})?\/?([A-Z0-9]{4})?\)\s*$/.exec(airport || '');
+  if (!match) return (airport || '').trim();
+  return match[1] || match[2] || '';
+};
+
+// "Airbus A320 (A320)" -> "A320"
+const extractAircraftType = (aircraft) => {
+  const match = /\(([A-Z0-9]{2,4})\)\s*$/.exec(aircraft || '');
+  return match ? match[1] : '';
+};
+
+module.exports = {
+  id: 'myflightradar24',
+  name: 'myFlightradar24',
+  description: 'Flight diary CSV exported from myFlightradar24',
+
+  detect(headers) {
+    return REQUIRED_HEADERS.every((header) => headers.includes(header))
+      && headers.includes('dep_id');
+  },
+
+  missingColumns(headers) {
+    return REQUIRED_HEADERS.filter((header) => !headers.includes(header));
+  },
+
+  mapRecord(record) {
+    return {
+      date: record.date,
+      flightIdent: record.flight_number.replace(/\s+/g, ''),
+      origin: extractAirportCode(record.from),
+      destination: extractAirportCode(record.to),
+      tailNumber: record.registration || '',
+      aircraftType: extractAircraftType(record.aircraft),
+      seat: record.seat_number || '',
+      notes: record.note || '',
+    };
+  },
+};
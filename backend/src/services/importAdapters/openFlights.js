@@ -0,0 +1,49 @@
+/**
+ * OpenFlights flight log export.
+ * Header: Date,From,To,Flight_Number,Airline,Distance,Duration,Seat,Seat_Type,Class,Reason,
+ * Plane,Registration,Trip,Note,From_OID,To_OID,Airline_OID,Plane_OID
+ * From/To hold IATA or ICAO codes; Airline holds a name, sometimes with the IATA code in brackets.
+ */
+
+const REQUIRED_HEADERS = ['date', 'from', 'to', 'flight_number'];
+
+// "British Airways (BA)" -> "BA"
+const extractAirlineCode = (airline) => {
+  const match = /\(([A-Z0-9]{2,3})\)\s*$/.exec(airline || '');
+  return match ? match[1] : '';
+};
+
+module.exports = {
+  id: 'openflights',
+  name: 'OpenFlights',
+  description: 'Flight log CSV exported from OpenFlights',
+
+  detect(headers) {
+    return REQUIRED_HEADERS.every((header) => headers.includes(header))
+      && (headers.includes('from_oid') || headers.includes('plane'));
+  },
+
+  missingColumns(headers) {
+    return REQUIRED_HEADERS.filter((header) => !headers.includes(header));
+  },
+
+  mapRecord(record) {
+    const flightIdent = record.flight_number.replace(/\s+/g, '');
+    const airlineCode = extractAirlineCode(record.airline);
+
+    return {
+      // OpenFlights dates may carry a departure time ("2019-05-01 10:05:00")
+      date: record.date,
+      // Some logs store just the number with the airline in its own column
+      flightIdent: /^\d+[A-Z]?$/i.test(flightIdent) && airlineCode
+        ? `${airlineCode}${flightIdent}`
+        : flightIdent,
+      origin: record.from,
+      destination: record.to,
+      tailNumber: record.registration || '',
+      aircraftType: '',
+      seat: record.seat || '',
+      notes: record.note || '',
+    };
+  },
+};
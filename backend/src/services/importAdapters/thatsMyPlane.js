@@ -0,0 +1,46 @@
+/**
+ * Native ThatsMyPlane CSV layout: date, flight number, from, to, tail, seat, notes.
+ * Also reads files produced by the hangar CSV export.
+ */
+
+// Accepted header names for each field, after normalization
+const COLUMN_ALIASES = {
+  date: ['date', 'flight_date'],
+  flightIdent: ['flight_number', 'flightnumber', 'flight', 'flight_no'],
+  origin: ['from', 'origin'],
+  destination: ['to', 'destination'],
+  tailNumber: ['tail', 'tail_number', 'tailnumber', 'registration'],
+  aircraftType: ['aircraft_type', 'aircrafttype', 'type'],
+  seat: ['seat', 'seat_number'],
+  notes: ['notes', 'note'],
+};
+
+const REQUIRED_FIELDS = ['date', 'flightIdent', 'origin', 'destination'];
+
+const findHeader = (headers, field) => (
+  COLUMN_ALIASES[field].find((alias) => headers.includes(alias))
+);
+
+module.exports = {
+  id: 'thatsmyplane',
+  name: 'ThatsMyPlane CSV',
+  description: 'Columns: date, flight number, from, to, tail, seat, notes',
+
+  detect(headers) {
+    return REQUIRED_FIELDS.every((field) => findHeader(headers, field));
+  },
+
+  missingColumns(headers) {
+    return REQUIRED_FIELDS
+      .filter((field) => !findHeader(headers, field))
+      .map((field) => COLUMN_ALIASES[field][0]);
+  },
+
+  mapRecord(record, headers) {
+    return Object.keys(COLUMN_ALIASES).reduce((fields, field) => {
+      const header = findHeader(headers, field);
+      fields[field] = header ? record[header] : '';
+      return fields;
+    }, {});
+  },
+};
@@ -0,0 +1,245 @@
+const Aircraft = require('../models/Aircraft');
+const Airline = require('../models/Airline');
+const Airport = require('../models/Airport');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { parseCsvRecords } = require('../utils/csv');
+const { getWallClockDate } = require('../utils/dates');
+const importAdapters = require('./importAdapters');
+const airlineService = require('./airlineService');
+const flightService = require('./flightService');
+
+// Keep a single import request bounded
+const MAX_IMPORT_ROWS = 1000;
+
+class ImportService {
+  /**
+   * Pick the adapter for an import, either the one requested or the one matching the headers
+   * @param {Array<string>} headers - Normalized CSV headers
+   * @param {string} format - Adapter ID or "auto"
+   * @returns {object} Import adapter
+   */
+  resolveAdapter(headers, format = 'auto') {
+    if (format === 'auto') {
+      const adapter = importAdapters.detectAdapter(headers);
+      if (!adapter) {
+        throw new AppError(
+          'Could not recognise the CSV layout. Use columns date, flight number, from, to or pick a format explicitly.',
+          400,
+        );
+      }
+      return adapter;
+    }
+
+    const adapter = importAdapters.getAdapter(format);
+    if (!adapter) {
+      throw new AppError(`Unsupported import format "${format}"`, 400);
+    }
+
+    const missing = adapter.missingColumns(headers);
+    if (missing.length > 0) {
+      throw new AppError(`CSV is missing required ${adapter.name} column(s): ${missing.join(', ')}`, 400);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Validate and normalize the fields an adapter mapped from one row
+   * @param {object} fields - Adapter output for the row
+   * @returns {object} Flight details in the shape flightService.createManualFlight expects
+   */
+  normalizeFields(fields) {
+    const date = new Date(fields.date);
+    if (!fields.date || Number.isNaN(date.getTime())) {
+      throw new AppError(`Invalid date "${fields.date}"`, 400);
+    }
+
+    if (!fields.flightIdent) {
+      throw new AppError('Flight number is required', 400);
+    }
+
+    if (!fields.origin || !fields.destination) {
+      throw new AppError('Origin and destination airports are required', 400);
+    }
+
+    const { airlineCode, flightNumber } = airlineService.parseFlightIdent(fields.flightIdent);
+
+    return {
+      airlineCode,
+      flightNumber,
+      date,
+      // Times without an offset are local already; re-dating them at the origin would shift
+      // late departures to the next day
+      localDate: getWallClockDate(fields.date) || undefined,
+      origin: fields.origin.toUpperCase(),
+      destination: fields.destination.toUpperCase(),
+      tailNumber: fields.tailNumber?.toUpperCase() || undefined,
+      aircraftType: fields.aircraftType || undefined,
+      seat: fields.seat || undefined,
+      notes: fields.notes || undefined,
+    };
+  }
+
+  /**
+   * Describe what importing a row would do, without writing anything
+   * @param {string} userId - Owner of the hangar
+   * @param {object} details - Normalized flight details
+   * @returns {Promise<object>} Local date, matches, unresolved airports and duplicates
+   */
+  async previewRow(userId, details) {
+    const findAirport = (code) => Airport.findOne({
+      $or: [{ iataCode: code }, { icaoCode: code }],
+    }).lean();
+
+    const [airline, originAirport, destinationAirport, aircraft] = await Promise.all([
+      Airline.findOne({
+        $or: [{ iataCode: details.airlineCode }, { icaoCode: details.airlineCode }],
+      }).lean(),
+      findAirport(details.origin),
+      findAirport(details.destination),
+      details.tailNumber ? Aircraft.findOne({ tailNumber: details.tailNumber }).lean() : null,
+    ]);
+
+    const localDate = details.localDate || flightService.getLocalDate(details.date, originAirport);
+
+    // Duplicates can only exist for airlines already on file
+    const duplicate = airline
+      ? await flightService.findDuplicateFlight({
+        userId,
+        airlineId: airline._id,
+        flightNumber: details.flightNumber,
+        localDate,
+      })
+      : null;
+
+    const describeAirport = (code, airport) => (airport
+      ? {
+        code,
+        matched: true,
+        iataCode: airport.iataCode,
+        name: airport.name,
+      }
+      : { code, matched: false });
+
+    return {
+      localDate,
+      duplicate: Boolean(duplicate),
+      matches: {
+        airline: airline
+          ? { code: details.airlineCode, matched: true, name: airline.name }
+          : { code: details.airlineCode, matched: false },
+        origin: describeAirport(details.origin, originAirport),
+        destination: describeAirport(details.destination, destinationAirport),
+        aircraft: details.tailNumber
+          ? { tailNumber: details.tailNumber, matched: Boolean(aircraft) }
+          : null,
+      },
+      unresolvedAirports: [
+        [details.origin, originAirport],
+        [details.destination, destinationAirport],
+      ].filter(([, airport]) => !airport).map(([code]) => code),
+    };
+  }
+
+  /**
+   * Import a CSV of flight history into the user's hangar
+   * The CSV layout is mapped through an import adapter (native, OpenFlights, myFlightradar24, ...)
+   * @param {string} userId - Owner of the hangar
+   * @param {string} csvText - CSV file content with a header row
+   * @param {object} options - Import options
+   * @param {string} options.format - Adapter ID, or "auto" to detect from the headers
+   * @param {boolean} options.dryRun - Preview the import without writing anything
+   * @returns {Promise<object>} Per-row report with a summary
+   */
+  async importFlightsFromCsv(userId, csvText, { format = 'auto', dryRun = false } = {}) {
+    const { headers, records } = parseCsvRecords(csvText);
+
+    if (records.length === 0) {
+      throw new AppError('CSV contains no flight rows', 400);
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new AppError(`CSV contains ${records.length} rows; the maximum per import is ${MAX_IMPORT_ROWS}`, 400);
+    }
+
+    const adapter = this.resolveAdapter(headers, format);
+    logger.info(`${dryRun ? 'Previewing' : 'Importing'} ${records.length} ${adapter.name} row(s) for user ${userId}`);
+
+    const rows = [];
+    const seenFlights = new Set();
+
+    // Rows run one at a time so repeated airports and aircraft are only created once
+    for (let index = 0; index < records.length; index += 1) {
+      const fields = adapter.mapRecord(records[index], headers);
+      const report = {
+        line: index + 2, // Spreadsheet line number, header is line 1
+        flightNumber: fields.flightIdent,
+        date: fields.date,
+      };
+
+      try {
+        const details = this.normalizeFields(fields);
+
+        if (dryRun) {
+          // eslint-disable-next-line no-await-in-loop
+          const preview = await this.previewRow(userId, details);
+          const key = `${details.airlineCode}${details.flightNumber}|${preview.localDate}`;
+          const repeated = seenFlights.has(key);
+          seenFlights.add(key);
+
+          if (preview.duplicate || repeated) {
+            rows.push({
+              ...report,
+              status: 'skipped_duplicate',
+              reason: repeated ? 'Repeated earlier in this file' : 'Already in your hangar',
+              ...preview,
+            });
+          } else {
+            rows.push({ ...report, status: 'ready', ...preview });
+          }
+        } else {
+          // eslint-disable-next-line no-await-in-loop
+          const { flight } = await flightService.createManualFlight(userId, {
+            ...details,
+            dataSource: 'import',
+          });
+          rows.push({ ...report, status: 'imported', flightId: flight._id });
+        }
+      } catch (error) {
+        if (error.statusCode === 409) {
+          rows.push({ ...report, status: 'skipped_duplicate', reason: error.message });
+        } else {
+          const reason = error.name === 'ValidationError'
+            ? Object.values(error.errors).map((err) => err.message).join('. ')
+            : error.message;
+          logger.warn(`CSV import line ${report.line} failed: ${reason}`);
+          rows.push({ ...report, status: 'failed', reason });
+        }
+      }
+    }
+
+    const countStatus = (status) => rows.filter((row) => row.status === status).length;
+    const summary = {
+      format: adapter.id,
+      dryRun,
+      total: rows.length,
+      skippedDuplicates: countStatus('skipped_duplicate'),
+      failed: countStatus('failed'),
+    };
+
+    if (dryRun) {
+      summary.ready = countStatus('ready');
+      const unresolved = rows.flatMap((row) => row.unresolvedAirports || []);
+      summary.unresolvedAirports = [...new Set(unresolved)];
+    } else {
+      summary.imported = countStatus('imported');
+    }
+
+    logger.info(`CSV import finished for user ${userId}:`, JSON.stringify(summary));
+
+    return { summary, rows };
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const ApiUsage = require('../models/ApiUsage');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+
+// Approximate AeroAPI price per query in USD; set AEROAPI_QUERY_COSTS (JSON) to match your plan
+const DEFAULT_QUERY_COSTS = {
+  '/flights/{ident}': 0.005,
+  '/history/flights/{ident}': 0.02,
+  '/flights/{id}': 0.005,
+  '/airports/{id}': 0.005,
+};
+
+const parseQueryCosts = () => {
+  if (!process.env.AEROAPI_QUERY_COSTS) {
+    return DEFAULT_QUERY_COSTS;
+  }
+
+  try {
+    return { ...DEFAULT_QUERY_COSTS, ...JSON.parse(process.env.AEROAPI_QUERY_COSTS) };
+  } catch (error) {
+    logger.warn('⚠️  Ignoring invalid AEROAPI_QUERY_COSTS:', error.message);
+    return DEFAULT_QUERY_COSTS;
+  }
+};
+
+// Query caps; unset or 0 means no cap
+const parseLimit = (value) => parseInt(value, 10) || null;
+const QUOTA_LIMITS = {
+  user: {
+    daily: parseLimit(process.env.AEROAPI_USER_DAILY_LIMIT),
+    monthly: parseLimit(process.env.AEROAPI_USER_MONTHLY_LIMIT),
+  },
+  global: {
+    daily: parseLimit(process.env.AEROAPI_DAILY_LIMIT),
+    monthly: parseLimit(process.env.AEROAPI_MONTHLY_LIMIT),
+  },
+};
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+class UsageService {
+  constructor() {
+    this.queryCosts = parseQueryCosts();
+    this.limits = QUOTA_LIMITS;
+  }
+
+  /**
+   * Meter a flight data provider call. Only billed providers are counted.
+   * Listens to the provider chain's 'call' event, which fires for failed calls too;
+   * every request the call sent is billed, so retries count as queries of their own.
+   * Failures to record are logged rather than thrown.
+   * @param {object} call - Provider call
+   * @param {object} call.provider - Provider that was called
+   * @param {string} call.method - Provider method that was called
+   * @param {Array} call.args - Arguments the method was called with
+   * @param {object} call.context - { userId } the call was made for, if any
+   * @param {number} call.requests - HTTP requests the call sent
+   * @returns {Promise<void>}
+   */
+  async recordCall({
+    provider,
+    method,
+    args,
+    context = {},
+    requests = 1,
+  }) {
+    if (!provider.billed) {
+      return;
+    }
+
+    const endpoint = provider.endpointFor(method, args);
+    const day = toDay(new Date());
+
+    try {
+      await ApiUsage.updateOne(
+        {
+          day,
+          userId: context.userId || null,
+          provider: provider.id,
+          endpoint,
+        },
+        {
+          $setOnInsert: { month: day.slice(0, 7) },
+          $inc: { calls: requests, cost: requests * (this.queryCosts[endpoint] || 0) },
+        },
+        { upsert: true },
+      );
+    } catch (error) {
+      logger.warn(`⚠️  Failed to record ${provider.id} usage for ${endpoint}:`, error.message);
+    }
+  }
+
+  /**
+   * Billed queries made today and this month (UTC)
+   * @param {string} userId - Only count this user's queries (optional, everyone when omitted)
+   * @returns {Promise<object>} { daily, monthly } query counts
+   */
+  async getCallCounts(userId = null) {
+    const day = toDay(new Date());
+    const match = { month: day.slice(0, 7) };
+    if (userId) {
+      match.userId = new mongoose.Types.ObjectId(userId);
+    }
+
+    const [counts] = await ApiUsage.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          monthly: { $sum: '$calls' },
+          daily: { $sum: { $cond: [{ $eq: ['$day', day] }, '$calls', 0] } },
+        },
+      },
+    ]);
+
+    return { daily: counts?.daily || 0, monthly: counts?.monthly || 0 };
+  }
+
+  /**
+   * Refuse a billed lookup once the global or the user's daily or monthly cap is reached
+   * @param {string} userId - User the lookup is for (optional; only global caps apply without one)
+   * @returns {Promise<void>}
+   */
+  async assertWithinQuota(userId = null) {
+    const scopes = [['global', null]];
+    if (userId) {
+      scopes.push(['user', userId]);
+    }
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [scope, id] of scopes) {
+      const limits = this.limits[scope];
+      if (!limits.daily && !limits.monthly) {
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const counts = await this.getCallCounts(id);
+      const owner = scope === 'user' ? 'your' : 'the shared';
+
+      if (limits.daily && counts.daily >= limits.daily) {
+        logger.warn(`🚫 ${scope} daily lookup cap of ${limits.daily} reached${id ? ` for user ${id}` : ''}`);
+        throw new AppError(
+          `You've reached ${owner} limit of ${limits.daily} flight lookups for today. Please try again tomorrow.`,
+          429,
+        );
+      }
+
+      if (limits.monthly && counts.monthly >= limits.monthly) {
+        logger.warn(`🚫 ${scope} monthly lookup cap of ${limits.monthly} reached${id ? ` for user ${id}` : ''}`);
+        throw new AppError(
+          `You've reached ${owner} limit of ${limits.monthly} flight lookups for this month. Please try again next month.`,
+          429,
+        );
+      }
+    }
+  }
+
+  /**
+   * Spend by endpoint over time, with totals and the heaviest users
+   * @param {object} options - Report options
+   * @param {string} options.from - First day to include (YYYY-MM-DD)
+   * @param {string} options.to - Last day to include (YYYY-MM-DD)
+   * @param {string} options.interval - Group periods by day or month
+   * @param {number} options.topUsers - How many users to list
+   * @returns {Promise<object>} Usage report
+   */
+  async getReport({
+    from,
+    to,
+    interval = 'day',
+    topUsers = 10,
+  }) {
+    const match = { day: { $gte: from, $lte: to } };
+    const periodField = interval === 'month' ? '$month' : '$day';
+
+    const [periods, endpoints, users, totals] = await Promise.all([
+      ApiUsage.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { period: periodField, endpoint: '$endpoint' },
+            calls: { $sum: '$calls' },
+            cost: { $sum: '$cost' },
+          },
+        },
+        { $sort: { '_id.period': 1, '_id.endpoint': 1 } },
+      ]),
+      ApiUsage.aggregate([
+        { $match: match },
+        { $group: { _id: '$endpoint', calls: { $sum: '$calls' }, cost: { $sum: '$cost' } } },
+        { $sort: { cost: -1 } },
+      ]),
+      ApiUsage.aggregate([
+        { $match: match },
+        { $group: { _id: '$userId', calls: { $sum: '$calls' }, cost: { $sum: '$cost' } } },
+        { $sort: { cost: -1 } },
+        { $limit: topUsers },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'user',
+          },
+        },
+        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+      ]),
+      ApiUsage.aggregate([
+        { $match: match },
+        { $group: { _id: null, calls: { $sum: '$calls' }, cost: { $sum: '$cost' } } },
+      ]),
+    ]);
+
+    const roundCost = (cost) => Math.round(cost * 10000) / 10000;
+
+    return {
+      from,
+      to,
+      interval,
+      currency: 'USD',
+      totals: {
+        calls: totals[0]?.calls || 0,
+        cost: roundCost(totals[0]?.cost || 0),
+      },
+      byPeriod: periods.map(({ _id, calls, cost }) => ({
+        period: _id.period,
+        endpoint: _id.endpoint,
+        calls,
+        cost: roundCost(cost),
+      })),
+      byEndpoint: endpoints.map(({ _id, calls, cost }) => ({
+        endpoint: _id,
+        calls,
+        cost: roundCost(cost),
+      })),
+      topUsers: users.map(({
+        _id,
+        user,
+        calls,
+        cost,
+      }) => ({
+        userId: _id,
+        username: user?.username || null, // null for background lookups
+        calls,
+        cost: roundCost(cost),
+      })),
+      limits: this.limits,
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,85 @@
+const CircuitBreaker = require('../circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const openBreaker = () => {
+    const breaker = new CircuitBreaker('api.example.com', { failureThreshold: 3, resetTimeoutMs: 10000 });
+    ['HTTP 503', 'HTTP 503', 'ETIMEDOUT'].forEach((reason) => breaker.recordFailure(reason));
+    return breaker;
+  };
+
+  test('stay closed below the failure threshold', () => {
+    const breaker = new CircuitBreaker('api.example.com', { failureThreshold: 3 });
+    breaker.recordFailure('HTTP 503');
+    breaker.recordFailure('HTTP 503');
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test('reset the failure count on success', () => {
+    const breaker = new CircuitBreaker('api.example.com', { failureThreshold: 3 });
+    breaker.recordFailure('HTTP 503');
+    breaker.recordFailure('HTTP 503');
+    breaker.recordSuccess();
+    breaker.recordFailure('HTTP 503');
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('open at the threshold and reject requests until the reset timeout', () => {
+    const breaker = openBreaker();
+
+    expect(breaker.getState()).toMatchObject({
+      state: 'open',
+      failures: 3,
+      lastError: 'ETIMEDOUT',
+      retryAt: new Date('2024-03-01T00:00:10Z'),
+    });
+    expect(breaker.allowRequest()).toBe(false);
+
+    jest.advanceTimersByTime(9999);
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  test('go half-open after the timeout and let a single trial through', () => {
+    const breaker = openBreaker();
+    jest.advanceTimersByTime(10000);
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  test('close when the trial succeeds', () => {
+    const breaker = openBreaker();
+    jest.advanceTimersByTime(10000);
+    breaker.allowRequest();
+
+    breaker.recordSuccess();
+
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0, retryAt: null });
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test('re-open for another timeout when the trial fails', () => {
+    const breaker = openBreaker();
+    jest.advanceTimersByTime(10000);
+    breaker.allowRequest();
+
+    breaker.recordFailure('HTTP 502');
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+    jest.advanceTimersByTime(10000);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+});
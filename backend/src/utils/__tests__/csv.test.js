@@ -0,0 +1,78 @@
+const { parseCsv, parseCsvRecords, toCsvRow } = require('../csv');
+
+describe('parseCsv', () => {
+  test('split plain fields and rows', () => {
+    expect(parseCsv('a,b,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  test('keep commas inside quoted fields', () => {
+    expect(parseCsv('"London, Heathrow",LHR')).toEqual([['London, Heathrow', 'LHR']]);
+  });
+
+  test('unescape doubled quotes', () => {
+    expect(parseCsv('"Seat ""14A"" by the wing",x')).toEqual([['Seat "14A" by the wing', 'x']]);
+  });
+
+  test('keep line breaks inside quoted fields', () => {
+    expect(parseCsv('note,seat\n"first line\nsecond line",14A\n')).toEqual([
+      ['note', 'seat'],
+      ['first line\nsecond line', '14A'],
+    ]);
+  });
+
+  test('accept CRLF line endings', () => {
+    expect(parseCsv('a,b\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('strip a byte order mark', () => {
+    expect(parseCsv('\uFEFFdate,from\n2024-01-01,LHR')).toEqual([
+      ['date', 'from'],
+      ['2024-01-01', 'LHR'],
+    ]);
+  });
+
+  test('keep empty fields and the last row without a trailing newline', () => {
+    expect(parseCsv('a,,c\n1,2,')).toEqual([['a', '', 'c'], ['1', '2', '']]);
+  });
+
+  test('skip blank lines', () => {
+    expect(parseCsv('a,b\n\n , \n1,2\n\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  test('normalize headers and key records by them', () => {
+    const { headers, records } = parseCsvRecords('\uFEFFFlight Number,Dep-Id, Date \nBA117,1, 2024-01-01 \n');
+
+    expect(headers).toEqual(['flight_number', 'dep_id', 'date']);
+    expect(records).toEqual([{ flight_number: 'BA117', dep_id: '1', date: '2024-01-01' }]);
+  });
+
+  test('fill missing trailing fields with empty strings', () => {
+    const { records } = parseCsvRecords('date,from,to\n2024-01-01,LHR\n');
+    expect(records).toEqual([{ date: '2024-01-01', from: 'LHR', to: '' }]);
+  });
+
+  test('return no records for a header-only file', () => {
+    expect(parseCsvRecords('date,from,to\n')).toEqual({ headers: ['date', 'from', 'to'], records: [] });
+  });
+});
+
+describe('toCsvRow', () => {
+  test('quote fields with commas, quotes and line breaks', () => {
+    expect(toCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines'])).toBe(
+      'plain,"a,b","say ""hi""","two\nlines"\r\n',
+    );
+  });
+
+  test('write null as empty and dates as ISO strings', () => {
+    expect(toCsvRow([null, undefined, new Date('2024-01-01T00:00:00Z'), 0])).toBe(
+      ',,2024-01-01T00:00:00.000Z,0\r\n',
+    );
+  });
+
+  test('round-trip through parseCsv', () => {
+    const values = ['London, Heathrow', 'say "hi"', 'two\nlines', ''];
+    expect(parseCsv(toCsvRow(values))).toEqual([values]);
+  });
+});
@@ -0,0 +1,79 @@
+const {
+  getWallClockDate,
+  isDateOnly,
+  isValidTimeZone,
+  toLocalDateString,
+} = require('../dates');
+
+describe('isDateOnly', () => {
+  test.each([
+    ['2024-03-01', true],
+    ['2024-03-01T08:00:00Z', false],
+    ['2024-3-1', false],
+    ['', false],
+    [null, false],
+    [new Date('2024-03-01'), false],
+  ])('%p → %p', (value, expected) => {
+    expect(isDateOnly(value)).toBe(expected);
+  });
+});
+
+describe('getWallClockDate', () => {
+  test.each([
+    ['2024-03-01', '2024-03-01'],
+    ['2024-03-01 23:30:00', '2024-03-01'],
+    ['2024-03-01T23:30', '2024-03-01'],
+    ['2024-03-01T23:30:00.000', '2024-03-01'],
+    ['2024-03-01T23:30:00Z', null],
+    ['2024-03-01T23:30:00+08:00', null],
+    ['01/03/2024', null],
+    [null, null],
+  ])('%p → %p', (value, expected) => {
+    expect(getWallClockDate(value)).toBe(expected);
+  });
+});
+
+describe('isValidTimeZone', () => {
+  test.each([
+    ['Asia/Singapore', true],
+    ['America/New_York', true],
+    ['UTC', true],
+    ['Mars/Olympus_Mons', false],
+    ['', false],
+    [undefined, false],
+    [8, false],
+  ])('%p → %p', (timeZone, expected) => {
+    expect(isValidTimeZone(timeZone)).toBe(expected);
+  });
+});
+
+describe('toLocalDateString', () => {
+  test.each([
+    // Red-eyes: the local departure day differs from the UTC day
+    ['an evening departure west of UTC', '2024-03-02T04:30:00Z', 'America/Los_Angeles', '2024-03-01'],
+    ['an early departure east of UTC', '2024-03-01T22:30:00Z', 'Asia/Singapore', '2024-03-02'],
+    ['a departure at local midnight', '2024-03-01T15:00:00Z', 'Asia/Tokyo', '2024-03-02'],
+    ['a departure a minute before local midnight', '2024-03-01T14:59:00Z', 'Asia/Tokyo', '2024-03-01'],
+    ['a half-hour offset', '2024-03-01T18:45:00Z', 'Asia/Kolkata', '2024-03-02'],
+  ])('use the origin\'s calendar for %s', (description, instant, timeZone, expected) => {
+    expect(toLocalDateString(new Date(instant), timeZone)).toBe(expected);
+  });
+
+  // New York runs on UTC-5 in winter and UTC-4 in summer; 04:30 UTC lands either side of midnight
+  test.each([
+    ['before the spring transition', '2024-03-10T04:30:00Z', '2024-03-09'],
+    ['after the spring transition', '2024-03-11T04:30:00Z', '2024-03-11'],
+    ['before the autumn transition', '2024-11-03T04:30:00Z', '2024-11-03'],
+    ['after the autumn transition', '2024-11-04T04:30:00Z', '2024-11-03'],
+  ])('follow the offset %s', (description, instant, expected) => {
+    expect(toLocalDateString(new Date(instant), 'America/New_York')).toBe(expected);
+  });
+
+  test.each([
+    ['a missing', undefined],
+    ['an empty', ''],
+    ['an unknown', 'Not/A_Zone'],
+  ])('fall back to UTC for %s time zone', (description, timeZone) => {
+    expect(toLocalDateString(new Date('2024-03-01T23:30:00Z'), timeZone)).toBe('2024-03-01');
+  });
+});
@@ -0,0 +1,237 @@
+const {
+  compactName,
+  normalizeFlightNumber,
+  parseFlightIdent,
+  resolveOperatingFlight,
+  isCodeshare,
+} = require('../flightIdent');
+
+describe('normalizeFlightNumber', () => {
+  test.each([
+    ['221', '221'],
+    ['0221', '221'],
+    ['0001', '1'],
+    ['0', '0'],
+    ['117a', '117A'],
+    ['007A', '7A'],
+    [' 12 ', '12'],
+  ])('%p → %p', (input, expected) => {
+    expect(normalizeFlightNumber(input)).toBe(expected);
+  });
+});
+
+describe('compactName', () => {
+  test.each([
+    ['American Airlines', 'AMERICAN'],
+    ['Delta Air Lines', 'DELTA'],
+    ['British Airways', 'BRITISH'],
+    ['Emirates Airline', 'EMIRATES'],
+    ['Air France', 'AIRFRANCE'],
+    ['easyJet', 'EASYJET'],
+    ['Airlines', 'AIRLINES'],
+  ])('%p → %p', (input, expected) => {
+    expect(compactName(input)).toBe(expected);
+  });
+});
+
+describe('parseFlightIdent', () => {
+  describe('IATA designators', () => {
+    test.each([
+      ['EK221', 'EK', 'UAE', '221', 'EK221'],
+      ['ek221', 'EK', 'UAE', '221', 'EK221'],
+      ['EK 221', 'EK', 'UAE', '221', 'EK221'],
+      ['EK-221', 'EK', 'UAE', '221', 'EK221'],
+      ['  EK   221  ', 'EK', 'UAE', '221', 'EK221'],
+      ['AA1', 'AA', 'AAL', '1', 'AA1'],
+      ['BA9999', 'BA', 'BAW', '9999', 'BA9999'],
+      ['6E123', '6E', 'IGO', '123', '6E123'],
+      ['U2 8001', 'U2', 'EZY', '8001', 'U28001'],
+      ['B61023', 'B6', 'JBU', '1023', 'B61023'],
+      ['5J 560', '5J', 'CEB', '560', '5J560'],
+    ])('%p → %s (%s) %s', (input, iataCode, icaoCode, flightNumber, ident) => {
+      expect(parseFlightIdent(input)).toMatchObject({
+        airlineCode: iataCode,
+        iataCode,
+        icaoCode,
+        flightNumber,
+        ident,
+        matchedBy: 'iata',
+      });
+    });
+  });
+
+  describe('ICAO three-letter prefixes', () => {
+    test.each([
+      ['UAE221', 'EK', 'UAE', '221', 'EK221', 'UAE221'],
+      ['uae 221', 'EK', 'UAE', '221', 'EK221', 'UAE221'],
+      ['BAW12', 'BA', 'BAW', '12', 'BA12', 'BAW12'],
+      ['KLM 605', 'KL', 'KLM', '605', 'KL605', 'KLM605'],
+      ['ANA8', 'NH', 'ANA', '8', 'NH8', 'ANA8'],
+      ['WJA 1234', 'WS', 'WJA', '1234', 'WS1234', 'WJA1234'],
+    ])('%p → %s/%s %s', (input, iataCode, icaoCode, flightNumber, ident, icaoIdent) => {
+      expect(parseFlightIdent(input)).toMatchObject({
+        airlineCode: iataCode,
+        iataCode,
+        icaoCode,
+        flightNumber,
+        ident,
+        icaoIdent,
+        matchedBy: 'icao',
+      });
+    });
+  });
+
+  describe('airline names', () => {
+    test.each([
+      ['Emirates 221', 'EK', '221'],
+      ['EMIRATES221', 'EK', '221'],
+      ['Emirates Airline 221', 'EK', '221'],
+      ['American 100', 'AA', '100'],
+      ['American Airlines 100', 'AA', '100'],
+      ['Delta Air Lines 44', 'DL', '44'],
+      ['delta 44', 'DL', '44'],
+      ['British Airways 0012', 'BA', '12'],
+      ['JETBLUE1023', 'B6', '1023'],
+      ['Air France 6', 'AF', '6'],
+      ['Air Canada 849', 'AC', '849'],
+      ['WestJet 1234', 'WS', '1234'],
+      ['Virgin 3', 'VS', '3'],
+      ['Virgin Australia 1', 'VA', '1'],
+      ['Swiss 14', 'LX', '14'],
+      ['Norwegian 7001', 'DY', '7001'],
+      ['Korean Air 17', 'KE', '17'],
+      ['China Airlines 5', 'CI', '5'],
+      ['Air China 981', 'CA', '981'],
+      ['easyJet 8001', 'U2', '8001'],
+      ['IndiGo 6', '6E', '6'],
+    ])('%p → %s %s', (input, iataCode, flightNumber) => {
+      expect(parseFlightIdent(input)).toMatchObject({
+        airlineCode: iataCode,
+        iataCode,
+        flightNumber,
+        ident: `${iataCode}${flightNumber}`,
+        matchedBy: 'name',
+      });
+    });
+  });
+
+  describe('operational suffixes and leading zeros', () => {
+    test.each([
+      ['BA117A', 'BA', '117A', 'A'],
+      ['ba 117a', 'BA', '117A', 'A'],
+      ['EK0001', 'EK', '1', null],
+      ['EK 007', 'EK', '7', null],
+      ['UAE0221', 'EK', '221', null],
+      ['BAW0012Z', 'BA', '12Z', 'Z'],
+      ['Emirates 002K', 'EK', '2K', 'K'],
+    ])('%p → %s %s (suffix %p)', (input, airlineCode, flightNumber, suffix) => {
+      expect(parseFlightIdent(input)).toMatchObject({ airlineCode, flightNumber, suffix });
+    });
+  });
+
+  describe('unknown airlines', () => {
+    test.each([
+      ['ZZ123', 'ZZ', 'ZZ', null, 'ZZ123'],
+      ['QZX45', 'QZX', null, 'QZX', 'QZX45'],
+    ])('%p passes %s through', (input, airlineCode, iataCode, icaoCode, ident) => {
+      expect(parseFlightIdent(input)).toMatchObject({
+        airlineCode,
+        iataCode,
+        icaoCode,
+        airlineName: null,
+        ident,
+      });
+    });
+
+    test('an ICAO-only carrier keeps its ICAO code as the airline code', () => {
+      expect(parseFlightIdent('XYZ45')).toMatchObject({
+        airlineCode: 'XYZ',
+        iataCode: null,
+        icaoCode: 'XYZ',
+        airlineName: 'Island Air Express',
+        ident: 'XYZ45',
+      });
+    });
+  });
+
+  describe('invalid input', () => {
+    test.each([
+      [''],
+      ['   '],
+      [null],
+      [undefined],
+      [221],
+      ['221'],
+      ['EK'],
+      ['EK12345'],
+      ['N12345'],
+      ['9Z123'],
+      ['Nowhere Airways 12'],
+      ['EK221/EK222'],
+    ])('%p is rejected with a 400', (input) => {
+      expect(() => parseFlightIdent(input)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  test('keeps the original input', () => {
+    expect(parseFlightIdent('  Emirates 221 ').originalIdent).toBe('Emirates 221');
+  });
+
+  test('resolves against a custom airline list', () => {
+    const airlines = [{ iataCode: 'XQ', icaoCode: 'SXS', name: 'SunExpress' }];
+
+    expect(parseFlightIdent('SXS 100', { airlines })).toMatchObject({
+      airlineCode: 'XQ',
+      airlineName: 'SunExpress',
+      ident: 'XQ100',
+    });
+    expect(parseFlightIdent('SunExpress 100', { airlines }).iataCode).toBe('XQ');
+  });
+});
+
+describe('resolveOperatingFlight', () => {
+  test.each([
+    [
+      'prefers ident_icao for a codeshare',
+      { ident: 'QFA8004', identIcao: 'UAE404', identIata: 'EK404' },
+      'EK',
+      '404',
+    ],
+    [
+      'falls back to ident_iata',
+      { ident: 'QF8004', identIata: 'EK404' },
+      'EK',
+      '404',
+    ],
+    [
+      'falls back to ident',
+      { ident: 'UAE1' },
+      'EK',
+      '1',
+    ],
+    [
+      'skips an unparseable ident_icao',
+      { ident: 'BA12', identIcao: 'N12345' },
+      'BA',
+      '12',
+    ],
+  ])('%s', (description, flight, airlineCode, flightNumber) => {
+    expect(resolveOperatingFlight(flight)).toMatchObject({ airlineCode, flightNumber });
+  });
+
+  test('rejects a flight without an ident', () => {
+    expect(() => resolveOperatingFlight({})).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('isCodeshare', () => {
+  test.each([
+    ['QF8004', { identIcao: 'UAE404' }, true],
+    ['EK404', { identIcao: 'UAE404' }, false],
+    ['UAE404', { ident: 'EK404' }, false],
+    ['Emirates 404', { identIcao: 'UAE404' }, false],
+    ['EK405', { identIcao: 'UAE404' }, true],
+  ])('searching %p for %p → %p', (searched, flight, expected) => {
+    expect(isCodeshare(parseFlightIdent(searched), resolveOperatingFlight(flight))).toBe(expected);
+  });
+});
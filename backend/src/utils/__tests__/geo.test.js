@@ -0,0 +1,75 @@
+const {
+  encodePolyline,
+  getRouteGeometry,
+  greatCircleDistanceKm,
+  greatCirclePoints,
+} = require('../geo');
+
+const airports = {
+  LHR: { lat: 51.4700, lng: -0.4543 },
+  JFK: { lat: 40.6413, lng: -73.7781 },
+  SYD: { lat: -33.9461, lng: 151.1772 },
+  LAX: { lat: 33.9425, lng: -118.4081 },
+  SIN: { lat: 1.3502, lng: 103.9940 },
+};
+
+describe('greatCircleDistanceKm', () => {
+  // Published great-circle distances; a sphere stays within half a percent of the ellipsoid
+  test.each([
+    ['LHR', 'JFK', 5555],
+    ['SYD', 'LAX', 12051],
+    ['SIN', 'JFK', 15349],
+  ])('measure %s-%s at about %i km', (from, to, km) => {
+    const distance = greatCircleDistanceKm(airports[from], airports[to]);
+    expect(Math.abs(distance - km) / km).toBeLessThan(0.005);
+  });
+
+  test('measure the same distance both ways and none to itself', () => {
+    expect(greatCircleDistanceKm(airports.SYD, airports.LAX))
+      .toBeCloseTo(greatCircleDistanceKm(airports.LAX, airports.SYD), 6);
+    expect(greatCircleDistanceKm(airports.LHR, airports.LHR)).toBe(0);
+  });
+});
+
+describe('getRouteGeometry', () => {
+  test('give the distance in km, statute and nautical miles', () => {
+    expect(getRouteGeometry(airports.LHR, airports.JFK).distance).toEqual({
+      km: 5540,
+      mi: 3442,
+      nm: 2991,
+    });
+  });
+
+  test('find no geometry without coordinates on both ends', () => {
+    expect(getRouteGeometry(airports.LHR, { lat: null, lng: null })).toBeNull();
+    expect(getRouteGeometry(undefined, airports.JFK)).toBeNull();
+  });
+});
+
+describe('greatCirclePoints', () => {
+  test('bend a transatlantic route towards the pole', () => {
+    const points = greatCirclePoints(airports.LHR, airports.JFK, 2);
+
+    expect(points).toHaveLength(3);
+    expect(points[0].lat).toBeCloseTo(airports.LHR.lat, 6);
+    expect(points[2].lng).toBeCloseTo(airports.JFK.lng, 6);
+    expect(points[1].lat).toBeGreaterThan(airports.LHR.lat);
+  });
+
+  test('cross the antimeridian on the short way round', () => {
+    const [, middle] = greatCirclePoints(airports.SYD, airports.LAX, 2);
+
+    expect(Math.abs(middle.lng)).toBeGreaterThan(150);
+    expect(Math.abs(middle.lat)).toBeLessThan(1);
+  });
+});
+
+describe('encodePolyline', () => {
+  test('match the reference encoding', () => {
+    expect(encodePolyline([
+      { lat: 38.5, lng: -120.2 },
+      { lat: 40.7, lng: -120.95 },
+      { lat: 43.252, lng: -126.453 },
+    ])).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  });
+});
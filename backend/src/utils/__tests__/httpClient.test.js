@@ -0,0 +1,239 @@
+const axios = require('axios');
+const {
+  createHttpClient,
+  getCircuitBreakerStates,
+  getRetryAfterMs,
+  isUpstreamFailure,
+} = require('../httpClient');
+
+// Breakers are shared per host for the whole process, so every test talks to its own host
+let hostCount = 0;
+const nextHost = () => {
+  hostCount += 1;
+  return `api${hostCount}.example.com`;
+};
+
+// Adapter that answers requests from a queue: a status (or [status, headers]) fails the request,
+// 'timeout' times it out and anything else is a 200 body
+const queueAdapter = (answers) => jest.fn(async (config) => {
+  const answer = answers.shift();
+  if (answer === 'timeout') {
+    throw new axios.AxiosError('timeout exceeded', 'ECONNABORTED', config);
+  }
+  if (typeof answer === 'number' || Array.isArray(answer)) {
+    const [status, headers = {}] = [].concat(answer);
+    const response = {
+      data: {},
+      status,
+      statusText: '',
+      headers,
+      config,
+    };
+    throw new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+  }
+  return {
+    data: answer,
+    status: 200,
+    statusText: 'OK',
+    headers: {},
+    config,
+  };
+});
+
+const makeClient = (host, answers, options = {}) => {
+  const adapter = queueAdapter(answers);
+  const client = createHttpClient({ baseURL: `https://${host}`, adapter }, {
+    retries: 2,
+    baseDelayMs: 100,
+    maxDelayMs: 1000,
+    ...options,
+  });
+  return { client, adapter };
+};
+
+// Settle a request that should fail. Matching on the AxiosError itself walks its circular config
+const failureOf = (request) => request.then(
+  () => {
+    throw new Error('Expected the request to fail');
+  },
+  (error) => ({ status: error.response?.status, code: error.code }),
+);
+
+const breakerFor = (host) => getCircuitBreakerStates().find((state) => state.name === host);
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00Z') });
+  // Full jitter picks the middle of the backoff range
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('isUpstreamFailure', () => {
+  test.each([
+    [undefined, true],
+    [500, true],
+    [503, true],
+    [429, true],
+    [404, false],
+    [400, false],
+  ])('status %p → %p', (status, expected) => {
+    const error = status ? { response: { status } } : { code: 'ECONNRESET' };
+    expect(isUpstreamFailure(error)).toBe(expected);
+  });
+});
+
+describe('getRetryAfterMs', () => {
+  test.each([
+    ['seconds', '3', 3000],
+    ['an HTTP date', 'Fri, 01 Mar 2024 00:00:05 GMT', 5000],
+    ['a date in the past', 'Thu, 29 Feb 2024 23:00:00 GMT', 0],
+    ['garbage', 'soon', null],
+  ])('read %s', (description, header, expected) => {
+    expect(getRetryAfterMs({ headers: { 'retry-after': header } })).toBe(expected);
+  });
+
+  test('return null without the header', () => {
+    expect(getRetryAfterMs({ headers: {} })).toBeNull();
+    expect(getRetryAfterMs(undefined)).toBeNull();
+  });
+});
+
+describe('createHttpClient retries', () => {
+  test('retry upstream failures with growing backoff, then succeed', async () => {
+    const { client, adapter } = makeClient(nextHost(), [503, 'timeout', { ok: true }]);
+
+    const request = client.get('/flights');
+
+    // Backoff ceilings are 100ms, then 200ms
+    await jest.advanceTimersByTimeAsync(49);
+    expect(adapter).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(adapter).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(99);
+    expect(adapter).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(request).resolves.toMatchObject({ data: { ok: true } });
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  test('give up after the configured retries', async () => {
+    const { client, adapter } = makeClient(nextHost(), [500, 500, 500, { ok: true }]);
+
+    const request = client.get('/flights');
+    const failure = failureOf(request);
+    await jest.runAllTimersAsync();
+
+    expect(await failure).toMatchObject({ status: 500 });
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  test.each([400, 401, 404])('not retry a %i', async (status) => {
+    const host = nextHost();
+    const { client, adapter } = makeClient(host, [status, { ok: true }]);
+
+    expect(await failureOf(client.get('/flights'))).toMatchObject({ status });
+
+    expect(adapter).toHaveBeenCalledTimes(1);
+    // The host answered, so a 4xx doesn't count against it
+    expect(breakerFor(host)).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('not retry requests that are not idempotent', async () => {
+    const { client, adapter } = makeClient(nextHost(), [503, { ok: true }]);
+
+    expect(await failureOf(client.post('/flights', {}))).toMatchObject({ status: 503 });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('wait as long as Retry-After asks instead of backing off', async () => {
+    const { client, adapter } = makeClient(nextHost(), [[429, { 'retry-after': '7' }], { ok: true }]);
+
+    const request = client.get('/flights');
+    await jest.advanceTimersByTimeAsync(6999);
+    expect(adapter).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(request).resolves.toMatchObject({ data: { ok: true } });
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  test('give up when Retry-After asks for longer than the client will wait', async () => {
+    const { client, adapter } = makeClient(
+      nextHost(),
+      [[503, { 'retry-after': '120' }], { ok: true }],
+      { maxRetryAfterMs: 60000 },
+    );
+
+    expect(await failureOf(client.get('/flights'))).toMatchObject({ status: 503 });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createHttpClient circuit breaker', () => {
+  const breakerOptions = { retries: 0, failureThreshold: 2, resetTimeoutMs: 30000 };
+
+  test('open after repeated failures, fail fast, then recover through a half-open trial', async () => {
+    const host = nextHost();
+    const answers = [503, 503, { ok: true }, { ok: true }];
+    const { client, adapter } = makeClient(host, answers, breakerOptions);
+
+    expect(await failureOf(client.get('/a'))).toMatchObject({ status: 503 });
+    expect(await failureOf(client.get('/a'))).toMatchObject({ status: 503 });
+    expect(breakerFor(host).state).toBe('open');
+
+    // Open: no request reaches the upstream
+    expect(await failureOf(client.get('/a'))).toMatchObject({ code: 'ECIRCUITOPEN' });
+    expect(adapter).toHaveBeenCalledTimes(2);
+
+    // Half-open after the timeout: the trial goes out and closes the breaker
+    jest.advanceTimersByTime(30000);
+    await expect(client.get('/a')).resolves.toMatchObject({ data: { ok: true } });
+    expect(breakerFor(host)).toMatchObject({ state: 'closed', failures: 0 });
+    await expect(client.get('/a')).resolves.toMatchObject({ data: { ok: true } });
+    expect(adapter).toHaveBeenCalledTimes(4);
+  });
+
+  test('re-open when the half-open trial fails', async () => {
+    const host = nextHost();
+    const { client } = makeClient(host, [503, 503, 502], breakerOptions);
+
+    await failureOf(client.get('/a'));
+    await failureOf(client.get('/a'));
+    jest.advanceTimersByTime(30000);
+
+    expect(await failureOf(client.get('/a'))).toMatchObject({ status: 502 });
+    expect(breakerFor(host)).toMatchObject({ state: 'open', lastError: 'HTTP 502' });
+    expect(await failureOf(client.get('/a'))).toMatchObject({ code: 'ECIRCUITOPEN' });
+  });
+
+  test('keep one breaker per host', async () => {
+    const failingHost = nextHost();
+    const healthyHost = nextHost();
+    const failing = makeClient(failingHost, [503, 503], breakerOptions);
+    const healthy = makeClient(healthyHost, [{ ok: true }], breakerOptions);
+
+    await failureOf(failing.client.get('/a'));
+    await failureOf(failing.client.get('/a'));
+
+    await expect(healthy.client.get('/a')).resolves.toMatchObject({ data: { ok: true } });
+    expect(breakerFor(failingHost).state).toBe('open');
+    expect(breakerFor(healthyHost).state).toBe('closed');
+  });
+
+  test('share a host\'s breaker between clients', async () => {
+    const host = nextHost();
+    const first = makeClient(host, [503, 503], breakerOptions);
+    const second = makeClient(host, [{ ok: true }], breakerOptions);
+
+    await failureOf(first.client.get('/a'));
+    await failureOf(first.client.get('/a'));
+
+    expect(await failureOf(second.client.get('/b'))).toMatchObject({ code: 'ECIRCUITOPEN' });
+    expect(second.adapter).not.toHaveBeenCalled();
+  });
+});
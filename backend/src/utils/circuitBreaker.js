@@ -0,0 +1,92 @@
+/**
+ * Circuit breaker for one upstream host.
+ * closed: requests flow. After `failureThreshold` consecutive failures it opens and
+ * rejects requests outright; after `resetTimeoutMs` it goes half-open and lets a single
+ * trial request through, closing again on success or re-opening on failure.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - What the breaker protects (e.g. a host name)
+   * @param {object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - How long to stay open before a trial request
+   */
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30 * 1000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may go out now. Moves an open breaker to half-open once its timeout passed.
+   * @returns {boolean} True when the request is allowed
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    // Half-open lets exactly one trial request through
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a healthy response
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request, opening the breaker at the threshold or on a failed trial
+   * @param {string} reason - Short description of the failure
+   */
+  recordFailure(reason) {
+    this.failures += 1;
+    this.lastFailureAt = new Date();
+    this.lastError = reason;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Current state for health reporting
+   * @returns {object} { name, state, failures, openedAt, retryAt, lastFailureAt, lastError }
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs) : null,
+      lastFailureAt: this.lastFailureAt,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
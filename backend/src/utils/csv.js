@@ -0,0 +1,85 @@
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields, escaped quotes, CRLF or LF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of raw field values, blank lines skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into records keyed by normalized header name
+ * Headers are lowercased with spaces and dashes turned into underscores
+ * ("Flight Number" -> "flight_number")
+ * @param {string} text - CSV text
+ * @returns {object} { headers, records }
+ */
+const parseCsvRecords = (text) => {
+  const [headerRow = [], ...dataRows] = parseCsv(text);
+  const headers = headerRow.map((header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+
+  const records = dataRows.map((fields) => headers.reduce((record, header, index) => {
+    record[header] = (fields[index] || '').trim();
+    return record;
+  }, {}));
+
+  return { headers, records };
+};
+
+/**
+ * Format values as one CSV line, quoting fields that contain commas, quotes or line breaks
+ * @param {Array} values - Field values (null and undefined become empty fields)
+ * @returns {string} CSV line terminated with CRLF
+ */
+const toCsvRow = (values) => `${values.map((value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsvRow,
+};
@@ -0,0 +1,63 @@
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// A date with an optional time of day but no UTC offset ("2019-05-01 10:05:00")
+const WALL_CLOCK_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?$/;
+
+/**
+ * Check whether a value is a bare YYYY-MM-DD date with no time part
+ * @param {*} value - Value to check
+ * @returns {boolean} True for date-only strings
+ */
+const isDateOnly = (value) => typeof value === 'string' && DATE_ONLY_PATTERN.test(value);
+
+/**
+ * Calendar date of a timestamp written without a UTC offset. Such values are already local
+ * wall-clock times, so their date part is the local date wherever they were recorded.
+ * @param {*} value - Value to read
+ * @returns {string|null} Local date as YYYY-MM-DD, or null when the value has an offset or
+ *   isn't a date string
+ */
+const getWallClockDate = (value) => (
+  typeof value === 'string' ? WALL_CLOCK_PATTERN.exec(value.trim())?.[1] || null : null
+);
+
+/**
+ * Check whether a string is an IANA time zone this runtime knows about
+ * @param {string} timeZone - e.g. "Asia/Singapore"
+ * @returns {boolean} True when usable with Intl
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Calendar date of an instant as seen in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone, UTC when missing or unknown
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+const toLocalDateString = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(date);
+
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+module.exports = {
+  getWallClockDate,
+  isDateOnly,
+  isValidTimeZone,
+  toLocalDateString,
+};
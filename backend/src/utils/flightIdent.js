@@ -0,0 +1,179 @@
+const AppError = require('./appError');
+const referenceAirlines = require('../data/airlines.json');
+
+// Words that don't tell airlines apart ("Emirates Airline" is "Emirates")
+const GENERIC_NAME_SUFFIX = /(AIRLINES|AIRLINE|AIRWAYS|AIRWAY|AIRLINESINC)$/;
+
+/**
+ * Reduce an airline name to letters only, without a trailing "Airlines"/"Airways"
+ * @param {string} name - Airline name (e.g. "American Airlines")
+ * @returns {string} Compact name (e.g. "AMERICAN")
+ */
+const compactName = (name) => {
+  const letters = name.toUpperCase().replace(/[^A-Z]/g, '');
+  return letters.replace(GENERIC_NAME_SUFFIX, '') || letters;
+};
+
+/**
+ * Index reference airlines by IATA code, ICAO code and compact name or alias
+ * @param {Array<object>} airlines - { iataCode, icaoCode, name, aliases }
+ * @returns {object} { byIata, byIcao, byName } maps
+ */
+const buildIndex = (airlines) => {
+  const byIata = new Map();
+  const byIcao = new Map();
+  const byName = new Map();
+
+  airlines.forEach((airline) => {
+    if (airline.iataCode && !byIata.has(airline.iataCode)) byIata.set(airline.iataCode, airline);
+    if (airline.icaoCode && !byIcao.has(airline.icaoCode)) byIcao.set(airline.icaoCode, airline);
+    [airline.name, ...(airline.aliases || [])].forEach((name) => {
+      const key = compactName(name);
+      if (!byName.has(key)) byName.set(key, airline);
+    });
+  });
+
+  return { byIata, byIcao, byName };
+};
+
+const defaultIndex = buildIndex(referenceAirlines);
+
+// Flight number: 1-4 digits and an optional operational suffix letter (e.g. BA117A)
+const NUMBER = '(\\d{1,4})([A-Z]?)';
+const ICAO_PATTERN = new RegExp(`^([A-Z]{3})${NUMBER}$`);
+const IATA_PATTERN = new RegExp(`^([A-Z][A-Z0-9]|[0-9][A-Z])${NUMBER}$`);
+const NAME_PATTERN = new RegExp(`^([A-Z][A-Z .&'-]*?)[ -]*${NUMBER}$`);
+
+/**
+ * Normalize a flight number: drop leading zeros, keep an operational suffix letter
+ * @param {string} flightNumber - Flight number without the airline prefix (e.g. "0021", "117a")
+ * @returns {string} Normalized flight number (e.g. "21", "117A")
+ */
+const normalizeFlightNumber = (flightNumber) => {
+  const match = String(flightNumber || '').trim().toUpperCase().match(/^0*(\d+)([A-Z]?)$/);
+  if (!match) {
+    return String(flightNumber || '').trim().toUpperCase();
+  }
+  const [, digits, suffix] = match;
+  return `${digits}${suffix}`;
+};
+
+const buildResult = (input, airline, codes, digits, suffix, matchedBy) => {
+  const iataCode = airline?.iataCode || codes.iataCode || null;
+  const icaoCode = airline?.icaoCode || codes.icaoCode || null;
+  const flightNumber = normalizeFlightNumber(`${digits}${suffix}`);
+
+  return {
+    airlineCode: iataCode || icaoCode,
+    iataCode,
+    icaoCode,
+    airlineName: airline?.name || null,
+    flightNumber,
+    suffix: suffix || null,
+    ident: `${iataCode || icaoCode}${flightNumber}`,
+    icaoIdent: icaoCode ? `${icaoCode}${flightNumber}` : null,
+    matchedBy,
+    originalIdent: input.trim(),
+  };
+};
+
+/**
+ * Parse a flight identifier typed by a user or reported by a data provider.
+ * Understands IATA designators ("EK221", "EK 0221", "6E 123"), ICAO three-letter
+ * prefixes ("UAE221"), airline names ("Emirates 221", "American Airlines 100"),
+ * operational suffix letters ("BA117A") and leading zeros.
+ * Unknown two-letter IATA and three-letter ICAO codes are passed through as-is.
+ * @param {string} input - Flight identifier
+ * @param {object} options - Parse options
+ * @param {Array<object>} options.airlines - Airlines to resolve against
+ *   (defaults to the bundled list)
+ * @returns {object} { airlineCode, iataCode, icaoCode, airlineName, flightNumber, suffix,
+ *   ident, icaoIdent, matchedBy, originalIdent } where airlineCode is the IATA code when known
+ */
+const parseFlightIdent = (input, { airlines } = {}) => {
+  if (!input || typeof input !== 'string' || !input.trim()) {
+    throw new AppError('Flight number is required', 400);
+  }
+
+  const index = airlines ? buildIndex(airlines) : defaultIndex;
+  const cleaned = input.trim().toUpperCase().replace(/\s+/g, ' ');
+  const compact = cleaned.replace(/[\s-]/g, '');
+
+  // Three letters is an ICAO prefix (UAE221), known or not
+  const icaoMatch = compact.match(ICAO_PATTERN);
+  if (icaoMatch) {
+    const [, code, digits, suffix] = icaoMatch;
+    return buildResult(input, index.byIcao.get(code), { icaoCode: code }, digits, suffix, 'icao');
+  }
+
+  // Two characters is an IATA designator; ones with a digit (6E, U2) only when known,
+  // so registrations such as N12345 aren't mistaken for flights
+  const iataMatch = compact.match(IATA_PATTERN);
+  if (iataMatch) {
+    const [, code, digits, suffix] = iataMatch;
+    const airline = index.byIata.get(code);
+    if (airline || /^[A-Z]{2}$/.test(code)) {
+      return buildResult(input, airline, { iataCode: code }, digits, suffix, 'iata');
+    }
+  }
+
+  // Otherwise the prefix may be an airline name (Emirates 221, JETBLUE1023)
+  const nameMatch = cleaned.match(NAME_PATTERN);
+  if (nameMatch) {
+    const [, name, digits, suffix] = nameMatch;
+    const airline = index.byName.get(compactName(name));
+    if (airline) {
+      return buildResult(input, airline, {}, digits, suffix, 'name');
+    }
+  }
+
+  throw new AppError(
+    `Invalid flight number "${input.trim()}". Please use formats like "EK221", "UAE221" or "Emirates 221"`,
+    400,
+  );
+};
+
+/**
+ * Flight identifier of the carrier that actually operates a flight.
+ * When a codeshare is looked up (e.g. QF8004 operated by Emirates), FlightAware reports the
+ * operating flight in ident_icao (UAE404), which is parsed in preference to the marketed ident.
+ * @param {object} flight - Normalized flight with ident and optionally identIcao/identIata
+ * @param {object} options - Passed on to parseFlightIdent
+ * @returns {object} Parsed operating flight, as returned by parseFlightIdent
+ */
+const resolveOperatingFlight = (flight, options) => {
+  const candidates = [flight.identIcao, flight.identIata, flight.ident].filter(Boolean);
+
+  let lastError = null;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const candidate of candidates) {
+    try {
+      return parseFlightIdent(candidate, options);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError || new AppError('Flight number is required', 400);
+};
+
+/**
+ * Whether a looked-up flight number is sold on a flight operated by another carrier
+ * @param {object} searched - parseFlightIdent result for what was searched
+ * @param {object} operating - resolveOperatingFlight result for the flight found
+ * @returns {boolean} True for a codeshare
+ */
+const isCodeshare = (searched, operating) => {
+  const sameAirline = (searched.iataCode && searched.iataCode === operating.iataCode)
+    || (searched.icaoCode && searched.icaoCode === operating.icaoCode);
+  return !sameAirline || searched.flightNumber !== operating.flightNumber;
+};
+
+module.exports = {
+  compactName,
+  normalizeFlightNumber,
+  parseFlightIdent,
+  resolveOperatingFlight,
+  isCodeshare,
+  referenceAirlines,
+};
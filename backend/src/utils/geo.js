@@ -0,0 +1,144 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_MILE = 1.609344;
+const KM_PER_NAUTICAL_MILE = 1.852;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Check that a point has numeric lat/lng
+ * @param {object} point - { lat, lng }
+ * @returns {boolean} True when both coordinates are numbers
+ */
+const hasCoordinates = (point) => typeof point?.lat === 'number' && typeof point?.lng === 'number';
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {object} from - { lat, lng } in degrees
+ * @param {object} to - { lat, lng } in degrees
+ * @returns {number} Distance in kilometres
+ */
+const greatCircleDistanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Express a distance in kilometres, statute miles and nautical miles
+ * @param {number} km - Distance in kilometres
+ * @returns {object} { km, mi, nm } rounded to whole units
+ */
+const toDistanceUnits = (km) => ({
+  km: Math.round(km),
+  mi: Math.round(km / KM_PER_MILE),
+  nm: Math.round(km / KM_PER_NAUTICAL_MILE),
+});
+
+/**
+ * Points along the great circle between two points, endpoints included
+ * @param {object} from - { lat, lng } in degrees
+ * @param {object} to - { lat, lng } in degrees
+ * @param {number} segments - Number of segments to split the arc into
+ * @returns {Array<object>} Points as { lat, lng }
+ */
+const greatCirclePoints = (from, to, segments) => {
+  const lat1 = toRadians(from.lat);
+  const lng1 = toRadians(from.lng);
+  const lat2 = toRadians(to.lat);
+  const lng2 = toRadians(to.lng);
+  const angularDistance = greatCircleDistanceKm(from, to) / EARTH_RADIUS_KM;
+
+  // Same airport (or practically so) - nothing to interpolate
+  if (angularDistance < 1e-9) {
+    return [{ lat: from.lat, lng: from.lng }, { lat: to.lat, lng: to.lng }];
+  }
+
+  const points = [];
+  for (let i = 0; i <= segments; i += 1) {
+    const fraction = i / segments;
+    const a = Math.sin((1 - fraction) * angularDistance) / Math.sin(angularDistance);
+    const b = Math.sin(fraction * angularDistance) / Math.sin(angularDistance);
+
+    const x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+    const y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+    const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+    points.push({
+      lat: toDegrees(Math.atan2(z, Math.sqrt(x ** 2 + y ** 2))),
+      lng: toDegrees(Math.atan2(y, x)),
+    });
+  }
+
+  return points;
+};
+
+/**
+ * Encode points with the Google encoded polyline algorithm
+ * @param {Array<object>} points - Points as { lat, lng }
+ * @param {number} precision - Decimal places kept (5 is the standard)
+ * @returns {string} Encoded polyline
+ */
+const encodePolyline = (points, precision = 5) => {
+  const factor = 10 ** precision;
+
+  /* eslint-disable no-bitwise */
+  const encodeValue = (value) => {
+    let shifted = value < 0 ? ~(value << 1) : value << 1;
+    let encoded = '';
+    while (shifted >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (shifted & 0x1f)) + 63);
+      shifted >>= 5;
+    }
+    return encoded + String.fromCharCode(shifted + 63);
+  };
+  /* eslint-enable no-bitwise */
+
+  let previousLat = 0;
+  let previousLng = 0;
+
+  return points.map(({ lat, lng }) => {
+    const roundedLat = Math.round(lat * factor);
+    const roundedLng = Math.round(lng * factor);
+    const encoded = encodeValue(roundedLat - previousLat) + encodeValue(roundedLng - previousLng);
+    previousLat = roundedLat;
+    previousLng = roundedLng;
+    return encoded;
+  }).join('');
+};
+
+/**
+ * Distance and encoded great-circle polyline for a route
+ * Roughly one point every 100 km keeps long-haul arcs smooth without bloating short hops
+ * @param {object} from - { lat, lng } in degrees
+ * @param {object} to - { lat, lng } in degrees
+ * @returns {object|null} { distance: { km, mi, nm }, polyline }, or null without coordinates
+ */
+const getRouteGeometry = (from, to) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) {
+    return null;
+  }
+
+  const km = greatCircleDistanceKm(from, to);
+  const segments = Math.min(128, Math.max(1, Math.ceil(km / 100)));
+
+  return {
+    distance: toDistanceUnits(km),
+    polyline: encodePolyline(greatCirclePoints(from, to, segments)),
+  };
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  KM_PER_MILE,
+  KM_PER_NAUTICAL_MILE,
+  hasCoordinates,
+  greatCircleDistanceKm,
+  toDistanceUnits,
+  greatCirclePoints,
+  encodePolyline,
+  getRouteGeometry,
+};
@@ -0,0 +1,187 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+const CircuitBreaker = require('./circuitBreaker');
+const logger = require('./logger');
+
+// One breaker per upstream host, shared by every client that talks to it
+const breakers = new Map();
+
+const RETRYABLE_METHODS = ['get', 'head', 'options'];
+
+// Tally of the requests sent inside countRequests()
+const requestCounts = new AsyncLocalStorage();
+
+const getBreaker = (host, options) => {
+  if (!breakers.has(host)) {
+    breakers.set(host, new CircuitBreaker(host, options));
+  }
+  return breakers.get(host);
+};
+
+const getHost = (config) => {
+  try {
+    return new URL(axios.getUri(config)).host;
+  } catch (error) {
+    return 'unknown';
+  }
+};
+
+const sleep = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+/**
+ * Whether a failed request says the upstream is struggling: no response at all
+ * (timeout, connection error), a 5xx, or 429 Too Many Requests
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for upstream failures
+ */
+const isUpstreamFailure = (error) => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+};
+
+/**
+ * Delay requested by a Retry-After header, in seconds or as an HTTP date
+ * @param {object} response - Axios response
+ * @returns {number|null} Milliseconds to wait, or null without a usable header
+ */
+const getRetryAfterMs = (response) => {
+  const header = response?.headers?.['retry-after'];
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff with full jitter: a random delay up to baseDelayMs * 2^attempt
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Milliseconds to wait
+ */
+const getBackoffMs = (attempt, { baseDelayMs, maxDelayMs }) => (
+  Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+);
+
+/**
+ * Create an axios instance for an external API with retries and a per-host circuit breaker.
+ * Idempotent requests that time out, fail to connect, or get a 5xx or 429 are retried with
+ * jittered backoff, waiting as long as Retry-After asks when the upstream sends it.
+ * While a host's breaker is open, requests fail fast with code ECIRCUITOPEN.
+ * @param {object} config - axios.create config (baseURL, timeout, headers, ...)
+ * @param {object} options - Resilience options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - First backoff ceiling
+ * @param {number} options.maxDelayMs - Largest backoff
+ * @param {number} options.maxRetryAfterMs - Give up instead of honoring a longer Retry-After
+ * @param {number} options.failureThreshold - Consecutive failures before the breaker opens
+ * @param {number} options.resetTimeoutMs - How long the breaker stays open
+ * @returns {object} Axios instance
+ */
+const createHttpClient = (config = {}, {
+  retries = 2,
+  baseDelayMs = 500,
+  maxDelayMs = 5000,
+  maxRetryAfterMs = 30 * 1000,
+  failureThreshold = 5,
+  resetTimeoutMs = 30 * 1000,
+} = {}) => {
+  const client = axios.create(config);
+  const breakerOptions = { failureThreshold, resetTimeoutMs };
+
+  client.interceptors.request.use((requestConfig) => {
+    const breaker = getBreaker(getHost(requestConfig), breakerOptions);
+    if (!breaker.allowRequest()) {
+      const error = new Error(`Circuit open for ${breaker.name}, not calling upstream`);
+      error.code = 'ECIRCUITOPEN';
+      error.config = requestConfig;
+      throw error;
+    }
+
+    const count = requestCounts.getStore();
+    if (count) {
+      count.sent += 1;
+    }
+    return requestConfig;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      getBreaker(getHost(response.config), breakerOptions).recordSuccess();
+      return response;
+    },
+    async (error) => {
+      const requestConfig = error.config;
+      if (!requestConfig || error.code === 'ECIRCUITOPEN') {
+        throw error;
+      }
+
+      const breaker = getBreaker(getHost(requestConfig), breakerOptions);
+      if (!isUpstreamFailure(error)) {
+        // The upstream answered; a 4xx is about the request, not its health
+        breaker.recordSuccess();
+        throw error;
+      }
+
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+      breaker.recordFailure(reason);
+
+      const attempt = requestConfig.retryAttempt || 0;
+      const method = (requestConfig.method || 'get').toLowerCase();
+      if (attempt >= retries || !RETRYABLE_METHODS.includes(method)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error.response);
+      if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) {
+        throw error;
+      }
+
+      const delayMs = retryAfterMs ?? getBackoffMs(attempt, { baseDelayMs, maxDelayMs });
+      logger.warn(`🔁 ${breaker.name} ${reason}, retry ${attempt + 1}/${retries} in ${Math.round(delayMs)}ms`);
+      await sleep(delayMs);
+
+      return client.request({ ...requestConfig, retryAttempt: attempt + 1 });
+    },
+  );
+
+  return client;
+};
+
+/**
+ * Run a function and count the requests its HTTP clients send upstream, retries and
+ * half-open trials included; requests an open circuit refused never went out and aren't counted
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<object>} { result, error, sent } where error is set if fn threw
+ */
+const countRequests = async (fn) => {
+  const count = { sent: 0 };
+  try {
+    const result = await requestCounts.run(count, fn);
+    return { result, error: null, sent: count.sent };
+  } catch (error) {
+    return { result: null, error, sent: count.sent };
+  }
+};
+
+/**
+ * Circuit breaker state of every upstream host contacted so far
+ * @returns {Array<object>} Breaker states
+ */
+const getCircuitBreakerStates = () => [...breakers.values()].map((breaker) => breaker.getState());
+
+module.exports = {
+  countRequests,
+  createHttpClient,
+  getCircuitBreakerStates,
+  getRetryAfterMs,
+  isUpstreamFailure,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+
+// Bundled reference datasets: curated entries followed by OpenFlights data (ODbL)
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_AIRLINES_FILE = path.join(DATA_DIR, 'airlines.json');
+const DEFAULT_AIRPORTS_FILE = path.join(DATA_DIR, 'airports.json');
+
+/**
+ * OpenFlights marks missing values as \N (and missing codes as "-")
+ * @param {string} value - Raw field
+ * @returns {string|null} Trimmed value, or null when missing
+ */
+const openFlightsValue = (value) => {
+  const trimmed = value?.trim();
+  return !trimmed || trimmed === '\\N' || trimmed === '-' ? null : trimmed;
+};
+
+/**
+ * Parse OpenFlights airlines.dat (no header row:
+ * id, name, alias, IATA, ICAO, callsign, country, active Y/N)
+ * @param {string} text - File content
+ * @returns {Array<object>} { iataCode, icaoCode, name, callsign, country, active, aliases }
+ */
+const parseOpenFlightsAirlines = (text) => parseCsv(text).map(([
+  , name, alias, iataCode, icaoCode, callsign, country, active,
+]) => ({
+  iataCode: openFlightsValue(iataCode),
+  icaoCode: openFlightsValue(icaoCode),
+  name: openFlightsValue(name),
+  callsign: openFlightsValue(callsign),
+  country: openFlightsValue(country),
+  active: openFlightsValue(active) === 'Y',
+  aliases: openFlightsValue(alias) ? [openFlightsValue(alias)] : [],
+}));
+
+/**
+ * Parse OpenFlights airports.dat (no header row: id, name, city, country, IATA, ICAO,
+ * latitude, longitude, altitude in feet, UTC offset, DST, tz database name, type, source)
+ * @param {string} text - File content
+ * @returns {Array<object>} { icaoCode, iataCode, name, city, country, coordinates, timezone,
+ *   elevation }
+ */
+const parseOpenFlightsAirports = (text) => parseCsv(text)
+  // airports-extended.dat also lists stations and ports
+  .filter((row) => !openFlightsValue(row[12]) || openFlightsValue(row[12]) === 'airport')
+  .map(([
+    , name, city, country, iataCode, icaoCode, lat, lng, elevation, , , timezone,
+  ]) => ({
+    icaoCode: openFlightsValue(icaoCode),
+    iataCode: openFlightsValue(iataCode),
+    name: openFlightsValue(name),
+    city: openFlightsValue(city),
+    country: openFlightsValue(country),
+    coordinates: openFlightsValue(lat) && openFlightsValue(lng)
+      ? { lat: Number(lat), lng: Number(lng) }
+      : null,
+    timezone: openFlightsValue(timezone),
+    elevation: openFlightsValue(elevation) ? Number(elevation) : null,
+  }));
+
+const loadDataset = (filePath, parseOpenFlights) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.json'
+    ? JSON.parse(text)
+    : parseOpenFlights(text);
+};
+
+/**
+ * Read an airline reference dataset: the bundled JSON layout, or OpenFlights airlines.dat
+ * @param {string} filePath - Dataset file (defaults to the bundled src/data/airlines.json)
+ * @returns {Array<object>} Airline records
+ */
+const loadReferenceAirlines = (filePath = DEFAULT_AIRLINES_FILE) => (
+  loadDataset(filePath, parseOpenFlightsAirlines)
+);
+
+/**
+ * Read an airport reference dataset: the bundled JSON layout, or OpenFlights airports.dat
+ * @param {string} filePath - Dataset file (defaults to the bundled src/data/airports.json)
+ * @returns {Array<object>} Airport records
+ */
+const loadReferenceAirports = (filePath = DEFAULT_AIRPORTS_FILE) => (
+  loadDataset(filePath, parseOpenFlightsAirports)
+);
+
+module.exports = {
+  DEFAULT_AIRLINES_FILE,
+  DEFAULT_AIRPORTS_FILE,
+  openFlightsValue,
+  parseOpenFlightsAirlines,
+  parseOpenFlightsAirports,
+  loadReferenceAirlines,
+  loadReferenceAirports,
+};